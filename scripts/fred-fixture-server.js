@@ -0,0 +1,110 @@
+/**
+ * Stand-in for the FRED API during development: answers
+ * /fred/series/observations requests the way FRED does, from the saved files
+ * the manifest lists for each FRED series. Run it with
+ *
+ *   npm run fred-fixtures
+ *
+ * and start the page against it with
+ *
+ *   REACT_APP_FRED_URL=http://localhost:8010/fred npm start
+ *
+ * FRED_FIXTURE_PORT sets the port and FRED_FIXTURES the data directory
+ * (public/data by default). Stopping the server shows the page falling back
+ * to the saved files. It serves series at their saved frequency and units
+ * only; requests for anything else get a 400, as FRED gives for bad requests.
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.FRED_FIXTURE_PORT) || 8010;
+const DATA_DIR = process.env.FRED_FIXTURES || path.join(__dirname, '..', 'public', 'data');
+const ENDPOINT = '/fred/series/observations';
+
+// FRED's codes for the manifest's frequencies
+const FREQUENCY_CODES = { weekly: 'w', monthly: 'm', quarterly: 'q', annual: 'a' };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * A saved value as FRED writes it: decimal point, no grouping, '.' when missing
+ */
+const fredValue = (raw, decimal) => {
+  const text = (raw || '').trim();
+  if (!text) return '.';
+  return decimal === ',' ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+};
+
+/**
+ * Observations of a manifest entry's saved file, as [{ date, value }]
+ */
+const readObservations = (spec) => {
+  const [header, ...lines] = fs.readFileSync(path.join(DATA_DIR, spec.file), 'utf8').trim().split(/\r?\n/);
+  const columns = header.split(spec.delimiter || ',');
+  const dateIndex = columns.indexOf(spec.dateColumn);
+  const valueIndex = columns.indexOf(spec.valueColumn);
+  return lines.map(line => {
+    const cells = line.split(spec.delimiter || ',');
+    return { date: cells[dateIndex], value: fredValue(cells[valueIndex], spec.decimal) };
+  });
+};
+
+/**
+ * Status and body answering an observations request's query parameters
+ */
+const observationsResponse = (query) => {
+  const fail = message => ({ status: 400, body: { error_code: 400, error_message: `Bad Request.  ${message}` } });
+  const manifest = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'manifest.json'), 'utf8'));
+  const spec = manifest.datasets.find(d => d.fred && d.fred.seriesId === query.get('series_id'));
+
+  if (!spec) return fail('The series does not exist.');
+  if (query.get('file_type') !== 'json') return fail('The fixture server only answers file_type=json.');
+  if (query.has('units') && query.get('units') !== 'lin') return fail('The fixture server only serves units=lin.');
+  if (query.has('frequency') && query.get('frequency') !== FREQUENCY_CODES[spec.frequency]) {
+    return fail(`The fixture server only serves ${spec.fred.seriesId} at its saved frequency (${FREQUENCY_CODES[spec.frequency]}).`);
+  }
+
+  const start = query.get('observation_start') || '1600-01-01';
+  const end = query.get('observation_end') || '9999-12-31';
+  const observations = readObservations(spec)
+    .filter(d => d.date >= start && d.date <= end)
+    .map(d => ({ realtime_start: today(), realtime_end: today(), ...d }));
+
+  return {
+    status: 200,
+    body: {
+      realtime_start: today(),
+      realtime_end: today(),
+      observation_start: start,
+      observation_end: end,
+      units: 'lin',
+      output_type: 1,
+      file_type: 'json',
+      order_by: 'observation_date',
+      sort_order: 'asc',
+      count: observations.length,
+      offset: 0,
+      limit: 100000,
+      observations
+    }
+  };
+};
+
+const server = http.createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${PORT}`);
+  let answer;
+  try {
+    answer = url.pathname === ENDPOINT
+      ? observationsResponse(url.searchParams)
+      : { status: 404, body: { error_code: 404, error_message: 'Not Found.' } };
+  } catch (error) {
+    answer = { status: 500, body: { error_code: 500, error_message: error.message } };
+  }
+  response.writeHead(answer.status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  response.end(JSON.stringify(answer.body));
+});
+
+server.listen(PORT, () => {
+  console.log(`FRED fixtures from ${DATA_DIR} at http://localhost:${PORT}/fred`);
+});
@@ -0,0 +1,118 @@
+/**
+ * Static report of the page: draws the three charts from the saved data files
+ * without a browser and writes each as a standalone SVG, plus an index.html
+ * with the headline, the charts, the story's paragraphs and the data sources.
+ *
+ *   npm run report -- --from 2005-01-01 --to 2015-12-31 --theme print --out build/report
+ *
+ * Options (all optional):
+ *
+ *   --from, --to  date range of every chart (YYYY-MM-DD); all data by default
+ *   --theme       light, dark, highContrast or print (light by default)
+ *   --lang        en-US or de-DE (en-US by default)
+ *   --width       chart width in pixels (800 by default)
+ *   --data        directory with manifest.json and the files (public/data)
+ *   --out         directory written to (build/report)
+ *
+ * The charts are the page's own: src is compiled on the fly by
+ * @babel/register with the app's Babel preset (cached after the first run)
+ * and drawn into a jsdom document.
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const OPTIONS = ['from', 'to', 'theme', 'lang', 'width', 'data', 'out'];
+
+const fail = (message) => {
+  console.error(`report: ${message}`);
+  process.exit(1);
+};
+
+/**
+ * --name value pairs (or --name=value) as { name: value }
+ */
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 1) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match || !OPTIONS.includes(match[1])) fail(`unknown option ${args[i]}`);
+    const value = match[2] !== undefined ? match[2] : args[(i += 1)];
+    if (value === undefined) fail(`${args[i - 1]} needs a value`);
+    options[match[1]] = value;
+  }
+  return options;
+};
+
+// Compile src as the test runner does. d3 and its modules are published as
+// ES modules only, so they are compiled along with it.
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.BABEL_ENV = 'test';
+require('@babel/register')({
+  presets: [require.resolve('babel-preset-react-app')],
+  babelrc: false,
+  configFile: false,
+  only: [
+    path.join(ROOT, 'src'),
+    /[\\/]node_modules[\\/](d3|d3-[\w-]+|internmap|delaunator|robust-predicates)[\\/]/
+  ]
+});
+
+// The charts draw into a document and read computed styles from its window
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.window = window;
+global.document = window.document;
+global.XMLSerializer = window.XMLSerializer;
+
+const { readDatasets, parseDate } = require('../src/dataRegistry');
+const { LOCALES } = require('../src/locale');
+const { buildReport, REPORT_CHARTS } = require('../src/report');
+const { THEMES } = require('../src/theme');
+
+const options = parseArgs(process.argv.slice(2));
+const dataDir = path.resolve(options.data || path.join(ROOT, 'public', 'data'));
+const outDir = path.resolve(options.out || path.join(ROOT, 'build', 'report'));
+
+const dates = ['from', 'to'].map(name => {
+  if (!options[name]) return null;
+  const date = parseDate(options[name]);
+  if (Number.isNaN(+date)) fail(`--${name} should be a date as YYYY-MM-DD, not "${options[name]}"`);
+  return date;
+});
+if (dates[0] && dates[1] && dates[1] <= dates[0]) fail('--to should be after --from');
+
+const theme = THEMES[options.theme || 'light'];
+if (!theme) fail(`--theme should be one of ${Object.keys(THEMES).join(', ')}`);
+const locale = LOCALES[options.lang || 'en-US'];
+if (!locale) fail(`--lang should be one of ${Object.keys(LOCALES).join(', ')}`);
+const width = Number(options.width || 800);
+if (!(width >= 300)) fail('--width should be a number of pixels, at least 300');
+
+const readFile = file => fs.readFileSync(path.join(dataDir, file), 'utf8');
+let specs;
+try {
+  specs = JSON.parse(readFile('manifest.json')).datasets;
+} catch (error) {
+  fail(`can't read ${path.join(dataDir, 'manifest.json')} (${error.message})`);
+}
+const { datasets, errors } = readDatasets(specs, readFile);
+Object.entries(errors).forEach(([id, error]) => {
+  console.warn(`report: left out ${id} (${error.file}: ${locale.describe(error.message)})`);
+});
+
+const { svgs, html } = buildReport({
+  datasets,
+  document: window.document,
+  window: dates.some(Boolean) ? dates : null,
+  width,
+  theme,
+  locale
+});
+
+fs.mkdirSync(outDir, { recursive: true });
+REPORT_CHARTS.filter(({ id }) => svgs[id]).forEach(({ id, file }) => {
+  fs.writeFileSync(path.join(outDir, file), svgs[id]);
+});
+fs.writeFileSync(path.join(outDir, 'index.html'), html);
+console.log(`Report with ${Object.keys(svgs).length} charts written to ${outDir}`);
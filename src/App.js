@@ -1,11 +1,41 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { LOCALES, LocaleContext, preferredLocale } from './locale';
 import OverconsumptionViz from './OverconsumptionViz';
+import { linkedView } from './permalink';
+import { ThemeContext } from './theme';
+import useThemePreference from './useThemePreference';
+
+// Languages the browser asks for, most preferred first
+const browserLanguages = () => (typeof navigator === 'undefined'
+  ? []
+  : navigator.languages || [navigator.language].filter(Boolean));
 
 function App() {
+  // Switching themes or languages only restyles and relabels; the data stays loaded.
+  // A permalink can set both; otherwise they follow the system and browser.
+  const [linked] = useState(linkedView);
+  const { theme, choice, setChoice } = useThemePreference(linked.theme);
+  // The language picked in the language control, or null for the browser's
+  const [localeChoice, setLocaleChoice] = useState(linked.locale);
+  const locale = LOCALES[localeChoice] || preferredLocale(browserLanguages());
+
+  useEffect(() => {
+    document.documentElement.lang = locale.id;
+  }, [locale]);
+
   return (
-    <div>
-      <OverconsumptionViz />
-    </div>
+    <ThemeContext.Provider value={theme}>
+      <LocaleContext.Provider value={locale}>
+        <div style={{ background: theme.page.background, color: theme.page.text, colorScheme: theme.scheme, minHeight: '100vh' }}>
+          <OverconsumptionViz
+            themeChoice={choice}
+            onThemeChange={setChoice}
+            localeChoice={localeChoice}
+            onLocaleChange={setLocaleChoice}
+          />
+        </div>
+      </LocaleContext.Provider>
+    </ThemeContext.Provider>
   );
 }
 
@@ -1,8 +1,280 @@
-import { render, screen } from '@testing-library/react';
+import * as d3 from 'd3';
+import fs from 'fs';
+import path from 'path';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Serve the bundled data files to d3's fetch-based loaders
+const serveDataFiles = () => {
+  global.fetch = jest.fn(url => {
+    const file = path.join(__dirname, '..', 'public', 'data', url.split('/').pop());
+    return Promise.resolve(fs.existsSync(file)
+      ? { ok: true, status: 200, text: () => Promise.resolve(fs.readFileSync(file, 'utf8')), json: () => Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8'))) }
+      : { ok: false, status: 404, statusText: 'Not Found' });
+  });
+};
+
+const originalFetch = global.fetch;
+
+beforeEach(serveDataFiles);
+
+afterEach(() => {
+  global.fetch = originalFetch;
+  window.history.replaceState(null, '', '/');
+});
+
+test('renders the page headline', async () => {
+  render(<App />);
+  const headline = screen.getByText(/the e-commerce effect/i);
+  expect(headline).toBeInTheDocument();
+  await screen.findByText(/Data quality/);
+});
+
+test('draws the growth chart and switches its scale mode in place', async () => {
+  render(<App />);
+
+  expect(await screen.findByText('Consumer Loans ($ billions)')).toBeInTheDocument();
+  const title = screen.getByText('Parallel Growth of E-commerce Sales and Consumer Loans');
+
+  fireEvent.click(screen.getByLabelText('Indexed (base = 100)'));
+
+  // Same SVG nodes, updated rather than rebuilt
+  expect(screen.getByText('Parallel Growth of E-commerce Sales and Consumer Loans')).toBe(title);
+  expect(screen.getByText('Index (2005 = 100)')).toBeInTheDocument();
+  expect(screen.getByText('Loans index')).toBeInTheDocument();
+});
+
+test('applies a preset time window to every chart', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+  expect(screen.getAllByText('2000', { selector: 'text' })).toHaveLength(4);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Since 2010' }));
+
+  expect(screen.getByText('Jan 2010 – Jan 2025')).toBeInTheDocument();
+  // Only the overview strip still shows the years before the window
+  expect(screen.queryAllByText('2000', { selector: 'text' })).toHaveLength(1);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+  expect(screen.getByText('All data')).toBeInTheDocument();
+});
+
+test('shows a series as a derived metric and limits the scale to dual axis', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+  expect(screen.getByText(/Compound annual growth \(all data\)/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('E-commerce sales as'), { target: { value: 'yoy' } });
+
+  expect(screen.getByText('E-commerce Sales (YoY % change)')).toBeInTheDocument();
+  expect(screen.getByLabelText('Indexed (base = 100)')).toBeDisabled();
+  expect(screen.getByLabelText('Dual axis')).toBeChecked();
+});
+
+test('takes a typed rolling window once the field is left', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  fireEvent.change(screen.getByLabelText('E-commerce sales as'), { target: { value: 'rolling' } });
+  const field = screen.getByLabelText('Window (periods)');
+  fireEvent.change(field, { target: { value: '1' } });
+  fireEvent.change(field, { target: { value: '12' } });
+  expect(field).toHaveValue(12);
+  fireEvent.blur(field);
+  expect(screen.getByText('E-commerce Sales ($ millions, 12-period mean)')).toBeInTheDocument();
+
+  fireEvent.change(field, { target: { value: '' } });
+  fireEvent.keyDown(field, { key: 'Enter' });
+  expect(field).toHaveValue(12);
+  fireEvent.change(field, { target: { value: '99' } });
+  fireEvent.blur(field);
+  expect(field).toHaveValue(52);
+});
+
+test('deflates dollar series to real base-year dollars', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  fireEvent.click(screen.getByRole('radio', { name: /Real \(base year/ }));
+  fireEvent.change(screen.getByLabelText('Base year for real dollars'), { target: { value: '2010' } });
+
+  expect(await screen.findByText('Consumer Loans ($ billions, 2010 dollars)')).toBeInTheDocument();
+  // The growth and timeline charts both plot sales
+  expect(screen.getAllByText('E-commerce Sales ($ millions, 2010 dollars)')).toHaveLength(2);
+  expect(screen.getByText('Percentage of Total Retail Sales')).toBeInTheDocument();
+});
+
+test('keeps nominal dollars when the price index lacks the base year', async () => {
+  // A price index that stops before the default base year
+  const serve = global.fetch;
+  global.fetch = jest.fn(url => (url.endsWith('cpi.csv')
+    ? Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve('observation_date;CPIAUCNS\n1999-01-01;166.6\n2000-01-01;172.2\n') })
+    : serve(url)));
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  fireEvent.click(screen.getByRole('radio', { name: /Real \(base year/ }));
+
+  expect(screen.getByText(/unavailable for base year 2020/)).toBeInTheDocument();
+  expect(screen.getByText('Consumer Loans ($ billions)')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Base year for real dollars'), { target: { value: '2000' } });
+  expect(await screen.findByText('Consumer Loans ($ billions, 2000 dollars)')).toBeInTheDocument();
+});
+
+test('shades recessions on every chart and can leave them out of the statistics', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  // Labelled inside each chart's plot
+  expect(screen.getAllByText('Great Recession', { selector: 'text' })).toHaveLength(3);
+
+  fireEvent.click(screen.getByLabelText('Leave them out of the statistics'));
+  expect(screen.getByText(/^Excluding 2001 Recession, Great Recession/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Shade recessions and macro events'));
+  expect(screen.queryAllByText('Great Recession', { selector: 'text' })).toHaveLength(0);
+});
+
+test('describes each chart and shows its data as a table on demand', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  expect(screen.getByRole('img', { name: 'Parallel Growth of E-commerce Sales and Consumer Loans' })).toHaveAccessibleDescription(/^E-commerce Sales, .* overall it rose/);
+
+  fireEvent.click(screen.getAllByRole('button', { name: 'Show data table' })[0]);
+  const table = screen.getByRole('table', { name: 'Parallel Growth of E-commerce Sales and Consumer Loans' });
+  expect(table).toBeInTheDocument();
+  expect(screen.getByRole('columnheader', { name: 'Consumer Loans ($ billions)' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Hide data table' }));
+  expect(screen.queryByRole('table', { name: 'Parallel Growth of E-commerce Sales and Consumer Loans' })).not.toBeInTheDocument();
+});
+
+test('follows the system color scheme and switches themes without reloading data', async () => {
+  const originalMatchMedia = window.matchMedia;
+  window.matchMedia = jest.fn(query => ({
+    matches: query === '(prefers-color-scheme: dark)',
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  }));
+  try {
+    render(<App />);
+    await screen.findByText('Consumer Loans ($ billions)');
+    const chart = screen.getByRole('img', { name: 'Parallel Growth of E-commerce Sales and Consumer Loans' });
+    expect(chart).toHaveStyle({ background: '#1b1e23' });
+    const requests = global.fetch.mock.calls.length;
+
+    fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'print' } });
+    expect(chart).toHaveStyle({ background: '#ffffff' });
+    expect(d3.select(chart).select('.sales-line').attr('stroke')).toBe('#000000');
+    expect(global.fetch.mock.calls.length).toBe(requests);
+  } finally {
+    window.matchMedia = originalMatchMedia;
+  }
+});
+
+test('switches the page to German without reloading data', async () => {
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+  expect(document.documentElement.lang).toBe('en-US');
+  const requests = global.fetch.mock.calls.length;
+
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'de-DE' } });
+
+  expect(document.documentElement.lang).toBe('de-DE');
+  expect(screen.getByText('Paralleles Wachstum von E-Commerce-Umsätzen und Verbraucherkrediten')).toBeInTheDocument();
+  expect(screen.getByText('Verbraucherkredite (Mrd. $)')).toBeInTheDocument();
+  expect(screen.getByLabelText('Sprache')).toHaveValue('de-DE');
+  expect(global.fetch.mock.calls.length).toBe(requests);
+});
+
+test('opens the view a link describes and keeps later changes in the history', async () => {
+  window.history.replaceState(null, '', '/?from=2010-01-01&to=2015-01-01&scale=indexed&base=2010');
+  render(<App />);
+  await screen.findByText('Index (2010 = 100)');
+  expect(screen.getByText('Jan 2010 – Jan 2015')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Dual axis'));
+  expect(window.location.search).toBe('?from=2010-01-01&to=2015-01-01');
+  expect(screen.getByText('Consumer Loans ($ billions)')).toBeInTheDocument();
+
+  // Back restores the indexed view the page was opened with
+  act(() => window.history.back());
+  expect(await screen.findByText('Index (2010 = 100)')).toBeInTheDocument();
+  expect(window.location.search).toBe('?from=2010-01-01&to=2015-01-01&scale=indexed&base=2010');
+});
+
+test('opens hand-edited links with settings the data can\'t show', async () => {
+  window.history.replaceState(null, '', '/?real=1990&sales=rolling-0&share=rolling-0');
+  render(<App />);
+
+  expect(await screen.findByText('Consumer Loans ($ billions)')).toBeInTheDocument();
+  expect(screen.getByText(/unavailable for base year 1990/)).toBeInTheDocument();
+  expect(screen.getByText('E-commerce Sales ($ millions, 4-period mean)')).toBeInTheDocument();
+});
+
+test('copies a link to the current view of a chart', async () => {
+  const writeText = jest.fn(() => Promise.resolve());
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  try {
+    render(<App />);
+    await screen.findByText('Consumer Loans ($ billions)');
+    fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'dark' } });
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Copy link' })[1]);
+
+    expect(await screen.findByText('Link copied')).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith('http://localhost/?theme=dark#chart-percent');
+  } finally {
+    delete navigator.clipboard;
+  }
+});
+
+test('tells the default story when asked and the browser can follow scrolling', async () => {
+  const observed = [];
+  let notify;
+  window.IntersectionObserver = function IntersectionObserver(callback) {
+    notify = callback;
+    this.observe = node => observed.push(node);
+    this.disconnect = () => {};
+  };
+
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  // The page opens with every control; the story is a switch away
+  expect(screen.getByText(/Data quality/)).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Story'));
+  expect(window.location.search).toContain('mode=story');
+
+  // Captions become steps, and the explore-only controls are gone
+  const steps = screen.getAllByRole('listitem');
+  expect(steps).toHaveLength(6);
+  expect(steps[0]).toHaveAttribute('aria-current', 'step');
+  expect(screen.queryByText(/Data quality/)).not.toBeInTheDocument();
+
+  // Scrolling the Lehman step into the middle moves the growth chart on to it
+  act(() => notify([{ isIntersecting: true, target: observed[1] }]));
+  expect(await screen.findByText('Lehman Brothers fails', { selector: '.annotation-label' })).toBeInTheDocument();
+  expect(screen.getAllByRole('listitem')[1]).toHaveAttribute('aria-current', 'step');
+
+  fireEvent.click(screen.getByLabelText('Explore all charts'));
+  expect(await screen.findByText(/Data quality/)).toBeInTheDocument();
+
+  delete window.IntersectionObserver;
+});
+
+test('lists saved uploads that can no longer be read so they can be removed', async () => {
+  window.localStorage.setItem('ecommerce-viz:uploads', JSON.stringify([
+    { id: 'upload-1', fileName: 'broken.csv', content: 'name,value\nfoo,1', target: 'growth', color: '#1b9e77' }
+  ]));
+  render(<App />);
+  await screen.findByText('Consumer Loans ($ billions)');
+
+  expect(screen.getByText("The saved upload broken.csv can't be read any more (No column of dates was found).")).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Remove' }));
+
+  expect(screen.queryByText(/broken\.csv/)).not.toBeInTheDocument();
+  expect(JSON.parse(window.localStorage.getItem('ecommerce-viz:uploads'))).toEqual([]);
+  window.localStorage.clear();
 });
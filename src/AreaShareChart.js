@@ -0,0 +1,174 @@
+import React, { useCallback } from 'react';
+import * as d3 from 'd3';
+import { chartFrame, chartLayout, inDomain, setDescription, setNote, valueDomain, xTickCount } from './chartFrame';
+import { describeChart } from './chartSummary';
+import { annotationColor, drawAnnotations, drawPeriodShading } from './annotationLayer';
+import { attachCrosshair } from './crosshair';
+import { drawForecast, forecastExtent, withForecast } from './forecastLayer';
+import { DEFAULT_LOCALE, useLocale } from './locale';
+import { drawOverlays } from './overlays';
+import { DEFAULT_THEME, useTheme } from './theme';
+import useChart from './useChart';
+
+const MARGIN = { top: 50, right: 50, bottom: 80, left: 80 };
+
+// Compact layout: narrower side margins, and room below for a wrapped note
+const COMPACT_MARGIN = { top: 50, right: 30, bottom: 100, left: 70 };
+
+/**
+ * Draw (or update in place) a filled area chart of one series with dashed
+ * annotation markers and shaded periods.
+ *
+ * data: [{ date, value }]; annotations: [{ id, date, label, kind }], labelled
+ * along the top of the plot without collisions; periods: [{ date, end, label }].
+ * forecast ([{ date, value, lower, upper }]) continues the series dashed with
+ * its interval shaded, extending the x domain when that reaches the last
+ * observation. onPick gets the date of a click. color and fill default to the
+ * theme's share series; the y ticks default to percentages in locale, which
+ * also formats the x axis, summary and crosshair. Narrow charts use the compact layout.
+ * Returns the chart's crosshair state, or null when there's no data.
+ */
+export const drawAreaShareChart = (container, {
+  title,
+  width = 800,
+  height: fixedHeight,
+  margin: fixedMargin,
+  clipId = 'area-share-clip',
+  data,
+  label,
+  units = '%',
+  theme = DEFAULT_THEME,
+  color = theme.series.share.color,
+  fill = theme.series.share.fill,
+  locale = DEFAULT_LOCALE,
+  yLabel = '',
+  tickFormat = d => locale.withUnits(locale.format('~f')(d), '%'),
+  annotations = [],
+  periods = [],
+  forecast = null,
+  xDomain,
+  overlays = [],
+  note = '',
+  onHover = () => {},
+  onPick
+}) => {
+  if (!data.length) return null;
+
+  const { compact } = chartLayout(width);
+  const margin = fixedMargin || (compact ? COMPACT_MARGIN : MARGIN);
+  const height = fixedHeight || (compact ? 420 : 400);
+
+  const { svg, g, clipped, innerWidth, innerHeight, layout, isFirstRender, animate } =
+    chartFrame(container, { width, height, margin, clipId, title, theme, locale });
+
+  // Add the area, line and annotation groups on first render
+  if (isFirstRender) {
+    clipped.append('g').attr('class', 'periods');
+
+    clipped.append('path').attr('class', 'share-area');
+
+    clipped.append('path')
+      .attr('class', 'share-line')
+      .attr('fill', 'none');
+
+    clipped.append('g').attr('class', 'forecast');
+    clipped.append('g').attr('class', 'overlays');
+
+    g.append('g').attr('class', 'annotations');
+  }
+
+  // X scale (time), narrowed to xDomain when one is given and running on to the end of any forecast
+  const xScale = d3.scaleTime()
+    .domain(withForecast(xDomain || d3.extent(data, d => d.date), forecast))
+    .range([0, innerWidth]);
+
+  // Y scale, fitted to the visible data and forecast interval
+  const yScale = d3.scaleLinear()
+    .domain(valueDomain([...inDomain(data, xScale.domain()), ...forecastExtent(forecast)]))
+    .range([innerHeight, 0]);
+
+  // Area generator, filled to zero so negative values shade below the baseline
+  const area = d3.area()
+    .x(d => xScale(d.date))
+    .y0(yScale(0))
+    .y1(d => yScale(d.value))
+    .curve(d3.curveMonotoneX);
+
+  // Line generator
+  const line = d3.line()
+    .x(d => xScale(d.date))
+    .y(d => yScale(d.value))
+    .curve(d3.curveMonotoneX);
+
+  g.select('.share-area').attr('fill', fill);
+  g.select('.share-line')
+    .attr('stroke', color)
+    .attr('stroke-width', theme.lineWidth);
+  animate(g.select('.share-area').datum(data)).attr('d', area);
+  animate(g.select('.share-line').datum(data)).attr('d', line);
+  drawForecast(g.select('.forecast'), forecast, { xScale, yScale, color, animate });
+
+  // Uploaded overlays
+  g.select('.overlays').selectAll('*').remove();
+  drawOverlays(g.select('.overlays'), overlays, { xScale, innerWidth, innerHeight, locale });
+
+  // X axis
+  animate(g.select('.x-axis'))
+    .call(d3.axisBottom(xScale).ticks(xTickCount(innerWidth)).tickFormat(locale.formatTime('%Y')));
+  g.select('.x-axis').attr('font-size', layout.tickSize);
+
+  // Y axis
+  animate(g.select('.y-axis'))
+    .call(d3.axisLeft(yScale).tickFormat(tickFormat));
+  g.select('.y-axis').attr('font-size', layout.tickSize);
+
+  g.select('.y-label').text(yLabel);
+  setNote(svg, note);
+
+  // Summary and keyboard stops cover the forecast as well as the data
+  const projected = forecast ? forecast.slice(1) : [];
+  setDescription(svg, describeChart([
+    { label, data, units },
+    ...(projected.length ? [{ label: locale.t('chart.forecastSeries', { label }), data: projected, units }] : [])
+  ], xScale.domain(), locale));
+
+  // Shaded periods and annotations
+  drawPeriodShading(g.select('.periods'), periods, { xScale, innerWidth, innerHeight, animate, theme });
+  drawAnnotations(g.select('.annotations'), annotations, { xScale, innerWidth, innerHeight, animate, theme });
+
+  // Hover crosshair, naming an annotation when the cursor is on its line and the period it is in
+  attachCrosshair(g, { xScale, innerWidth, innerHeight, onHover, onPick, dates: [...data, ...projected].map(d => d.date), theme });
+  return {
+    g,
+    xScale,
+    innerWidth,
+    series: [{ label, color, data, yScale, units }],
+    events: annotations.map(a => ({ date: a.date, label: a.label, color: annotationColor(a.kind, theme) })),
+    periods,
+    theme,
+    locale
+  };
+};
+
+/**
+ * Filled area chart of one series with annotations, in the active theme and locale; see
+ * drawAreaShareChart for the props. Without a width it fills its container and
+ * redraws when that is resized.
+ */
+function AreaShareChart({
+  title, width, height, margin, clipId, data, label, units, color, fill, yLabel, tickFormat,
+  annotations, periods, forecast, xDomain, overlays, note, onHover, onPick, hoverDate = null
+}) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const draw = useCallback((container, measuredWidth) => drawAreaShareChart(container, {
+    title, width: width || measuredWidth || undefined, height, margin, clipId, data, label, units, theme, color, fill, locale,
+    yLabel, tickFormat, annotations, periods, forecast, xDomain, overlays, note, onHover, onPick
+  }), [title, width, height, margin, clipId, data, label, units, theme, color, fill, locale, yLabel, tickFormat,
+    annotations, periods, forecast, xDomain, overlays, note, onHover, onPick]);
+
+  const containerRef = useChart(draw, hoverDate);
+  return <div ref={containerRef}></div>;
+}
+
+export default AreaShareChart;
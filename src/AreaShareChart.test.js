@@ -0,0 +1,42 @@
+import { render, screen } from '@testing-library/react';
+import * as d3 from 'd3';
+import AreaShareChart, { drawAreaShareChart } from './AreaShareChart';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const data = [{ date: utc(2000), value: 2 }, { date: utc(2005), value: 5 }, { date: utc(2010), value: 9 }];
+const annotations = [
+  { id: 'early', date: utc(2003), label: 'Early event', kind: 'data' },
+  { id: 'late', date: utc(2008), label: 'Late event', kind: 'note' }
+];
+const periods = [{ date: utc(2001), end: utc(2004), label: 'Shaded period' }];
+const label = { selector: '.annotation-label' };
+
+test('marks annotations inside the x domain only', () => {
+  const { rerender } = render(
+    <AreaShareChart title="Share fixture" data={data} label="Share" yLabel="Percent" annotations={annotations} periods={periods} />
+  );
+  expect(screen.getByText('Share fixture')).toBeInTheDocument();
+  expect(screen.getByText('Percent')).toBeInTheDocument();
+  expect(screen.getByText('Early event', label)).toBeInTheDocument();
+  expect(screen.getByText('Late event', label)).toBeInTheDocument();
+  expect(screen.getByText('Shaded period')).toBeInTheDocument();
+
+  rerender(
+    <AreaShareChart title="Share fixture" data={data} label="Share" yLabel="Percent" annotations={annotations}
+      periods={periods} xDomain={[utc(2006), utc(2010)]} />
+  );
+  expect(screen.queryByText('Early event', label)).not.toBeInTheDocument();
+  expect(screen.getByText('Late event', label)).toBeInTheDocument();
+});
+
+test('draws a forecast past the last observation', () => {
+  const forecast = [
+    { date: utc(2010), value: 9, lower: 9, upper: 9 },
+    { date: utc(2012), value: 11, lower: 10, upper: 12 }
+  ];
+  const container = document.createElement('div');
+  const hover = drawAreaShareChart(container, { data, forecast, xDomain: [utc(2005), utc(2010)] });
+
+  expect(hover.xScale.domain()).toEqual([utc(2005), utc(2012)]);
+  expect(d3.select(container).selectAll('.forecast-line, .forecast-band').size()).toBe(2);
+});
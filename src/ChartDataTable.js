@@ -0,0 +1,95 @@
+import React, { useId, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { plottedSeries } from './chartExport';
+import { formatValue } from './crosshair';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+const cellStyle = theme => ({ padding: '3px 10px', textAlign: 'right', borderBottom: `1px solid ${theme.page.rule}` });
+const headerStyle = theme => ({ ...cellStyle(theme), position: 'sticky', top: 0, background: theme.page.background });
+
+/**
+ * Rows of a wide table, one per date any series has a point on:
+ * [{ date, values: [value or undefined per series] }]
+ */
+export const tableRows = (series) => {
+  const lookups = series.map(s => new Map(s.data.map(d => [+d.date, d.value])));
+  const dates = [...new Set(series.flatMap(s => s.data.map(d => +d.date)))].sort((a, b) => a - b);
+  return dates.map(date => ({ date: new Date(date), values: lookups.map(lookup => lookup.get(date)) }));
+};
+
+/**
+ * A chart's data as a table, shown on demand: what it plots in its time window
+ * (from the same { title, window, series, events } its export menu saves), one
+ * column per series, plus its dated events
+ */
+function ChartDataTable({ exportData }) {
+  const [shown, setShown] = useState(false);
+  const tableId = useId();
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+  const formatDate = locale.formatUtc(locale.dates.numeric);
+
+  const series = useMemo(() => (exportData && shown ? plottedSeries(exportData.series, exportData.window) : []),
+    [exportData, shown]);
+  const rows = useMemo(() => tableRows(series), [series]);
+
+  if (!exportData) return null;
+  const { window: range } = exportData;
+  const events = (exportData.events || []).filter(e => !range || (e.date >= range[0] && e.date <= range[1]));
+
+  return (
+    <div style={{ margin: '6px 0 10px', fontSize: '14px' }}>
+      <button type="button" aria-expanded={shown} aria-controls={tableId} onClick={() => setShown(!shown)}>
+        {shown ? t('table.hide') : t('table.show')}
+      </button>
+      {shown && (
+        <div id={tableId} style={{ maxHeight: '320px', overflow: 'auto', marginTop: '6px' }}>
+          <table style={{ borderCollapse: 'collapse' }}>
+            <caption style={{ textAlign: 'left', fontWeight: 'bold', marginBottom: '6px' }}>{exportData.title}</caption>
+            <thead>
+              <tr>
+                <th scope="col" style={{ ...headerStyle(theme), textAlign: 'left' }}>{t('table.date')}</th>
+                {series.map(s => (
+                  <th key={s.label} scope="col" style={headerStyle(theme)}>{s.units ? `${s.label} (${locale.unitLabel(s.units)})` : s.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={+row.date}>
+                  <th scope="row" style={{ ...cellStyle(theme), textAlign: 'left', fontWeight: 'normal' }}>{formatDate(row.date)}</th>
+                  {row.values.map((value, i) => (
+                    <td key={series[i].label} style={cellStyle(theme)}>{value === undefined ? '' : formatValue(value, series[i].units, locale)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {events.length > 0 && (
+            <table style={{ borderCollapse: 'collapse', marginTop: '12px' }}>
+              <caption style={{ textAlign: 'left', fontWeight: 'bold', marginBottom: '6px' }}>{t('table.events')}</caption>
+              <thead>
+                <tr>
+                  <th scope="col" style={{ ...headerStyle(theme), textAlign: 'left' }}>{t('table.date')}</th>
+                  <th scope="col" style={{ ...headerStyle(theme), textAlign: 'left' }}>{t('table.event')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {d3.sort(events, e => e.date).map((event, i) => (
+                  <tr key={i}>
+                    <th scope="row" style={{ ...cellStyle(theme), textAlign: 'left', fontWeight: 'normal' }}>{formatDate(event.date)}</th>
+                    <td style={{ ...cellStyle(theme), textAlign: 'left' }}>{event.label}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ChartDataTable;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { CATEGORIES, categoryColor } from './companies';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+export const COMPANY_VIEWS = [
+  { id: 'lifespans', label: 'Lifespans' },
+  { id: 'milestones', label: 'Milestones' }
+];
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+const swatchStyle = (color, shown) => ({
+  display: 'inline-block',
+  width: '10px',
+  height: '10px',
+  marginRight: '5px',
+  borderRadius: '2px',
+  background: shown ? color : 'transparent',
+  border: `2px solid ${color}`
+});
+
+/**
+ * Category legend for the company timeline, doubling as a filter (each entry
+ * toggles its companies), plus the choice between lifespan bars and milestones.
+ * categories lists the category ids present in the data; hidden those filtered out.
+ */
+function CompanyControls({ categories, hidden, view, onToggle, onViewChange }) {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div role="group" aria-label={t('companies.categories')} style={{ marginBottom: '6px' }}>
+        {CATEGORIES.filter(c => categories.includes(c.id)).map(category => {
+          const shown = !hidden.includes(category.id);
+          return (
+            <button
+              key={category.id}
+              type="button"
+              aria-pressed={shown}
+              style={{ ...controlStyle, background: 'none', border: 'none', color: 'inherit', cursor: 'pointer', opacity: shown ? 1 : 0.5 }}
+              onClick={() => onToggle(category.id)}
+            >
+              <span style={swatchStyle(categoryColor(category.id, theme), shown)}></span>
+              {t(`categories.${category.id}`)}
+            </button>
+          );
+        })}
+      </div>
+      <div role="radiogroup" aria-label={t('companies.view')}>
+        {COMPANY_VIEWS.map(option => (
+          <label key={option.id} style={controlStyle}>
+            <input
+              type="radio"
+              name="company-view"
+              value={option.id}
+              checked={view === option.id}
+              onChange={() => onViewChange(option.id)}
+            />{' '}
+            {t(`companyViews.${option.id}`)}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CompanyControls;
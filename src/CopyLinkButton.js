@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+/**
+ * Link to the page as it is now, opening at one chart's section
+ */
+export const chartLink = (chart, location = window.location) =>
+  `${location.origin}${location.pathname}${location.search}#chart-${chart}`;
+
+/**
+ * Copies a link to the current view of one chart. Where the clipboard can't be
+ * written (older browsers, insecure pages, a refused permission) the link is
+ * shown selected for copying by hand.
+ */
+function CopyLinkButton({ chart }) {
+  const [status, setStatus] = useState(null);
+  const theme = useTheme();
+  const { t } = useLocale();
+
+  const copy = async () => {
+    const link = chartLink(chart);
+    try {
+      await navigator.clipboard.writeText(link);
+      setStatus({ copied: true });
+    } catch (error) {
+      setStatus({ copied: false, link });
+    }
+  };
+
+  return (
+    <div style={{ margin: '6px 0', fontSize: '14px' }}>
+      <button type="button" onClick={copy}>{t('link.copy')}</button>{' '}
+      <span role="status" style={{ color: theme.page.muted }}>
+        {status && status.copied && t('link.copied')}
+      </span>
+      {status && !status.copied && (
+        <label>
+          {t('link.manual')}{' '}
+          <input type="text" readOnly value={status.link} size={50} onFocus={event => event.target.select()} autoFocus />
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default CopyLinkButton;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+/**
+ * Collapsible report of the validation issues found in each loaded or uploaded file
+ */
+function DataQualityPanel({ datasets, uploads = [] }) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+  const reports = [...Object.values(datasets), ...uploads].filter(dataset => dataset.quality);
+  if (!reports.length) return null;
+
+  const issueCount = reports.reduce((sum, dataset) => sum + dataset.quality.issues.length, 0);
+
+  return (
+    <details style={{ marginTop: '40px', fontSize: '14px' }}>
+      <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>
+        {locale.plural('quality.title', issueCount)}
+      </summary>
+
+      {reports.map(({ id, file, quality }) => {
+        const excluded = quality.rowCount - quality.keptCount;
+        return (
+          <div key={id} style={{ marginTop: '12px' }}>
+            <div>
+              <code>{file}</code>: {t('quality.rows', { rows: quality.rowCount, kept: quality.keptCount })}
+              {excluded > 0 ? t('quality.leftOut', { count: excluded }) : ''}
+            </div>
+            {quality.issues.length ? (
+              <ul style={{ margin: '4px 0', paddingLeft: '20px' }}>
+                {quality.issues.map((issue, i) => (
+                  <li key={i}>
+                    <span style={{ color: issue.severity === 'error' ? theme.page.error : theme.page.warning, fontWeight: 'bold' }}>
+                      {issue.severity === 'error' ? t('quality.excluded') : t('quality.warning')}
+                    </span>
+                    {issue.line ? t('quality.line', { line: issue.line }) : ''}: {locale.describe(issue.message)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div style={{ color: theme.page.success }}>{t('quality.none')}</div>
+            )}
+          </div>
+        );
+      })}
+    </details>
+  );
+}
+
+export default DataQualityPanel;
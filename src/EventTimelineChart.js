@@ -0,0 +1,344 @@
+import React, { useCallback } from 'react';
+import * as d3 from 'd3';
+import { axisTickFormat, chartFrame, chartLayout, inDomain, setDescription, setNote, valueDomain, xTickCount } from './chartFrame';
+import { describeChart } from './chartSummary';
+import { annotationColor, drawAnnotations, drawPeriodShading } from './annotationLayer';
+import { attachCrosshair } from './crosshair';
+import { categoryColor, companyEvents } from './companies';
+import { estimateTextWidth, stackLabels } from './labelLayout';
+import { drawForecast, forecastExtent, withForecast } from './forecastLayer';
+import { DEFAULT_LOCALE, useLocale } from './locale';
+import { drawOverlays } from './overlays';
+import { DEFAULT_THEME, useTheme } from './theme';
+import useChart from './useChart';
+
+// Room above the plot for the title (company lanes are added on top) and below it for phases
+const MARGIN = { top: 70, right: 50, bottom: 120, left: 80 };
+
+// Compact layout: room below for a wrapped note
+const COMPACT_MARGIN = { top: 70, right: 30, bottom: 150, left: 70 };
+
+// Marker shapes for the events in a company's history
+const MARKER_SYMBOLS = {
+  founded: d3.symbolCircle,
+  ipo: d3.symbolDiamond,
+  milestone: d3.symbolTriangle,
+  shutdown: d3.symbolCross
+};
+
+// Events shown as markers in each company view
+const VIEW_MARKERS = {
+  lifespans: ['ipo', 'shutdown'],
+  milestones: ['founded', 'ipo', 'milestone', 'shutdown']
+};
+
+/**
+ * Draw (or update in place) a series as a shaded area with a lane per company
+ * above it and named phases as a band under the x axis.
+ *
+ * data: [{ date, value }]; companies: [{ id, label, category, date, ipo, end,
+ * milestones }] as built by buildCompanies. companyView 'lifespans' draws each
+ * company as a bar from founding to shutdown (or the present) with its IPO and
+ * shutdown marked; 'milestones' draws every event in its history as a marker.
+ * Companies share a lane when their bars and labels don't overlap, so labels
+ * never collide. phases: [{ date, end, label }]; periods ([{ date, end, label,
+ * kind }], e.g. recessions) are shaded behind the series; annotations: [{ id,
+ * date, label, kind }] are marked inside the plot, and onPick gets the date of a
+ * click. highlight lists the ids of companies to emphasize, fading the others
+ * (null shows all alike). forecast ([{ date, value, lower, upper }]) continues
+ * the series dashed with its interval shaded. The x domain runs from two years
+ * before the earliest date (to the end of any forecast) unless xDomain is
+ * given. color and fill default to the theme's timeline series, and companies
+ * take their category's color in theme. locale formats the axes, company
+ * events, summary and crosshair. Narrow charts use the compact layout.
+ * Returns the chart's crosshair state, or null when there's no data.
+ */
+export const drawEventTimelineChart = (container, {
+  title,
+  subtitle,
+  width = 800,
+  height: fixedHeight,
+  margin: fixedMargin,
+  clipId = 'event-timeline-clip',
+  data,
+  label,
+  units,
+  theme = DEFAULT_THEME,
+  color = theme.series.timeline.color,
+  fill = theme.series.timeline.fill,
+  locale = DEFAULT_LOCALE,
+  yLabel = '',
+  companies = [],
+  companyView = 'lifespans',
+  phases = [],
+  periods = [],
+  annotations = [],
+  highlight = null,
+  forecast = null,
+  xDomain,
+  overlays = [],
+  note = '',
+  onHover = () => {},
+  onPick
+}) => {
+  if (!data.length) return null;
+
+  const { compact, tickSize } = chartLayout(width, theme.fontScale);
+  const baseMargin = fixedMargin || (compact ? COMPACT_MARGIN : MARGIN);
+  const laneHeight = compact ? 16 : 18;
+  const labelSize = tickSize - 1;
+
+  // Combined date range, with some padding before the first date
+  const allDates = [...data.map(d => d.date), ...companies.map(d => d.date)];
+  const minDate = new Date(d3.min(allDates));
+  minDate.setFullYear(minDate.getFullYear() - 2);
+
+  // X scale (time), narrowed to xDomain when one is given and running on to the end of any forecast
+  const plotWidth = width - baseMargin.left - baseMargin.right;
+  const xScale = d3.scaleTime()
+    .domain(withForecast(xDomain || [minDate, d3.max(allDates)], forecast))
+    .range([0, plotWidth]);
+  const [start, end] = xScale.domain();
+
+  // Companies active in the visible range, each spanning its label (left of the
+  // bar, pulled inside the plot near the edge) and its bar
+  const spans = companies
+    .filter(c => c.date <= end && (c.end || end) >= start)
+    .map(c => {
+      const x0 = Math.max(0, xScale(c.date));
+      const x1 = Math.min(plotWidth, xScale(c.end || end));
+      const labelWidth = estimateTextWidth(c.label, labelSize, true);
+      const labelX = Math.max(0, x0 - 4 - labelWidth);
+      return { ...c, x0, x1, labelX, left: labelX, right: Math.max(x1, labelX + labelWidth) };
+    });
+
+  // Greedy lanes: each company goes in the first lane where it clears the previous one
+  const rows = stackLabels(spans.map(c => ({ x: (c.left + c.right) / 2, width: c.right - c.left })), { maxX: plotWidth });
+  const lanes = spans.map((c, i) => ({ ...c, row: rows[i].row }));
+  const laneCount = lanes.length ? d3.max(lanes, c => c.row) + 1 : 0;
+
+  const margin = { ...baseMargin, top: baseMargin.top + laneCount * laneHeight };
+  const height = (fixedHeight || (compact ? 570 : 540)) + laneCount * laneHeight;
+
+  const { svg, g, clipped, innerWidth, innerHeight, layout, isFirstRender, animate } =
+    chartFrame(container, { width, height, margin, clipId, title, subtitle, noteY: height - 25, theme, locale });
+
+  // Add the shaded periods, series area and line, company, annotation and phase groups on first render
+  if (isFirstRender) {
+    clipped.append('g').attr('class', 'periods');
+
+    clipped.append('path').attr('class', 'series-area');
+
+    clipped.append('path')
+      .attr('class', 'series-line')
+      .attr('fill', 'none');
+
+    clipped.append('g').attr('class', 'forecast');
+    clipped.append('g').attr('class', 'overlays');
+
+    g.append('g').attr('class', 'annotations');
+    g.append('g').attr('class', 'companies');
+    g.append('g').attr('class', 'phases');
+  }
+
+  // Y scale, fitted to the visible data and forecast interval
+  const yScale = d3.scaleLinear()
+    .domain(valueDomain([...inDomain(data, xScale.domain()), ...forecastExtent(forecast)]))
+    .range([innerHeight, 0]);
+
+  // Area and line generators
+  const area = d3.area()
+    .x(d => xScale(d.date))
+    .y0(yScale(0))
+    .y1(d => yScale(d.value))
+    .curve(d3.curveMonotoneX);
+
+  const line = d3.line()
+    .x(d => xScale(d.date))
+    .y(d => yScale(d.value))
+    .curve(d3.curveMonotoneX);
+
+  g.select('.series-area').attr('fill', fill);
+  g.select('.series-line')
+    .attr('stroke', color)
+    .attr('stroke-width', theme.lineWidth);
+  animate(g.select('.series-area').datum(data)).attr('d', area);
+  animate(g.select('.series-line').datum(data)).attr('d', line);
+  drawForecast(g.select('.forecast'), forecast, { xScale, yScale, color, animate });
+
+  // Uploaded overlays
+  g.select('.overlays').selectAll('*').remove();
+  drawOverlays(g.select('.overlays'), overlays, { xScale, innerWidth, innerHeight, locale });
+
+  // X axis
+  animate(g.select('.x-axis'))
+    .call(d3.axisBottom(xScale).ticks(xTickCount(innerWidth)).tickFormat(locale.formatTime('%Y')));
+  g.select('.x-axis').attr('font-size', layout.tickSize);
+
+  // Y axis
+  animate(g.select('.y-axis'))
+    .call(d3.axisLeft(yScale).tickFormat(axisTickFormat(yScale, locale)));
+  g.select('.y-axis').attr('font-size', layout.tickSize);
+
+  g.select('.y-label').text(yLabel);
+  setNote(svg, note);
+
+  // Company lanes above the plot, top to bottom
+  const laneY = c => -laneCount * laneHeight - 6 + (c.row + 0.5) * laneHeight;
+  const markerKinds = VIEW_MARKERS[companyView] || VIEW_MARKERS.lifespans;
+
+  const lanesJoin = g.select('.companies')
+    .selectAll('.company')
+    .data(lanes, d => d.id)
+    .join(enter => {
+      const company = enter.append('g')
+        .attr('class', 'company')
+        .attr('transform', d => `translate(0,${laneY(d)})`);
+
+      company.append('title');
+      company.append('rect').attr('class', 'company-bar');
+      company.append('g').attr('class', 'company-markers');
+
+      company.append('text')
+        .attr('class', 'company-label')
+        .attr('y', 4)
+        .attr('paint-order', 'stroke')
+        .attr('stroke-width', 3)
+        .style('font-weight', 'bold');
+
+      return company;
+    });
+
+  lanesJoin.select('title').text(d => companyEvents(d, locale)
+    .map(e => `${e.label} (${e.date.getUTCFullYear()})`)
+    .join('\n') + (d.end ? '' : `\n${locale.t('chart.stillOperating')}`));
+
+  lanesJoin.select('.company-label')
+    .attr('stroke', theme.chart.halo)
+    .style('font-size', `${labelSize}px`)
+    .style('fill', d => categoryColor(d.category, theme))
+    .text(d => d.label);
+
+  lanesJoin.select('.company-bar')
+    .attr('fill', d => categoryColor(d.category, theme))
+    .attr('opacity', companyView === 'lifespans' ? 0.7 : 0.4);
+
+  animate(lanesJoin)
+    .attr('transform', d => `translate(0,${laneY(d)})`)
+    .style('opacity', d => (!highlight || highlight.includes(d.id) ? 1 : 0.25));
+  animate(lanesJoin.select('.company-label')).attr('x', d => d.labelX);
+  const barHeight = companyView === 'lifespans' ? 8 : 2;
+  animate(lanesJoin.select('.company-bar'))
+    .attr('x', d => d.x0)
+    .attr('y', -barHeight / 2)
+    .attr('height', barHeight)
+    .attr('width', d => Math.max(0, d.x1 - d.x0));
+
+  // Markers for the events the current view shows, inside the visible range
+  lanesJoin.select('.company-markers')
+    .selectAll('.company-marker')
+    .data(d => companyEvents(d, locale)
+      .filter(e => markerKinds.includes(e.kind) && e.date >= start && e.date <= end)
+      .map(e => ({ ...e, color: categoryColor(d.category, theme) })), e => `${e.kind}-${+e.date}`)
+    .join('path')
+    .attr('class', e => `company-marker ${e.kind}`)
+    .attr('d', e => d3.symbol(MARKER_SYMBOLS[e.kind], 40)())
+    .attr('fill', e => (e.kind === 'shutdown' ? theme.chart.shutdown : e.color))
+    .attr('stroke', theme.chart.halo)
+    .attr('transform', e => `translate(${xScale(e.date)},0)`);
+
+  drawPeriodShading(g.select('.periods'), periods, { xScale, innerWidth, innerHeight, animate, theme });
+  drawAnnotations(g.select('.annotations'), annotations, { xScale, innerWidth, innerHeight, animate, theme });
+
+  // Phase extents, clamped to the plot so zooming in doesn't spill them past the axes
+  const phaseX = d => Math.max(0, xScale(d.date));
+  const phaseWidth = d => Math.max(0, Math.min(innerWidth, xScale(d.end)) - phaseX(d));
+
+  const phaseGroups = g.select('.phases')
+    .selectAll('.phase-group')
+    .data(phases, d => d.label)
+    .join(enter => {
+      const phase = enter.append('g').attr('class', 'phase-group');
+
+      phase.append('rect')
+        .attr('class', 'phase')
+        .attr('y', innerHeight + 55)
+        .attr('height', 24)
+        .attr('opacity', 0.7);
+
+      phase.append('text')
+        .attr('class', 'phase-label')
+        .attr('y', innerHeight + 71) // Centered in the phase rect
+        .attr('text-anchor', 'middle')
+        .style('dominant-baseline', 'middle')
+        .style('font-weight', 'bold')
+        .text(d => d.label);
+
+      return phase;
+    });
+
+  phaseGroups.select('.phase').attr('fill', d => theme.chart.phases[phases.indexOf(d) % theme.chart.phases.length]);
+  phaseGroups.select('.phase-label')
+    .style('font-size', `${layout.tickSize - 1}px`)
+    .style('fill', theme.chart.phaseLabel);
+
+  animate(phaseGroups.select('.phase'))
+    .attr('x', phaseX)
+    .attr('width', phaseWidth);
+
+  // Labels only where the phase is wide enough to hold them
+  animate(phaseGroups.select('.phase-label'))
+    .attr('x', d => phaseX(d) + phaseWidth(d) / 2)
+    .style('opacity', d => (phaseWidth(d) > d.label.length * 6 ? 1 : 0));
+
+  // Text summary: the series, any forecast and the companies in view
+  const projected = forecast ? forecast.slice(1) : [];
+  setDescription(svg, [
+    describeChart([
+      { label, data, units },
+      ...(projected.length ? [{ label: locale.t('chart.forecastSeries', { label }), data: projected, units }] : [])
+    ], xScale.domain(), locale),
+    lanes.length
+      ? locale.plural('chart.companiesInView', lanes.length, { names: lanes.map(c => c.label).join(', ') })
+      : locale.t('chart.noCompanies')
+  ].join(' '));
+
+  // Hover crosshair, naming a company event or annotation at the cursor's date and the period it is in
+  attachCrosshair(g, { xScale, innerWidth, innerHeight, onHover, onPick, dates: [...data, ...projected].map(d => d.date), theme });
+  return {
+    g,
+    xScale,
+    innerWidth,
+    series: [{ label, color, data, yScale, units }],
+    events: [
+      ...lanes.flatMap(c => companyEvents(c, locale).map(e => ({ date: e.date, label: e.label, color: categoryColor(c.category, theme) }))),
+      ...annotations.map(a => ({ date: a.date, label: a.label, color: annotationColor(a.kind, theme) }))
+    ],
+    periods,
+    theme,
+    locale
+  };
+};
+
+/**
+ * Area chart with company lanes and phases, in the active theme and locale; see
+ * drawEventTimelineChart for the props. Without a width it fills its container
+ * and redraws when that is resized.
+ */
+function EventTimelineChart({
+  title, subtitle, width, height, margin, clipId, data, label, units, color, fill, yLabel,
+  companies, companyView, phases, periods, annotations, highlight, forecast, xDomain, overlays, note, onHover, onPick, hoverDate = null
+}) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const draw = useCallback((container, measuredWidth) => drawEventTimelineChart(container, {
+    title, subtitle, width: width || measuredWidth || undefined, height, margin, clipId, data, label, units, theme, color, fill,
+    locale, yLabel, companies, companyView, phases, periods, annotations, highlight, forecast, xDomain, overlays, note, onHover, onPick
+  }), [title, subtitle, width, height, margin, clipId, data, label, units, theme, color, fill, locale, yLabel,
+    companies, companyView, phases, periods, annotations, highlight, forecast, xDomain, overlays, note, onHover, onPick]);
+
+  const containerRef = useChart(draw, hoverDate);
+  return <div ref={containerRef}></div>;
+}
+
+export default EventTimelineChart;
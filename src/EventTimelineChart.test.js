@@ -0,0 +1,68 @@
+import { render, screen } from '@testing-library/react';
+import * as d3 from 'd3';
+import EventTimelineChart, { drawEventTimelineChart } from './EventTimelineChart';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const data = [{ date: utc(2000), value: 100 }, { date: utc(2010), value: 300 }];
+const company = (label, founded, extra = {}) => ({
+  id: label, label, category: 'marketplace', date: utc(founded), ipo: null, end: null, milestones: [], ...extra
+});
+const companies = [company('Founder Co', 2004, { ipo: utc(2007), milestones: [{ date: utc(2008), label: 'Launch' }] })];
+const phases = [
+  { date: utc(1998), end: utc(2005), label: 'First phase' },
+  { date: utc(2005), end: utc(2010), label: 'Second phase' }
+];
+
+test('labels companies and draws the phase band', () => {
+  render(
+    <EventTimelineChart title="Timeline fixture" subtitle="Subtitle" data={data} label="Sales"
+      companies={companies} phases={phases} note="Timeline note" />
+  );
+
+  expect(screen.getByText('Timeline fixture')).toBeInTheDocument();
+  expect(screen.getByText('Subtitle')).toBeInTheDocument();
+  expect(screen.getByText('Founder Co', { selector: '.company-label' })).toBeInTheDocument();
+  expect(screen.getByText('First phase')).toBeInTheDocument();
+  expect(screen.getByText('Second phase')).toBeInTheDocument();
+  expect(screen.getByText('Timeline note')).toBeInTheDocument();
+});
+
+test('puts companies in separate lanes only when they would overlap', () => {
+  const container = document.createElement('div');
+  drawEventTimelineChart(container, {
+    data,
+    companies: [
+      company('Early Shop', 2000, { end: utc(2002) }),
+      company('Later Shop', 2006, { end: utc(2009) }),
+      company('Overlapping Shop', 2001)
+    ]
+  });
+
+  const lanes = {};
+  d3.select(container).selectAll('.company').each(function (d) { lanes[d.label] = d.row; });
+  expect(lanes).toEqual({ 'Early Shop': 0, 'Later Shop': 0, 'Overlapping Shop': 1 });
+});
+
+test('shows only IPO and shutdown markers for lifespans and every event for milestones', () => {
+  const container = document.createElement('div');
+  const markers = () => d3.select(container).selectAll('.company-marker').nodes()
+    .map(node => node.getAttribute('class').replace('company-marker ', ''));
+
+  drawEventTimelineChart(container, { data, companies });
+  expect(markers()).toEqual(['ipo']);
+
+  drawEventTimelineChart(container, { data, companies, companyView: 'milestones' });
+  expect(markers()).toEqual(['founded', 'ipo', 'milestone']);
+});
+
+test('shades periods behind the series and reports them to the crosshair', () => {
+  const container = document.createElement('div');
+  const recession = { date: utc(2008), end: utc(2009), label: 'Recession', kind: 'macro' };
+
+  const hover = drawEventTimelineChart(container, { data, companies, phases, periods: [recession] });
+  expect(d3.select(container).selectAll('.periods .period-shade').size()).toBe(1);
+  expect(hover.periods).toEqual([recession]);
+
+  drawEventTimelineChart(container, { data, companies, phases });
+  expect(d3.select(container).selectAll('.period-shade').size()).toBe(0);
+});
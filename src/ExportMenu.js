@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { downloadFile, plottedSeries, standaloneSvg, svgToPng, toCSV, toJSON } from './chartExport';
+import { errorMessage, useLocale } from './locale';
+import { useTheme } from './theme';
+
+const PIXEL_RATIOS = [1, 2, 3];
+
+const buttonStyle = { marginRight: '8px' };
+
+/**
+ * Export menu for one chart: the chart as SVG or PNG, and the data it plots as
+ * CSV or JSON. targetRef wraps the chart's SVG; exportData is { title, caption,
+ * window, settings, series, events }, with series limited to window on export.
+ */
+function ExportMenu({ targetRef, fileName, exportData }) {
+  const [pixelRatio, setPixelRatio] = useState(2);
+  const [error, setError] = useState(null);
+  const theme = useTheme();
+  const { t, describe } = useLocale();
+
+  const plotted = () => ({ ...exportData, series: plottedSeries(exportData.series, exportData.window) });
+  const chartSvg = () => {
+    const svgNode = targetRef.current && targetRef.current.querySelector('svg');
+    if (!svgNode) throw new Error(t('export.notDrawn'));
+    return standaloneSvg(svgNode, {
+      title: exportData.title,
+      caption: exportData.caption,
+      metadata: { window: exportData.window, settings: exportData.settings },
+      theme
+    });
+  };
+
+  /**
+   * Run an export, reporting failures (e.g. a browser refusing to draw the PNG) inline
+   */
+  const run = (exporter) => async () => {
+    setError(null);
+    try {
+      await exporter();
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const exporters = {
+    svg: () => downloadFile(chartSvg(), `${fileName}.svg`, 'image/svg+xml'),
+    png: async () => downloadFile(await svgToPng(chartSvg(), pixelRatio), `${fileName}@${pixelRatio}x.png`),
+    csv: () => downloadFile(toCSV(plotted()), `${fileName}.csv`, 'text/csv'),
+    json: () => downloadFile(toJSON(plotted()), `${fileName}.json`, 'application/json')
+  };
+
+  if (!exportData) return null;
+
+  return (
+    <details style={{ margin: '6px 0 10px', fontSize: '14px' }}>
+      <summary style={{ cursor: 'pointer' }}>{t('export.title', { title: exportData.title })}</summary>
+      <div style={{ marginTop: '6px' }}>
+        <button type="button" style={buttonStyle} onClick={run(exporters.svg)}>SVG</button>
+        <button type="button" style={buttonStyle} onClick={run(exporters.png)}>PNG</button>
+        <label style={buttonStyle}>
+          {t('export.at')}{' '}
+          <select value={pixelRatio} onChange={event => setPixelRatio(+event.target.value)}>
+            {PIXEL_RATIOS.map(ratio => <option key={ratio} value={ratio}>{ratio}×</option>)}
+          </select>
+        </label>
+        <button type="button" style={buttonStyle} onClick={run(exporters.csv)}>{t('export.csv')}</button>
+        <button type="button" style={buttonStyle} onClick={run(exporters.json)}>{t('export.json')}</button>
+      </div>
+      {error && <div role="alert" style={{ color: theme.page.error, marginTop: '6px' }}>{t('export.failed', { error: describe(error) })}</div>}
+    </details>
+  );
+}
+
+export default ExportMenu;
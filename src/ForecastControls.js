@@ -0,0 +1,82 @@
+import React from 'react';
+import { formatValue } from './crosshair';
+import { FORECAST_MODELS } from './forecast';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+export const DEFAULT_FORECAST = { model: 'none', years: 3 };
+
+// Years a forecast can run for
+export const FORECAST_HORIZONS = [1, 2, 3, 5, 10];
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+const cellStyle = { padding: '2px 10px', textAlign: 'right' };
+
+/**
+ * Chooses a forecast model and horizon for one series, and shows how each model
+ * did at predicting the held-out recent observations.
+ * result is what projectSeries returned; unavailable explains why nothing is drawn.
+ */
+function ForecastControls({ label, value, units, result, unavailable, onChange }) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t, describe } = locale;
+  const scored = result.backtest.filter(row => !row.error);
+  const best = scored.length ? scored.reduce((a, b) => (b.rmse < a.rmse ? b : a)).id : null;
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <label style={controlStyle}>
+        {t('forecast.project', { label })}{' '}
+        <select value={value.model} onChange={event => onChange({ ...value, model: event.target.value })}>
+          <option value="none">{t('forecast.none')}</option>
+          {FORECAST_MODELS.map(m => <option key={m.id} value={m.id}>{t(`forecastModels.${m.id}`)}</option>)}
+        </select>
+      </label>
+      {value.model !== 'none' && (
+        <label style={controlStyle}>
+          {t('forecast.for')}{' '}
+          <select value={value.years} onChange={event => onChange({ ...value, years: +event.target.value })}>
+            {FORECAST_HORIZONS.map(years => <option key={years} value={years}>{locale.plural('forecast.years', years)}</option>)}
+          </select>
+        </label>
+      )}
+      {value.model !== 'none' && unavailable && <span style={{ fontSize: '14px', color: theme.page.muted }}>{unavailable}</span>}
+      {result.error && <div role="alert" style={{ color: theme.page.error, fontSize: '14px' }}>{t('forecast.failed', { error: describe(result.error) })}</div>}
+
+      {result.backtest.length > 0 && (
+        <details style={{ marginTop: '6px', fontSize: '14px' }}>
+          <summary style={{ cursor: 'pointer' }}>{t('forecast.backtest', { count: result.holdout })}</summary>
+          <table style={{ borderCollapse: 'collapse', marginTop: '6px' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>{t('forecast.model')}</th>
+                <th style={cellStyle}>{t('forecast.mae')}</th>
+                <th style={cellStyle}>{t('forecast.rmse')}</th>
+                <th style={cellStyle}>{t('forecast.mape')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.backtest.map(row => (
+                <tr key={row.id} style={{ fontWeight: row.id === best ? 'bold' : 'normal' }}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{row.id === best ? t('forecast.best', { model: t(`forecastModels.${row.id}`) }) : t(`forecastModels.${row.id}`)}</td>
+                  {row.error
+                    ? <td colSpan={3} style={cellStyle}>{describe(row.error)}</td>
+                    : (
+                      <>
+                        <td style={cellStyle}>{formatValue(row.mae, units, locale)}</td>
+                        <td style={cellStyle}>{formatValue(row.rmse, units, locale)}</td>
+                        <td style={cellStyle}>{formatValue(row.mape, '%', locale)}</td>
+                      </>
+                    )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default ForecastControls;
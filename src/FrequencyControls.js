@@ -0,0 +1,35 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { AGGREGATIONS, FREQUENCIES } from './resample';
+
+export const DEFAULT_ALIGNMENT = { frequency: 'native', method: 'mean' };
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+/**
+ * Selects the common frequency (and how to aggregate into it) for a chart's series
+ */
+function FrequencyControls({ value, onChange }) {
+  const { t } = useLocale();
+  const update = (key) => (event) => onChange({ ...value, [key]: event.target.value });
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <label style={controlStyle}>
+        {t('frequency.compareAt')}{' '}
+        <select value={value.frequency} onChange={update('frequency')}>
+          <option value="native">{t('frequency.native')}</option>
+          {FREQUENCIES.map(f => <option key={f.id} value={f.id}>{t(`frequencies.${f.id}`)}</option>)}
+        </select>
+      </label>
+      <label style={controlStyle}>
+        {t('frequency.aggregateBy')}{' '}
+        <select value={value.method} onChange={update('method')} disabled={value.frequency === 'native'}>
+          {AGGREGATIONS.map(a => <option key={a.id} value={a.id}>{t(`aggregations.${a.id}`)}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default FrequencyControls;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { useLocale } from './locale';
+
+export const GROWTH_MODES = [
+  { id: 'dual', label: 'Dual axis' },
+  { id: 'indexed', label: 'Indexed (base = 100)' },
+  { id: 'log', label: 'Shared log scale' }
+];
+
+export const DEFAULT_GROWTH_VIEW = { mode: 'dual', baseYear: 2005 };
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+/**
+ * Switches the growth chart between dual-axis, indexed and log-scale views.
+ * With scalingDisabled (series shown as percentages) only dual axis applies.
+ * A base year outside baseYears (say, from an edited link) stays selected; the
+ * chart uses the nearest year in range and says so.
+ */
+function GrowthModeControls({ value, baseYears, scalingDisabled = false, onChange }) {
+  const { t } = useLocale();
+  const mode = scalingDisabled ? 'dual' : value.mode;
+  return (
+    <div role="radiogroup" aria-label={t('growthMode.group')} style={{ marginBottom: '10px' }}>
+      {GROWTH_MODES.map(option => (
+        <label key={option.id} style={controlStyle}>
+          <input
+            type="radio"
+            name="growth-mode"
+            value={option.id}
+            checked={mode === option.id}
+            disabled={scalingDisabled && option.id !== 'dual'}
+            onChange={() => onChange({ ...value, mode: option.id })}
+          />{' '}
+          {t(`growthModes.${option.id}`)}
+        </label>
+      ))}
+      {mode === 'indexed' && (
+        <label style={controlStyle}>
+          {t('growthMode.baseYear')}{' '}
+          <select value={value.baseYear} onChange={event => onChange({ ...value, baseYear: +event.target.value })}>
+            {!baseYears.includes(value.baseYear) && <option value={value.baseYear}>{value.baseYear}</option>}
+            {baseYears.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default GrowthModeControls;
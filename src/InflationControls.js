@@ -0,0 +1,44 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+export const DEFAULT_PRICES = { real: false, baseYear: 2020 };
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+/**
+ * Switches dollar series between nominal and real (constant base-year) dollars.
+ * years are the years the price index covers; unavailable explains why real
+ * dollars can't be shown (e.g. the index failed to load). A base year outside
+ * years (say, from an edited link) is kept selectable but noted as unusable,
+ * and the page shows nominal dollars meanwhile.
+ */
+function InflationControls({ value, years, unavailable, onChange }) {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const real = value.real && !unavailable;
+  const uncovered = real && !years.includes(value.baseYear);
+  return (
+    <div role="radiogroup" aria-label={t('inflation.group')} style={{ marginBottom: '20px' }}>
+      <label style={controlStyle}>
+        <input type="radio" name="prices" checked={!real} onChange={() => onChange({ ...value, real: false })} />{' '}
+        {t('inflation.nominal')}
+      </label>
+      <label style={controlStyle}>
+        <input type="radio" name="prices" checked={real} disabled={Boolean(unavailable)}
+          onChange={() => onChange({ ...value, real: true })} />{' '}
+        {t('inflation.real')}{' '}
+        <select value={value.baseYear} disabled={!real} aria-label={t('inflation.baseYear')}
+          onChange={event => onChange({ ...value, baseYear: +event.target.value })}>
+          {uncovered && <option value={value.baseYear}>{value.baseYear}</option>}
+          {years.map(year => <option key={year} value={year}>{year}</option>)}
+        </select>{t('inflation.realEnd')}
+      </label>
+      <span role="status" style={{ fontSize: '14px', color: uncovered ? theme.page.warning : theme.page.muted }}>
+        {unavailable || (uncovered ? t('inflation.baseYearUnavailable', { year: value.baseYear }) : t('inflation.note'))}
+      </span>
+    </div>
+  );
+}
+
+export default InflationControls;
@@ -0,0 +1,96 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+/**
+ * Work out whether a chart's required datasets are ready.
+ * Returns { state: 'loading' | 'error' | 'ready', missing: [{ id, label, file, message }] },
+ * with labels and messages for locale.describe
+ */
+export const getChartState = (requires, { specs, status, errors, isManifestLoading }) => {
+  if (errors.manifest) {
+    return {
+      state: 'error',
+      missing: [{ id: 'manifest', label: { key: 'load.manifest' }, ...errors.manifest }]
+    };
+  }
+  if (isManifestLoading) return { state: 'loading', missing: [] };
+
+  const missing = requires
+    .filter(id => status[id] !== 'loaded')
+    .map(id => {
+      const spec = specs.find(s => s.id === id);
+      if (!spec) {
+        return { id, label: id, file: null, message: { key: 'load.undeclared' } };
+      }
+      return { id, label: spec.label, file: spec.file, message: errors[id] ? errors[id].message : null };
+    });
+
+  if (missing.some(m => m.message)) {
+    return { state: 'error', missing: missing.filter(m => m.message) };
+  }
+  return { state: missing.length ? 'loading' : 'ready', missing };
+};
+
+const panelStyle = theme => ({
+  border: `1px solid ${theme.page.errorBorder}`,
+  background: theme.page.errorBackground,
+  borderRadius: '4px',
+  padding: '12px 16px',
+  marginBottom: '30px',
+  fontSize: '14px'
+});
+
+/**
+ * Page-level panel listing every file that failed to load, with a retry action
+ */
+export function LoadErrorPanel({ errors, onRetry }) {
+  const theme = useTheme();
+  const { t, describe } = useLocale();
+  const failures = Object.values(errors);
+  if (!failures.length) return null;
+
+  return (
+    <div role="alert" style={panelStyle(theme)}>
+      <strong>{t('load.failed')}</strong>
+      <ul style={{ margin: '8px 0', paddingLeft: '20px' }}>
+        {failures.map(failure => (
+          <li key={failure.file}>
+            <code>{failure.file}</code>: {describe(failure.message)}
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={onRetry}>{t('load.retry')}</button>
+    </div>
+  );
+}
+
+/**
+ * Per-chart placeholder shown while its data loads or when some of it is missing
+ */
+export function ChartStatus({ chartState }) {
+  const theme = useTheme();
+  const { t, describe } = useLocale();
+  if (chartState.state === 'ready') return null;
+
+  if (chartState.state === 'loading') {
+    return (
+      <div aria-busy="true" style={{ padding: '40px 0', textAlign: 'center', color: theme.page.faint, fontStyle: 'italic' }}>
+        {t('load.loading')}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ ...panelStyle(theme), marginBottom: '0' }}>
+      {t('load.missing')}
+      <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+        {chartState.missing.map(m => (
+          <li key={m.id}>
+            {describe(m.label)}{m.file ? <> (<code>{m.file}</code>)</> : null}: {describe(m.message)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
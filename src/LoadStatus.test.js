@@ -0,0 +1,42 @@
+import { getChartState } from './LoadStatus';
+
+const specs = [
+  { id: 'retailSales', label: 'E-commerce Sales', file: 'retailSales.csv' },
+  { id: 'loans', label: 'Consumer Loans', file: 'loans.csv' }
+];
+
+test('reports loading until every required dataset is loaded', () => {
+  const state = getChartState(['retailSales', 'loans'], {
+    specs,
+    status: { retailSales: 'loaded', loans: 'loading' },
+    errors: {},
+    isManifestLoading: false
+  });
+
+  expect(state.state).toBe('loading');
+});
+
+test('names the missing file when a required dataset failed', () => {
+  const state = getChartState(['retailSales', 'loans'], {
+    specs,
+    status: { retailSales: 'loaded', loans: 'error' },
+    errors: { loans: { file: 'loans.csv', message: '404 Not Found' } },
+    isManifestLoading: false
+  });
+
+  expect(state).toEqual({
+    state: 'error',
+    missing: [{ id: 'loans', label: 'Consumer Loans', file: 'loans.csv', message: '404 Not Found' }]
+  });
+});
+
+test('is ready once its own datasets loaded, even if others failed', () => {
+  const state = getChartState(['retailSales'], {
+    specs,
+    status: { retailSales: 'loaded', loans: 'error' },
+    errors: { loans: { file: 'loans.csv', message: '404 Not Found' } },
+    isManifestLoading: false
+  });
+
+  expect(state).toEqual({ state: 'ready', missing: [] });
+});
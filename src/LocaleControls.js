@@ -0,0 +1,22 @@
+import React from 'react';
+import { LOCALES, useLocale } from './locale';
+
+/**
+ * Picks the page's language, which also sets how dates and numbers are written.
+ * Each language is listed under its own name.
+ */
+function LocaleControls({ value, onChange }) {
+  const { t } = useLocale();
+  return (
+    <div style={{ marginBottom: '20px', fontSize: '14px' }}>
+      <label>
+        {t('locale.label')}{' '}
+        <select value={value} onChange={event => onChange(event.target.value)}>
+          {Object.values(LOCALES).map(locale => <option key={locale.id} value={locale.id} lang={locale.id}>{locale.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default LocaleControls;
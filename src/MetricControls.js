@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { DEFAULT_LOCALE, useLocale } from './locale';
+import { METRICS } from './transforms';
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+export const DEFAULT_METRIC = { metric: 'level', window: 4, baseYear: 2010 };
+
+// Smallest and largest rolling average window, in observations
+export const ROLLING_WINDOWS = { min: 2, max: 52 };
+
+/**
+ * Axis label text for a series shown as a metric, e.g. "E-commerce Sales (YoY % change)".
+ * With realBaseYear the series is in constant dollars of that year, which the label states.
+ */
+export const metricLabel = (name, { metric, window, baseYear }, units, realBaseYear = null, locale = DEFAULT_LOCALE) => {
+  const { t } = locale;
+  const unitText = realBaseYear
+    ? t('units.real', { units: locale.unitLabel(units), year: realBaseYear })
+    : locale.unitLabel(units);
+  const real = realBaseYear ? t('metricLabel.real') : '';
+  switch (metric) {
+    case 'change': return t('metricLabel.change', { name, real });
+    case 'yoy': return t('metricLabel.yoy', { name, real });
+    case 'rolling': return t('metricLabel.rolling', { name, units: unitText, window });
+    case 'cumulative': return t('metricLabel.cumulative', { name, year: baseYear, real });
+    default: return t('metricLabel.level', { name, units: unitText });
+  }
+};
+
+/**
+ * Rolling window field. What is typed stays as typed until the field loses
+ * focus or Enter is pressed, and is only then kept within ROLLING_WINDOWS.
+ */
+function WindowInput({ value, onChange }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const window = Math.round(+draft);
+    onChange(draft.trim() && Number.isFinite(window)
+      ? Math.min(ROLLING_WINDOWS.max, Math.max(ROLLING_WINDOWS.min, window))
+      : value);
+    setDraft(null);
+  };
+
+  return (
+    <input type="number" min={ROLLING_WINDOWS.min} max={ROLLING_WINDOWS.max} value={draft ?? value} style={{ width: '50px' }}
+      onChange={event => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={event => { if (event.key === 'Enter') commit(); }} />
+  );
+}
+
+/**
+ * Chooses how one series is shown: its level or a metric derived from it
+ */
+function MetricSelect({ label, value, years, onChange }) {
+  const { t } = useLocale();
+  const update = (key, parse = v => v) => (event) => onChange({ ...value, [key]: parse(event.target.value) });
+
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <label style={controlStyle}>
+        {t('metric.as', { label })}{' '}
+        <select value={value.metric} onChange={update('metric')}>
+          {METRICS.map(m => <option key={m.id} value={m.id}>{t(`metrics.${m.id}`)}</option>)}
+        </select>
+      </label>
+      {value.metric === 'rolling' && (
+        <label style={controlStyle}>
+          {t('metric.window')}{' '}
+          <WindowInput value={value.window} onChange={window => onChange({ ...value, window })} />
+        </label>
+      )}
+      {value.metric === 'cumulative' && (
+        <label style={controlStyle}>
+          {t('metric.since')}{' '}
+          <select value={value.baseYear} onChange={update('baseYear', Number)}>
+            {years.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One-line summary of each series' compound annual growth over the visible window.
+ * rows: [{ label, rate }] with rate in percent (NaN when it can't be computed)
+ */
+export function CagrSummary({ rows, window }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const formatDate = locale.formatUtc('%Y');
+  const formatRate = locale.format('+.1f');
+  return (
+    <p style={{ fontSize: '14px', margin: '0 0 20px' }}>
+      <strong>{window ? t('cagr.window', { start: formatDate(window[0]), end: formatDate(window[1]) }) : t('cagr.all')}</strong>{' '}
+      {rows.map(({ label, rate }, i) => (
+        <span key={label}>
+          {i > 0 && ' · '}
+          {label} {Number.isFinite(rate) ? t('cagr.rate', { rate: formatRate(rate) }) : '–'}
+        </span>
+      ))}
+    </p>
+  );
+}
+
+export default MetricSelect;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { annotationColor } from './annotationLayer';
+import { downloadFile } from './chartExport';
+import { errorMessage, useLocale } from './locale';
+import { useTheme } from './theme';
+import { parseNotes } from './useNotes';
+import { OVERLAY_TARGETS } from './UploadPanel';
+
+const formStyle = theme => ({ margin: '6px 0 10px', padding: '10px', background: theme.page.tint, borderRadius: '4px', fontSize: '14px' });
+
+/**
+ * Form for a new note on the date that was clicked on a chart
+ */
+export function NoteForm({ date, onSave, onCancel }) {
+  const [text, setText] = useState('');
+  const theme = useTheme();
+  const { t } = useLocale();
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (text.trim()) onSave(text.trim());
+  };
+
+  return (
+    <form style={formStyle(theme)} onSubmit={handleSubmit}>
+      <label>
+        {t('notes.noteFor', { date })}{' '}
+        <input type="text" value={text} autoFocus size={40} onChange={event => setText(event.target.value)} />
+      </label>{' '}
+      <button type="submit" disabled={!text.trim()}>{t('notes.saveNote')}</button>{' '}
+      <button type="button" onClick={onCancel}>{t('common.cancel')}</button>
+    </form>
+  );
+}
+
+/**
+ * One listed note, with inline editing
+ */
+function NoteItem({ note, chartLabel, onUpdate, onRemove }) {
+  const [draft, setDraft] = useState(null);
+  const theme = useTheme();
+  const { t } = useLocale();
+
+  const save = () => {
+    if (draft.trim()) onUpdate(note.id, draft.trim());
+    setDraft(null);
+  };
+
+  return (
+    <li>
+      {t('notes.item', { date: note.date, chart: chartLabel })}{' '}
+      {draft === null ? (
+        <>
+          <span style={{ color: annotationColor('note', theme), fontWeight: 'bold' }}>{note.text}</span>{' '}
+          <button type="button" onClick={() => setDraft(note.text)}>{t('common.edit')}</button>
+        </>
+      ) : (
+        <>
+          <input type="text" aria-label={t('notes.editLabel', { date: note.date })} value={draft} size={40}
+            onChange={event => setDraft(event.target.value)} />{' '}
+          <button type="button" onClick={save}>{t('common.save')}</button>{' '}
+          <button type="button" onClick={() => setDraft(null)}>{t('common.cancel')}</button>
+        </>
+      )}{' '}
+      <button type="button" onClick={() => onRemove(note.id)}>{t('common.delete')}</button>
+    </li>
+  );
+}
+
+/**
+ * The user's notes on the charts: listed for editing, and saved to or loaded
+ * from a JSON file so they can be shared or moved between browsers
+ */
+function NotesPanel({ notes, onUpdate, onRemove, onImport, storageError }) {
+  const [error, setError] = useState(null);
+  const theme = useTheme();
+  const { t, describe } = useLocale();
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      onImport(parseNotes(await file.text(), OVERLAY_TARGETS.map(target => target.id)));
+    } catch (importError) {
+      setError({ file: file.name, message: errorMessage(importError) });
+    }
+  };
+
+  const chartLabel = id => t(`overlayTargets.${id}`);
+
+  return (
+    <section style={{ marginTop: '40px', fontSize: '14px' }}>
+      <h2 style={{ fontSize: '18px' }}>{t('notes.title')}</h2>
+      <p>{t('notes.hint')}</p>
+
+      {notes.length > 0 && (
+        <ul style={{ paddingLeft: '20px' }}>
+          {notes.map(note => (
+            <NoteItem key={note.id} note={note} chartLabel={chartLabel(note.chart)} onUpdate={onUpdate} onRemove={onRemove} />
+          ))}
+        </ul>
+      )}
+
+      <label style={{ color: theme.page.link, cursor: 'pointer', textDecoration: 'underline', marginRight: '12px' }}>
+        {t('notes.import')}
+        <input
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={event => { readFile(event.target.files[0]); event.target.value = ''; }}
+        />
+      </label>
+      <button type="button" disabled={!notes.length}
+        onClick={() => downloadFile(JSON.stringify(notes, null, 2), 'ecommerce-notes.json', 'application/json')}>
+        {t('notes.export')}
+      </button>
+
+      {error && <p role="alert" style={{ color: theme.page.error }}>{error.file}: {describe(error.message)}</p>}
+      {storageError && <p role="alert" style={{ color: theme.page.error }}>{describe(storageError)}</p>}
+    </section>
+  );
+}
+
+export default NotesPanel;
@@ -1,644 +1,601 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
-
-function EcommerceOverconsumption() {
-  // State for each CSV's processed data
-  const [salesData, setSalesData] = useState([]);         // E-commerce sales over time
-  const [loansData, setLoansData] = useState([]);         // Consumer loans over time
-  const [percentData, setPercentData] = useState([]);     // E-commerce % of total retail
-  const [foundingData, setFoundingData] = useState([]);   // Company founding dates
-  const [isDataLoaded, setIsDataLoaded] = useState(false);
-
-  // Refs to each D3 chart container
-  const growthChartRef = useRef(null);     // 1) Growth of E-commerce vs Consumer Loans
-  const percentChartRef = useRef(null);    // 2) E-commerce Share of Total Retail
-  const timelineChartRef = useRef(null);   // 3) Company Founding Timeline with Sales Overlay
-
-  /**
-   * Parse CSV content manually without external library
-   */
-  const parseCSV = (csvContent, delimiter = ",") => {
-    const lines = csvContent.split('\n');
-    if (lines.length === 0) return [];
-    
-    const headers = lines[0].split(delimiter).map(header => header.trim());
-    
-    return lines.slice(1).filter(line => line.trim().length > 0).map(line => {
-      const values = line.split(delimiter);
-      const entry = {};
-      
-      headers.forEach((header, i) => {
-        entry[header] = values[i] ? values[i].trim() : '';
-      });
-      
-      return entry;
+import { appliesTo } from './annotationLayer';
+import { dataAnnotations, displayUnits, growthChartModel, shadedPeriods } from './chartModels';
+import { buildCompanies, companyEvents } from './companies';
+import CompanyControls from './CompanyControls';
+import CopyLinkButton from './CopyLinkButton';
+import { getSeries } from './dataRegistry';
+import DataQualityPanel from './DataQualityPanel';
+import EventTimelineChart from './EventTimelineChart';
+import ExportMenu from './ExportMenu';
+import { projectSeries } from './forecast';
+import ForecastControls from './ForecastControls';
+import { withForecast } from './forecastLayer';
+import FrequencyControls from './FrequencyControls';
+import GrowthModeControls from './GrowthModeControls';
+import InflationControls from './InflationControls';
+import AreaShareChart from './AreaShareChart';
+import ChartDataTable from './ChartDataTable';
+import { ChartStatus, LoadErrorPanel, getChartState } from './LoadStatus';
+import { useLocale } from './locale';
+import LocaleControls from './LocaleControls';
+import MetricSelect, { CagrSummary, metricLabel } from './MetricControls';
+import NotesPanel, { NoteForm } from './NotesPanel';
+import PeriodControls from './PeriodControls';
+import { decodeView, encodeView, linkedView } from './permalink';
+import ScrollyStory, { StoryModeControls, storySupported } from './ScrollyStory';
+import { alignSeries, frequencyInfo } from './resample';
+import { correlationSummary } from './statistics';
+import StatisticsPanel from './StatisticsPanel';
+import { chartCaption, chartStep } from './story';
+import { useTheme } from './theme';
+import ThemeControls from './ThemeControls';
+import TimeSeriesChart from './TimeSeriesChart';
+import TimeWindowControl from './TimeWindowControl';
+import { applyMetric, cagr, deflate, metricInfo } from './transforms';
+import UploadPanel from './UploadPanel';
+import useDatasets from './useDatasets';
+import useNotes, { formatDay, noteAnnotations } from './useNotes';
+import usePermalink from './usePermalink';
+import useStory from './useStory';
+import useUploads from './useUploads';
+
+// Datasets each chart needs before it can be drawn
+const GROWTH_CHART_DATA = ['retailSales', 'loans'];
+const PERCENT_CHART_DATA = ['percentOfTotal'];
+const TIMELINE_CHART_DATA = ['foundingDates', 'retailSales'];
+
+// Charts that take annotations, periods and notes
+const CHART_IDS = ['growth', 'percent', 'timeline'];
+
+// Stable "no periods" value, so memos depending on it don't rerun
+const EMPTY_PERIODS = [];
+
+const periodsPerYear = (frequency) => (frequencyInfo(frequency) || { perYear: 1 }).perYear;
+
+// Calendar years a series covers, for base-year selects
+const yearsOf = (data) => (data.length
+  ? d3.range(data[0].date.getUTCFullYear(), data[data.length - 1].date.getUTCFullYear() + 1)
+  : []);
+
+/**
+ * The page: controls, charts and panels. themeChoice is the theme picked in its
+ * theme control ('system' or a theme id), reported through onThemeChange;
+ * localeChoice is the language picked (a locale id, or null for the browser's),
+ * reported through onLocaleChange. The active theme and locale come from
+ * context. The view starts as the page's URL describes and is kept in it.
+ */
+function EcommerceOverconsumption({
+  themeChoice = 'system',
+  onThemeChange = () => {},
+  localeChoice = null,
+  onLocaleChange = () => {}
+}) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+  const [linked] = useState(linkedView);
+
+  // Source attribution for the footer, also used as the caption of exported charts
+  const exportCaption = `${t('page.sourcesLabel')} ${t('page.sources')}`;
+
+  // Normalized datasets from the manifest, keyed by id, plus per-dataset load status
+  const loadState = useDatasets();
+  const { datasets } = loadState;
+
+  const nominalSales = getSeries(datasets, 'retailSales');   // E-commerce sales over time
+  const nominalLoans = getSeries(datasets, 'loans');         // Consumer loans over time
+  const cpiData = getSeries(datasets, 'cpi');                // Price index for real dollars
+  const percentData = getSeries(datasets, 'percentOfTotal'); // E-commerce % of total retail
+  const foundingData = getSeries(datasets, 'foundingDates'); // Companies, founding to shutdown
+  const milestoneData = getSeries(datasets, 'milestones');   // Company milestones
+  const annotationData = getSeries(datasets, 'annotations'); // Dated events, each for some charts
+  const periodData = getSeries(datasets, 'phases');          // Named periods, each for some charts
+  const macroData = getSeries(datasets, 'macroPeriods');     // Recessions and other macro events
+
+  // Dollar series in nominal or real (constant base-year) dollars
+  const [prices, setPrices] = useState(linked.prices);
+  // Only a base year the price index covers can be used; otherwise prices stay nominal
+  const baseYearCovered = cpiData.some(d => d.date.getUTCFullYear() === prices.baseYear);
+  const realBaseYear = prices.real && baseYearCovered ? prices.baseYear : null;
+  const toReal = useCallback((id, data) => (realBaseYear && data.length
+    ? deflate(data, cpiData, { frequency: datasets[id].frequency, indexFrequency: datasets.cpi.frequency, baseYear: realBaseYear })
+    : data), [realBaseYear, cpiData, datasets]);
+  const salesData = useMemo(() => toReal('retailSales', nominalSales), [toReal, nominalSales]);
+  const loansData = useMemo(() => toReal('loans', nominalLoans), [toReal, nominalLoans]);
+  const dollarUnits = useCallback(units => displayUnits(units, realBaseYear, locale), [realBaseYear, locale]);
+
+  // Time window [start, end] shared by every chart, or null for each chart's full range
+  const [timeWindow, setTimeWindow] = useState(linked.window);
+  const fullExtent = useMemo(() => {
+    const dates = [...salesData, ...loansData, ...percentData, ...foundingData].map(d => d.date);
+    return dates.length ? d3.extent(dates) : null;
+  }, [salesData, loansData, percentData, foundingData]);
+
+  // Growth chart series on a common frequency. 'native' draws them as published;
+  // derived metrics always get an aligned pair (quarterly when drawn as published).
+  const [alignment, setAlignment] = useState(linked.alignment);
+  const growthAlignment = useMemo(() => {
+    if (!salesData.length || !loansData.length) return null;
+    return alignSeries([
+      { id: 'sales', data: salesData, frequency: datasets.retailSales.frequency },
+      { id: 'loans', data: loansData, frequency: datasets.loans.frequency }
+    ], {
+      frequency: alignment.frequency === 'native' ? 'quarterly' : alignment.frequency,
+      method: alignment.method
     });
+  }, [salesData, loansData, datasets, alignment]);
+  const isAligned = alignment.frequency !== 'native' && growthAlignment;
+  const growthSales = isAligned ? growthAlignment.series.sales : salesData;
+  const growthLoans = isAligned ? growthAlignment.series.loans : loansData;
+
+  // Recessions and macro events, shaded on every chart and optionally left out of the statistics
+  const [macroView, setMacroView] = useState(linked.macro);
+  const macroPeriods = useMemo(() => macroData.map(d => ({ ...d, kind: 'macro' })), [macroData]);
+  const statsExclusions = macroView.excludeFromStatistics ? macroPeriods : EMPTY_PERIODS;
+
+  // Correlation of the aligned pair, shown beside the growth chart and used for its annotation
+  const growthStats = useMemo(() => (growthAlignment
+    ? correlationSummary(growthAlignment.series.sales, growthAlignment.series.loans, growthAlignment.frequency,
+      { exclude: statsExclusions })
+    : null), [growthAlignment, statsExclusions]);
+
+  // How each series is shown: its level or a metric derived from it
+  const [metrics, setMetrics] = useState(linked.metrics);
+  const setMetric = (id) => (value) => setMetrics(current => ({ ...current, [id]: value }));
+
+  const salesFrequency = isAligned ? alignment.frequency : datasets.retailSales && datasets.retailSales.frequency;
+  const loansFrequency = isAligned ? alignment.frequency : datasets.loans && datasets.loans.frequency;
+  const percentFrequency = datasets.percentOfTotal && datasets.percentOfTotal.frequency;
+  const growthSalesShown = useMemo(
+    () => applyMetric(growthSales, metrics.retailSales, periodsPerYear(salesFrequency)),
+    [growthSales, metrics.retailSales, salesFrequency]
+  );
+  const growthLoansShown = useMemo(
+    () => applyMetric(growthLoans, metrics.loans, periodsPerYear(loansFrequency)),
+    [growthLoans, metrics.loans, loansFrequency]
+  );
+  const percentShown = useMemo(
+    () => applyMetric(percentData, metrics.percentOfTotal, periodsPerYear(percentFrequency)),
+    [percentData, metrics.percentOfTotal, percentFrequency]
+  );
+
+  // Forecasts of the share and of sales, fitted to the published levels
+  const [forecasts, setForecasts] = useState(linked.forecasts);
+  const setForecast = (id) => (value) => setForecasts(current => ({ ...current, [id]: value }));
+  const percentForecast = useMemo(
+    () => projectSeries(percentData, forecasts.percentOfTotal, datasets.percentOfTotal),
+    [percentData, forecasts.percentOfTotal, datasets.percentOfTotal]
+  );
+  const salesForecast = useMemo(
+    () => projectSeries(salesData, forecasts.retailSales, datasets.retailSales),
+    [salesData, forecasts.retailSales, datasets.retailSales]
+  );
+  const percentProjection = metrics.percentOfTotal.metric === 'level' ? percentForecast.projection : null;
+  const forecastLabel = useCallback(setting => t('forecast.setting', {
+    model: t(`forecastModels.${setting.model}`),
+    years: locale.plural('forecast.years', setting.years)
+  }), [locale, t]);
+
+  // Compound annual growth of each series' level over the visible window
+  const cagrRows = useMemo(() => {
+    const visible = data => (timeWindow ? data.filter(d => d.date >= timeWindow[0] && d.date <= timeWindow[1]) : data);
+    return [
+      { label: t('metric.sales'), rate: cagr(visible(salesData)) },
+      { label: t('metric.loans'), rate: cagr(visible(loansData)) },
+      { label: t('metric.share'), rate: cagr(visible(percentData)) }
+    ];
+  }, [salesData, loansData, percentData, timeWindow, t]);
+
+  // Growth chart scale: dual axis, rebased to 100 at a base year, or a shared log scale.
+  // Rebasing and log scales only make sense for levels, so percentage metrics force dual axis.
+  const [growthView, setGrowthView] = useState(linked.growth);
+  const scalingDisabled = !metricInfo(metrics.retailSales.metric).keepsUnits ||
+    !metricInfo(metrics.loans.metric).keepsUnits;
+  const growthMode = scalingDisabled ? 'dual' : growthView.mode;
+  const baseYears = useMemo(() => {
+    if (!growthSales.length || !growthLoans.length) return [];
+    const first = Math.max(growthSales[0].date.getUTCFullYear(), growthLoans[0].date.getUTCFullYear());
+    const last = Math.min(growthSales[growthSales.length - 1].date.getUTCFullYear(), growthLoans[growthLoans.length - 1].date.getUTCFullYear());
+    return d3.range(first, last + 1);
+  }, [growthSales, growthLoans]);
+
+  // User-uploaded overlay series, grouped by the chart they were added to. shownUploads
+  // lists the ids of those drawn, or is null for all; a link can name uploads that are
+  // only in the sender's browser, which are kept in the list but can't be drawn.
+  const uploads = useUploads();
+  const [shownUploads, setShownUploads] = useState(linked.overlays);
+  const visibleUploads = useMemo(() => uploads.series.filter(u => !shownUploads || shownUploads.includes(u.id)),
+    [uploads.series, shownUploads]);
+  const missingUploads = shownUploads
+    ? shownUploads.filter(id => ![...uploads.series, ...uploads.failed].some(u => u.id === id))
+    : [];
+  const growthOverlays = useMemo(() => visibleUploads.filter(u => u.target === 'growth'), [visibleUploads]);
+  const percentOverlays = useMemo(() => visibleUploads.filter(u => u.target === 'percent'), [visibleUploads]);
+  const timelineOverlays = useMemo(() => visibleUploads.filter(u => u.target === 'timeline'), [visibleUploads]);
+  const addUpload = upload => {
+    const id = uploads.addUpload(upload);
+    setShownUploads(shown => shown && [...shown, id]);
+  };
+  const removeUpload = id => {
+    uploads.removeUpload(id);
+    setShownUploads(shown => shown && shown.filter(shownId => shownId !== id));
+  };
+  const toggleUpload = id => setShownUploads(shown => {
+    const ids = shown || uploads.series.map(u => u.id);
+    return ids.includes(id) ? ids.filter(shownId => shownId !== id) : [...ids, id];
+  });
+
+  // The user's notes, and the chart date they last clicked to add one
+  const notes = useNotes();
+  const [pendingNote, setPendingNote] = useState(null);
+  const pickHandlers = useMemo(() => Object.fromEntries(CHART_IDS.map(chart => [
+    chart, date => setPendingNote({ chart, date: formatDay(d3.utcDay.round(date)) })
+  ])), []);
+  const saveNote = text => {
+    notes.addNote({ ...pendingNote, text });
+    setPendingNote(null);
   };
+  const noteForm = chart => pendingNote && pendingNote.chart === chart && (
+    <NoteForm key={pendingNote.date} date={pendingNote.date} onSave={saveNote} onCancel={() => setPendingNote(null)} />
+  );
 
-  /**
-   * Load and process all CSV data
-   */
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        // Load all CSV files
-        const foundingResponse = await d3.csv(process.env.PUBLIC_URL + '/data/foundingDates.csv');
-        const processedFoundingData = foundingResponse.map(d => ({
-          company: d.company,
-          foundedDate: new Date(d.founded_date)
-        }));
-        setFoundingData(processedFoundingData);
-
-        // Load and process loans data using d3's DSV parser for semicolon delimiter
-        const loansResponse = await d3.dsv(';', process.env.PUBLIC_URL + '/data/loans.csv');
-        const processedLoansData = loansResponse.map(d => ({
-          date: new Date(d.observation_date),
-          value: parseFloat(d.CCLACBW027SBOG.replace(',', '.'))
-        }));
-        setLoansData(processedLoansData);
-
-        // Load and process percent of total data
-        const percentResponse = await d3.dsv(';', process.env.PUBLIC_URL + '/data/percentOfTotal.csv');
-        const processedPercentData = percentResponse.map(d => ({
-          date: new Date(d.observation_date),
-          value: parseFloat(d.ECOMPCTSA.replace(',', '.'))
-        }));
-        setPercentData(processedPercentData);
-
-        // Load and process retail sales data
-        const salesResponse = await d3.dsv(';', process.env.PUBLIC_URL + '/data/retailSales.csv');
-        const processedSalesData = salesResponse.map(d => ({
-          date: new Date(d.observation_date),
-          value: parseFloat(d.ECOMSA)
-        }));
-        setSalesData(processedSalesData);
-
-        setIsDataLoaded(true);
-      } catch (error) {
-        console.error('Error loading and processing CSV data:', error);
-      }
-    };
-
-    loadData();
-  }, []);
+  // Annotations and shaded periods from the data files plus the user's notes, by chart
+  const annotations = useMemo(() => Object.fromEntries(CHART_IDS.map(chart => [chart, [
+    ...dataAnnotations(annotationData, chart),
+    ...noteAnnotations(notes.notes, chart)
+  ]])), [annotationData, notes.notes]);
+  // The timeline draws its editorial periods as a band of phases; the rest are shaded
+  const phases = useMemo(() => periodData.filter(d => appliesTo(d, 'timeline')), [periodData]);
+  const periods = useMemo(() => Object.fromEntries(CHART_IDS.map(chart => [
+    chart, shadedPeriods(periodData, macroView.shaded ? macroPeriods : EMPTY_PERIODS, chart)
+  ])), [periodData, macroPeriods, macroView.shaded]);
+
+  // Hovered date (ms timestamp), shared so every chart shows a matching crosshair
+  const [hoverDate, setHoverDate] = useState(null);
+  const handleHover = useCallback(date => setHoverDate(date ? +d3.utcDay.round(date) : null), []);
+
+  // Narrative mode, opened from the layout switch or a link: the story's active step
+  // sets each chart's window, highlighted series and extra annotations. The page
+  // opens in the static layout, with every control, which only uses the captions.
+  const { story, error: storyError } = useStory();
+  const storyUnavailable = storySupported() ? null : t('story.unavailable');
+  const [pageMode, setPageMode] = useState(linked.mode || 'explore');
+  const [activeStep, setActiveStep] = useState(0);
+  const isStory = pageMode === 'story' && !storyUnavailable;
+  const storySteps = useMemo(() => Object.fromEntries(CHART_IDS.map(chart => [
+    chart, isStory ? chartStep(story.steps, activeStep, chart) : null
+  ])), [isStory, story, activeStep]);
+  const chartWindow = chart => (storySteps[chart] ? storySteps[chart].window : timeWindow);
+  const chartHighlight = chart => (storySteps[chart] ? storySteps[chart].highlight : null);
+  const chartAnnotations = useMemo(() => Object.fromEntries(CHART_IDS.map(chart => [chart, storySteps[chart]
+    ? [...annotations[chart], ...storySteps[chart].annotations]
+    : annotations[chart]
+  ])), [annotations, storySteps]);
 
   /**
    * VISUALIZATION 1: E-commerce Sales vs Consumer Loans Growth
-   * This shows the parallel growth of e-commerce sales and consumer loans
+   * This shows the parallel growth of e-commerce sales and consumer loans,
+   * on separate axes, rebased to a common index, or on a shared log scale.
    */
-  useEffect(() => {
-    if (!isDataLoaded || !salesData.length || !loansData.length) return;
-
-    // Clear previous chart
-    d3.select(growthChartRef.current).selectAll('*').remove();
-
-    // Chart dimensions
-    const width = 800;
-    const height = 400;
-    const margin = { top: 50, right: 100, bottom: 80, left: 80 };
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
-
-    // Create SVG container
-    const svg = d3.select(growthChartRef.current)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height);
-
-    // Chart title
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', 25)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '18px')
-      .style('font-weight', 'bold')
-      .text('Parallel Growth of E-commerce Sales and Consumer Loans');
-
-    // Create chart group
-    const g = svg.append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // X scale (time)
-    const xScale = d3.scaleTime()
-      .domain(d3.extent([
-        ...salesData.map(d => d.date),
-        ...loansData.map(d => d.date)
-      ]))
-      .range([0, innerWidth]);
-
-    // Y scales (separate for each dataset)
-    const yScaleSales = d3.scaleLinear()
-      .domain([0, d3.max(salesData, d => d.value) * 1.1])
-      .range([innerHeight, 0]);
-
-    const yScaleLoans = d3.scaleLinear()
-      .domain([0, d3.max(loansData, d => d.value) * 1.1])
-      .range([innerHeight, 0]);
-
-    // Line generators
-    const salesLine = d3.line()
-      .x(d => xScale(d.date))
-      .y(d => yScaleSales(d.value))
-      .curve(d3.curveMonotoneX);
-
-    const loansLine = d3.line()
-      .x(d => xScale(d.date))
-      .y(d => yScaleLoans(d.value))
-      .curve(d3.curveMonotoneX);
-
-    // Add sales line 
-    g.append('path')
-      .datum(salesData)
-      .attr('fill', 'none')
-      .attr('stroke', '#2980b9')
-      .attr('stroke-width', 3)
-      .attr('d', salesLine);
-
-    // Add loans line
-    g.append('path')
-      .datum(loansData)
-      .attr('fill', 'none')
-      .attr('stroke', '#e74c3c')
-      .attr('stroke-width', 3)
-      .attr('d', loansLine);
-
-    // X axis with more space for labels
-    g.append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(xScale).tickFormat(d3.timeFormat('%Y')))
-      .selectAll('text')
-      .attr('dy', '1em') // Add more space between axis and text
-      .style('font-size', '12px');
-
-    // Left Y axis (Sales)
-    g.append('g')
-      .call(d3.axisLeft(yScaleSales))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // Right Y axis (Loans)
-    g.append('g')
-      .attr('transform', `translate(${innerWidth},0)`)
-      .call(d3.axisRight(yScaleLoans))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // X axis label
-    g.append('text')
-      .attr('x', innerWidth / 2)
-      .attr('y', innerHeight + 40)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('Year');
-
-    // Left Y axis label (Sales)
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -innerHeight / 2)
-      .attr('y', -60)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('E-commerce Sales ($ millions)');
-
-    // Right Y axis label (Loans)
-    g.append('text')
-      .attr('transform', 'rotate(90)')
-      .attr('x', innerHeight / 2)
-      .attr('y', -innerWidth - 60)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('Consumer Loans ($ billions)');
-
-    // Legend
-    const legend = svg.append('g')
-      .attr('transform', `translate(${width - margin.right + 10}, ${margin.top})`);
-
-    // Sales legend
-    legend.append('line')
-      .attr('x1', 0)
-      .attr('y1', 0)
-      .attr('x2', 20)
-      .attr('y2', 0)
-      .attr('stroke', '#2980b9')
-      .attr('stroke-width', 3);
-
-    legend.append('text')
-      .attr('x', 25)
-      .attr('y', 5)
-      .text('E-commerce Sales')
-      .style('font-size', '12px');
-
-    // Loans legend
-    legend.append('line')
-      .attr('x1', 0)
-      .attr('y1', 20)
-      .attr('x2', 20)
-      .attr('y2', 20)
-      .attr('stroke', '#e74c3c')
-      .attr('stroke-width', 3);
-
-    legend.append('text')
-      .attr('x', 25)
-      .attr('y', 25)
-      .text('Consumer Loans')
-      .style('font-size', '12px');
-
-    // Add annotation for the parallel growth
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', height - 10)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .style('font-style', 'italic')
-      .text('Note: The similar growth trends suggest a correlation between e-commerce and consumer debt');
-
-  }, [isDataLoaded, salesData, loansData]);
-
-  /**
-   * VISUALIZATION 2: E-commerce Share of Total Retail
-   * Shows the increasing market share of e-commerce over time
-   */
-  useEffect(() => {
-    if (!isDataLoaded || !percentData.length) return;
-
-    // Clear previous chart
-    d3.select(percentChartRef.current).selectAll('*').remove();
-
-    // Chart dimensions
-    const width = 800;
-    const height = 400;
-    const margin = { top: 50, right: 50, bottom: 80, left: 80 };
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
-
-    // Create SVG container
-    const svg = d3.select(percentChartRef.current)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height);
-
-    // Chart title
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', 25)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '18px')
-      .style('font-weight', 'bold')
-      .text('Growing Market Share of E-commerce in Total Retail Sales');
-
-    // Create chart group
-    const g = svg.append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // X scale (time)
-    const xScale = d3.scaleTime()
-      .domain(d3.extent(percentData, d => d.date))
-      .range([0, innerWidth]);
-
-    // Y scale (percent)
-    const yScale = d3.scaleLinear()
-      .domain([0, d3.max(percentData, d => d.value) * 1.1])
-      .range([innerHeight, 0]);
-
-    // Area generator
-    const area = d3.area()
-      .x(d => xScale(d.date))
-      .y0(innerHeight)
-      .y1(d => yScale(d.value))
-      .curve(d3.curveMonotoneX);
-
-    // Add area
-    g.append('path')
-      .datum(percentData)
-      .attr('fill', 'rgba(52, 152, 219, 0.6)')
-      .attr('d', area);
-
-    // Line generator
-    const line = d3.line()
-      .x(d => xScale(d.date))
-      .y(d => yScale(d.value))
-      .curve(d3.curveMonotoneX);
-
-    // Add line
-    g.append('path')
-      .datum(percentData)
-      .attr('fill', 'none')
-      .attr('stroke', '#2980b9')
-      .attr('stroke-width', 3)
-      .attr('d', line);
-
-    // X axis
-    g.append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(xScale).tickFormat(d3.timeFormat('%Y')))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // Y axis with percentage format
-    g.append('g')
-      .call(d3.axisLeft(yScale).tickFormat(d => d + '%'))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // X axis label
-    g.append('text')
-      .attr('x', innerWidth / 2)
-      .attr('y', innerHeight + 40)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('Year');
-
-    // Y axis label
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -innerHeight / 2)
-      .attr('y', -60)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('Percentage of Total Retail Sales');
-
-    // Add key events markers
-    const keyEvents = [
-      { date: new Date('2005-07-15'), event: 'Amazon Prime Launch', y: -10 },
-      { date: new Date('2007-06-29'), event: 'iPhone Launch', y: -30 },
-      { date: new Date('2011-10-01'), event: 'Mobile Shopping Boom', y: -10 },
-      { date: new Date('2020-03-11'), event: 'COVID-19 Pandemic', y: -30 }
-    ];
-
-    // Filter events that are within our date range
-    const filteredEvents = keyEvents.filter(event => {
-      const dateRange = d3.extent(percentData, d => d.date);
-      return event.date >= dateRange[0] && event.date <= dateRange[1];
-    });
-
-    // Add event markers
-    filteredEvents.forEach(event => {
-      if (xScale(event.date) >= 0 && xScale(event.date) <= innerWidth) {
-        // Vertical line
-        g.append('line')
-          .attr('x1', xScale(event.date))
-          .attr('x2', xScale(event.date))
-          .attr('y1', innerHeight)
-          .attr('y2', 0)
-          .attr('stroke', 'rgba(231, 76, 60, 0.5)')
-          .attr('stroke-width', 1)
-          .attr('stroke-dasharray', '3,3');
-
-        // Event label
-        g.append('text')
-          .attr('x', xScale(event.date))
-          .attr('y', event.y)
-          .attr('text-anchor', 'middle')
-          .style('font-size', '10px')
-          .style('font-weight', 'bold')
-          .text(event.event);
-      }
-    });
-
-    // Add annotation for consumer behavior
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', height - 10)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .style('font-style', 'italic')
-      .text('Note: As e-commerce becomes more accessible, consumer spending habits shift toward online purchases');
-
-  }, [isDataLoaded, percentData]);
+  const growthChart = useMemo(() => growthChartModel({
+    sales: growthSalesShown,
+    loans: growthLoansShown,
+    salesUnits: datasets.retailSales && datasets.retailSales.units,
+    loansUnits: datasets.loans && datasets.loans.units,
+    metrics,
+    mode: growthMode,
+    baseYear: growthView.baseYear,
+    realBaseYear,
+    stats: growthStats,
+    theme,
+    locale
+  }), [growthSalesShown, growthLoansShown, growthStats, growthView, growthMode, metrics, datasets, realBaseYear, theme, locale]);
 
   /**
    * VISUALIZATION 3: Company Timeline with E-commerce Growth
-   * Shows founding dates of major e-commerce companies alongside sales growth
+   * Major e-commerce companies as lifespans or milestones, filtered by category
    */
+  const companies = useMemo(() => buildCompanies(foundingData, milestoneData), [foundingData, milestoneData]);
+  const companyCategories = useMemo(() => [...new Set(companies.map(c => c.category))], [companies]);
+  const [hiddenCategories, setHiddenCategories] = useState(linked.companies.hidden);
+  const [companyView, setCompanyView] = useState(linked.companies.view);
+  const toggleCategory = category => setHiddenCategories(hidden => (hidden.includes(category)
+    ? hidden.filter(c => c !== category)
+    : [...hidden, category]));
+  const shownCompanies = useMemo(() => companies.filter(c => !hiddenCategories.includes(c.category)),
+    [companies, hiddenCategories]);
+
+  // What each chart's export menu saves: the series as plotted and the view settings behind them
+  const growthFigureRef = useRef(null);
+  const percentFigureRef = useRef(null);
+  const timelineFigureRef = useRef(null);
+
+  const growthExport = useMemo(() => growthChart && {
+    title: t('titles.growth'),
+    caption: exportCaption,
+    window: timeWindow,
+    settings: {
+      frequency: t(alignment.frequency === 'native' ? 'frequency.native' : `frequencies.${alignment.frequency}`),
+      aggregation: alignment.frequency === 'native' ? null : t(`aggregations.${alignment.method}`),
+      scale: growthMode,
+      baseYear: growthMode === 'indexed' ? growthView.baseYear : null,
+      metrics: { sales: metrics.retailSales, loans: metrics.loans },
+      realBaseYear
+    },
+    series: growthChart.series.map(s => ({ label: s.label, units: dollarUnits(s.units), data: s.data }))
+  }, [growthChart, timeWindow, alignment, growthMode, growthView, metrics, realBaseYear, dollarUnits, t, exportCaption]);
+
+  const percentExport = useMemo(() => ({
+    title: t('titles.percent'),
+    caption: exportCaption,
+    window: timeWindow && withForecast(timeWindow, percentProjection),
+    settings: { metric: metrics.percentOfTotal, forecast: percentProjection ? forecasts.percentOfTotal : null },
+    series: [
+      { label: t('series.share'), units: '%', data: percentShown },
+      ...(percentProjection
+        ? [{
+            label: t('forecast.seriesLabel', { label: t('series.share'), forecast: forecastLabel(forecasts.percentOfTotal) }),
+            units: '%',
+            data: percentProjection
+          }]
+        : [])
+    ],
+    events: annotations.percent
+  }), [timeWindow, metrics, percentShown, percentProjection, forecasts, forecastLabel, annotations, t, exportCaption]);
+
+  const timelineExport = useMemo(() => ({
+    title: t('titles.timeline'),
+    caption: exportCaption,
+    window: timeWindow && withForecast(timeWindow, salesForecast.projection),
+    settings: { companyView, hiddenCategories, forecast: salesForecast.projection ? forecasts.retailSales : null, realBaseYear },
+    series: [
+      { label: t('series.sales'), units: datasets.retailSales && dollarUnits(datasets.retailSales.units), data: salesData },
+      ...(salesForecast.projection
+        ? [{
+            label: t('forecast.seriesLabel', { label: t('series.sales'), forecast: forecastLabel(forecasts.retailSales) }),
+            units: dollarUnits(datasets.retailSales.units),
+            data: salesForecast.projection
+          }]
+        : [])
+    ],
+    events: [...shownCompanies.flatMap(company => companyEvents(company, locale)), ...annotations.timeline]
+  }), [timeWindow, datasets, salesData, salesForecast, forecasts, forecastLabel, shownCompanies, companyView, hiddenCategories,
+    annotations, realBaseYear, dollarUnits, locale, t, exportCaption]);
+
+  // The view kept in the URL; going back or forward restores the one there
+  const view = {
+    mode: isStory ? 'story' : null,
+    window: timeWindow,
+    alignment,
+    metrics,
+    growth: growthView,
+    forecasts,
+    prices,
+    macro: macroView,
+    companies: { view: companyView, hidden: hiddenCategories },
+    overlays: shownUploads || (uploads.series.length ? uploads.series.map(u => u.id) : null),
+    theme: themeChoice,
+    locale: localeChoice
+  };
+  usePermalink(encodeView(view), search => {
+    const next = decodeView(search);
+    setPageMode(next.mode || 'explore');
+    setTimeWindow(next.window);
+    setAlignment(next.alignment);
+    setMetrics(next.metrics);
+    setGrowthView(next.growth);
+    setForecasts(next.forecasts);
+    setPrices(next.prices);
+    setMacroView(next.macro);
+    setCompanyView(next.companies.view);
+    setHiddenCategories(next.companies.hidden);
+    setShownUploads(next.overlays);
+    onThemeChange(next.theme);
+    onLocaleChange(next.locale);
+  });
+
+  // A copied chart link opens at its chart, once every chart has its data
+  const linkedChart = useRef(window.location.hash.slice(1));
+  const chartsReady = [GROWTH_CHART_DATA, PERCENT_CHART_DATA, TIMELINE_CHART_DATA]
+    .every(ids => getChartState(ids, loadState).state !== 'loading');
   useEffect(() => {
-    if (!isDataLoaded || !foundingData.length || !salesData.length) return;
-
-    // Clear previous chart
-    d3.select(timelineChartRef.current).selectAll('*').remove();
-
-    // Chart dimensions - increased bottom margin for phase labels
-    const width = 800;
-    const height = 550; // Increased height
-    const margin = { top: 80, right: 50, bottom: 120, left: 80 }; // Increased bottom margin
-    const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
-
-    // Create SVG container
-    const svg = d3.select(timelineChartRef.current)
-      .append('svg')
-      .attr('width', width)
-      .attr('height', height);
-
-    // Chart title
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', 30)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '18px')
-      .style('font-weight', 'bold')
-      .text('E-commerce Company Timeline and Sales Growth');
-
-    // Subtitle
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', 55)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .style('font-style', 'italic')
-      .text('How major platforms have shaped and accelerated online consumption');
-
-    // Create chart group
-    const g = svg.append('g')
-      .attr('transform', `translate(${margin.left},${margin.top})`);
-
-    // Get combined date range
-    const allDates = [
-      ...salesData.map(d => d.date),
-      ...foundingData.map(d => d.foundedDate)
-    ];
-    
-    // Add some padding to the timeline start
-    const minDate = new Date(d3.min(allDates));
-    minDate.setFullYear(minDate.getFullYear() - 2);
-    
-    // X scale (time)
-    const xScale = d3.scaleTime()
-      .domain([minDate, d3.max(allDates)])
-      .range([0, innerWidth]);
-
-    // Y scale (sales)
-    const yScale = d3.scaleLinear()
-      .domain([0, d3.max(salesData, d => d.value) * 1.1])
-      .range([innerHeight, 0]);
-
-    // Line generator for sales
-    const line = d3.line()
-      .x(d => xScale(d.date))
-      .y(d => yScale(d.value))
-      .curve(d3.curveMonotoneX);
-
-    // Add sales area
-    g.append('path')
-      .datum(salesData)
-      .attr('fill', 'rgba(46, 204, 113, 0.2)')
-      .attr('d', d3.area()
-        .x(d => xScale(d.date))
-        .y0(innerHeight)
-        .y1(d => yScale(d.value))
-        .curve(d3.curveMonotoneX));
-
-    // Add sales line
-    g.append('path')
-      .datum(salesData)
-      .attr('fill', 'none')
-      .attr('stroke', '#27ae60')
-      .attr('stroke-width', 3)
-      .attr('d', line);
-
-    // X axis
-    g.append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(xScale).tickFormat(d3.timeFormat('%Y')))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // Y axis
-    g.append('g')
-      .call(d3.axisLeft(yScale))
-      .selectAll('text')
-      .style('font-size', '12px');
-
-    // X axis label
-    g.append('text')
-      .attr('x', innerWidth / 2)
-      .attr('y', innerHeight + 40)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('Year');
-
-    // Y axis label
-    g.append('text')
-      .attr('transform', 'rotate(-90)')
-      .attr('x', -innerHeight / 2)
-      .attr('y', -60)
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .text('E-commerce Sales ($ millions)');
-
-    // Company founding events
-    g.selectAll('.founding-line')
-      .data(foundingData)
-      .enter()
-      .append('line')
-      .attr('class', 'founding-line')
-      .attr('x1', d => xScale(d.foundedDate))
-      .attr('x2', d => xScale(d.foundedDate))
-      .attr('y1', 0)
-      .attr('y2', innerHeight)
-      .attr('stroke', '#8e44ad')
-      .attr('stroke-width', 2)
-      .attr('stroke-dasharray', '5,5');
-
-    // Company labels - improved spacing to prevent overlap
-    g.selectAll('.company-label')
-      .data(foundingData)
-      .enter()
-      .append('text')
-      .attr('class', 'company-label')
-      .attr('x', d => xScale(d.foundedDate))
-      .attr('y', (d, i) => -45 - (i % 3) * 20) // More vertical spacing between staggered labels
-      .attr('text-anchor', 'middle')
-      .style('font-size', '12px')
-      .style('font-weight', 'bold')
-      .style('fill', '#8e44ad')
-      .text(d => `${d.company} (${d.foundedDate.getFullYear()})`);
-
-    // Add phases of e-commerce development
-    const phases = [
-      { startYear: 1994, endYear: 2000, name: "Early Pioneers" },
-      { startYear: 2000, endYear: 2007, name: "Growth Phase" },
-      { startYear: 2007, endYear: 2015, name: "Mobile Revolution" },
-      { startYear: 2015, endYear: 2025, name: "Ubiquitous Commerce" }
-    ];
+    const node = linkedChart.current && chartsReady && !isStory && document.getElementById(linkedChart.current);
+    if (!node) return;
+    linkedChart.current = null;
+    if (node.scrollIntoView) node.scrollIntoView();
+  }, [chartsReady, isStory]);
+
+  // The charts, placed by the static layout or by the story
+  const charts = {
+    growth: growthChart && (
+      <TimeSeriesChart
+        title={t('titles.growth')}
+        clipId="growth-clip"
+        series={growthChart.series}
+        axes={growthChart.axes}
+        note={growthChart.note}
+        xDomain={chartWindow('growth')}
+        overlays={growthOverlays}
+        annotations={chartAnnotations.growth}
+        periods={periods.growth}
+        highlight={chartHighlight('growth')}
+        hoverDate={hoverDate}
+        onHover={handleHover}
+        onPick={pickHandlers.growth}
+      />
+    ),
+    percent: (
+      <AreaShareChart
+        title={t('titles.percent')}
+        clipId="percent-clip"
+        data={percentShown}
+        label={t('series.share')}
+        yLabel={metrics.percentOfTotal.metric === 'level'
+          ? t('percent.yLabel')
+          : metricLabel(t('percent.metricName'), metrics.percentOfTotal, '%', null, locale)}
+        annotations={chartAnnotations.percent}
+        periods={periods.percent}
+        forecast={percentProjection}
+        note={t('percent.note')}
+        xDomain={chartWindow('percent')}
+        overlays={percentOverlays}
+        hoverDate={hoverDate}
+        onHover={handleHover}
+        onPick={pickHandlers.percent}
+      />
+    ),
+    timeline: (
+      <EventTimelineChart
+        title={t('titles.timeline')}
+        subtitle={t('timeline.subtitle')}
+        clipId="timeline-clip"
+        data={salesData}
+        label={t('series.sales')}
+        units={datasets.retailSales && datasets.retailSales.units}
+        yLabel={t('timeline.yLabel', { label: t('series.sales'), units: locale.unitLabel(dollarUnits(datasets.retailSales ? datasets.retailSales.units : '')) })}
+        companies={shownCompanies}
+        companyView={companyView}
+        phases={phases}
+        periods={periods.timeline}
+        annotations={chartAnnotations.timeline}
+        highlight={chartHighlight('timeline')}
+        forecast={salesForecast.projection}
+        note={t('timeline.note')}
+        xDomain={chartWindow('timeline')}
+        overlays={timelineOverlays}
+        hoverDate={hoverDate}
+        onHover={handleHover}
+        onPick={pickHandlers.timeline}
+      />
+    )
+  };
 
-    // Phase annotations - improved spacing
-    g.selectAll('.phase')
-      .data(phases)
-      .enter()
-      .append('rect')
-      .attr('class', 'phase')
-      .attr('x', d => xScale(new Date(d.startYear, 0, 1)))
-      .attr('y', innerHeight + 55) // Increased spacing from x-axis
-      .attr('width', d => xScale(new Date(d.endYear, 0, 1)) - xScale(new Date(d.startYear, 0, 1)))
-      .attr('height', 24) // Slightly taller for better text fit
-      .attr('fill', (d, i) => d3.schemeCategory10[i % 10])
-      .attr('opacity', 0.7);
-
-    g.selectAll('.phase-label')
-      .data(phases)
-      .enter()
-      .append('text')
-      .attr('class', 'phase-label')
-      .attr('x', d => xScale(new Date(d.startYear, 0, 1)) + 
-        (xScale(new Date(d.endYear, 0, 1)) - xScale(new Date(d.startYear, 0, 1)))/2)
-      .attr('y', innerHeight + 71) // Centered in the phase rect
-      .attr('text-anchor', 'middle')
-      .style('dominant-baseline', 'middle') // Better vertical alignment
-      .style('font-size', '11px') // Slightly larger font
-      .style('fill', 'white')
-      .style('font-weight', 'bold')
-      .text(d => d.name);
-
-    // Add consumption impact annotation - better positioned
-    svg.append('text')
-      .attr('x', width / 2)
-      .attr('y', height - 25) // Move up to prevent overlap with bottom of SVG
-      .attr('text-anchor', 'middle')
-      .style('font-size', '14px')
-      .style('font-style', 'italic')
-      .text('Note: Each new platform introduced novel ways to simplify purchasing, accelerating consumption patterns');
-
-  }, [isDataLoaded, foundingData, salesData]);
+  // A chart's part of the story, as the paragraph under it in the static layout
+  const caption = chart => {
+    const text = chartCaption(story, chart);
+    return text && <p style={{ marginTop: '20px', fontSize: '16px' }}>{text}</p>;
+  };
 
   return (
-    <div style={{ fontFamily: 'Arial, sans-serif', padding: '20px', maxWidth: '850px', margin: '0 auto' }}>
+    <div style={{ fontFamily: theme.fontFamily, padding: 'clamp(8px, 3vw, 20px)', maxWidth: '1200px', margin: '0 auto' }}>
       <h1 style={{ textAlign: 'center', marginBottom: '30px' }}>
-        The E-commerce Effect: How Online Shopping Drives Overconsumption
+        {t('page.title')}
       </h1>
 
-      <section style={{ marginBottom: '50px' }}>
-        <div ref={growthChartRef}></div>
-        <p style={{ marginTop: '20px', fontSize: '16px' }}>
-          This visualization demonstrates the parallel rise of e-commerce sales and consumer loans in the United States. 
-          As online shopping platforms became more prevalent, consumer borrowing increased dramatically, suggesting 
-          that e-commerce may enable and encourage spending beyond consumers' immediate financial means.
-        </p>
-      </section>
-
-      <section style={{ marginBottom: '50px' }}>
-        <div ref={percentChartRef}></div>
-        <p style={{ marginTop: '20px', fontSize: '16px' }}>
-          The growing share of retail happening online shows how consumer habits have fundamentally shifted. 
-          E-commerce's convenience, 24/7 availability, and frictionless payment systems have made impulse purchases
-          easier than ever before, potentially contributing to overconsumption.
-        </p>
-      </section>
-
-      <section style={{ marginBottom: '20px' }}>
-        <div ref={timelineChartRef}></div>
-        <p style={{ marginTop: '20px', fontSize: '16px' }}>
-          This timeline shows how the founding of major e-commerce platforms coincided with significant sales growth.
-          Each company introduced innovations that reduced friction in the purchasing process: one-click ordering,
-          free shipping, mobile shopping apps, and subscription services that all make consumption easier and more frequent.
-        </p>
-      </section>
-
-      <footer style={{ marginTop: '40px', borderTop: '1px solid #ccc', paddingTop: '20px', fontSize: '14px' }}>
-        <p><strong>Data Sources:</strong> Retail sales and e-commerce percentage data from US Census Bureau, 
-        consumer loans data from Federal Reserve, company founding dates from public records.</p>
+      <LoadErrorPanel errors={loadState.errors} onRetry={loadState.retry} />
+
+      <ThemeControls value={themeChoice} onChange={onThemeChange} />
+      <LocaleControls value={locale.id} onChange={onLocaleChange} />
+      <StoryModeControls mode={pageMode} unavailable={storyUnavailable} error={storyError} onChange={setPageMode} />
+
+      {isStory ? (
+        <ScrollyStory steps={story.steps} active={activeStep} onActivate={setActiveStep} charts={charts} />
+      ) : (
+        <>
+          <InflationControls
+            value={prices}
+            years={yearsOf(cpiData)}
+            unavailable={cpiData.length ? null : t('inflation.unavailable')}
+            onChange={setPrices}
+          />
+          <PeriodControls
+            value={macroView}
+            unavailable={macroData.length ? null : t('periods.unavailable')}
+            onChange={setMacroView}
+          />
+          <TimeWindowControl data={salesData} extent={fullExtent} value={timeWindow} onChange={setTimeWindow} />
+          {fullExtent && <CagrSummary rows={cagrRows} window={timeWindow} />}
+
+          <section id="chart-growth" style={{ marginBottom: '50px' }}>
+            <FrequencyControls value={alignment} onChange={setAlignment} />
+            <MetricSelect label={t('metric.sales')} value={metrics.retailSales} years={yearsOf(salesData)}
+              onChange={setMetric('retailSales')} />
+            <MetricSelect label={t('metric.loans')} value={metrics.loans} years={yearsOf(loansData)}
+              onChange={setMetric('loans')} />
+            <GrowthModeControls value={growthView} baseYears={baseYears} scalingDisabled={scalingDisabled}
+              onChange={setGrowthView} />
+            <ChartStatus chartState={getChartState(GROWTH_CHART_DATA, loadState)} />
+            <div ref={growthFigureRef}>{charts.growth}</div>
+            {noteForm('growth')}
+            <CopyLinkButton chart="growth" />
+            <ExportMenu targetRef={growthFigureRef} fileName="ecommerce-sales-vs-loans" exportData={growthExport} />
+            <ChartDataTable exportData={growthExport} />
+            <StatisticsPanel summary={growthStats} xLabel={t('series.sales')} yLabel={t('series.loans')} />
+            {caption('growth')}
+          </section>
+
+          <section id="chart-percent" style={{ marginBottom: '50px' }}>
+            <MetricSelect label={t('metric.share')} value={metrics.percentOfTotal} years={yearsOf(percentData)}
+              onChange={setMetric('percentOfTotal')} />
+            <ForecastControls label={t('forecast.share')} value={forecasts.percentOfTotal} units="%" result={percentForecast}
+              unavailable={metrics.percentOfTotal.metric === 'level' ? null : t('forecast.levelOnly')}
+              onChange={setForecast('percentOfTotal')} />
+            <ChartStatus chartState={getChartState(PERCENT_CHART_DATA, loadState)} />
+            <div ref={percentFigureRef}>{charts.percent}</div>
+            {noteForm('percent')}
+            <CopyLinkButton chart="percent" />
+            {percentShown.length > 0 && (
+              <>
+                <ExportMenu targetRef={percentFigureRef} fileName="ecommerce-share-of-retail" exportData={percentExport} />
+                <ChartDataTable exportData={percentExport} />
+              </>
+            )}
+            {caption('percent')}
+          </section>
+
+          <section id="chart-timeline" style={{ marginBottom: '20px' }}>
+            <CompanyControls
+              categories={companyCategories}
+              hidden={hiddenCategories}
+              view={companyView}
+              onToggle={toggleCategory}
+              onViewChange={setCompanyView}
+            />
+            <ForecastControls label={t('forecast.sales')} value={forecasts.retailSales} units={datasets.retailSales && datasets.retailSales.units}
+              result={salesForecast} onChange={setForecast('retailSales')} />
+            <ChartStatus chartState={getChartState(TIMELINE_CHART_DATA, loadState)} />
+            <div ref={timelineFigureRef}>{charts.timeline}</div>
+            {noteForm('timeline')}
+            <CopyLinkButton chart="timeline" />
+            {salesData.length > 0 && foundingData.length > 0 && (
+              <>
+                <ExportMenu targetRef={timelineFigureRef} fileName="ecommerce-company-timeline" exportData={timelineExport} />
+                <ChartDataTable exportData={timelineExport} />
+              </>
+            )}
+            {caption('timeline')}
+          </section>
+
+          <UploadPanel
+            uploads={uploads.series}
+            shown={visibleUploads}
+            missing={missingUploads.length}
+            failed={uploads.failed}
+            onAdd={addUpload}
+            onRemove={removeUpload}
+            onToggle={toggleUpload}
+            storageError={uploads.storageError}
+          />
+
+          <NotesPanel
+            notes={notes.notes}
+            onUpdate={notes.updateNote}
+            onRemove={notes.removeNote}
+            onImport={notes.importNotes}
+            storageError={notes.storageError}
+          />
+
+          <DataQualityPanel datasets={datasets} uploads={uploads.series} />
+        </>
+      )}
+
+      <footer style={{ marginTop: '40px', borderTop: `1px solid ${theme.page.border}`, paddingTop: '20px', fontSize: '14px' }}>
+        <p><strong>{t('page.sourcesLabel')}</strong> {t('page.sources')}</p>
       </footer>
     </div>
   );
 }
 
-export default EcommerceOverconsumption;
\ No newline at end of file
+export default EcommerceOverconsumption;
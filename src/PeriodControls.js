@@ -0,0 +1,35 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+export const DEFAULT_MACRO_PERIODS = { shaded: true, excludeFromStatistics: false };
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+/**
+ * Toggles the recession and macro-event shading on every chart, and whether
+ * the statistics leave out observations inside those periods. unavailable
+ * explains why neither can be used (e.g. the periods file failed to load).
+ */
+function PeriodControls({ value, unavailable, onChange }) {
+  const theme = useTheme();
+  const { t } = useLocale();
+  const disabled = Boolean(unavailable);
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <label style={controlStyle}>
+        <input type="checkbox" checked={value.shaded && !disabled} disabled={disabled}
+          onChange={event => onChange({ ...value, shaded: event.target.checked })} />{' '}
+        {t('periods.shade')}
+      </label>
+      <label style={controlStyle}>
+        <input type="checkbox" checked={value.excludeFromStatistics && !disabled} disabled={disabled}
+          onChange={event => onChange({ ...value, excludeFromStatistics: event.target.checked })} />{' '}
+        {t('periods.exclude')}
+      </label>
+      {unavailable && <span style={{ fontSize: '14px', color: theme.page.muted }}>{unavailable}</span>}
+    </div>
+  );
+}
+
+export default PeriodControls;
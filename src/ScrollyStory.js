@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+const controlStyle = { marginRight: '16px', fontSize: '14px' };
+
+// Charts not in the current step stay mounted (so they transition rather than
+// rebuild when their turn comes) but are stacked out of sight
+const shownChartStyle = { position: 'relative', opacity: 1, transition: 'opacity 0.4s' };
+const hiddenChartStyle = { position: 'absolute', top: 0, left: 0, right: 0, opacity: 0, visibility: 'hidden', transition: 'opacity 0.4s' };
+
+/**
+ * Whether the browser can follow the reader's scrolling. Without it (older
+ * browsers, tests) the page keeps the static layout.
+ */
+export const storySupported = () => typeof window !== 'undefined' && typeof window.IntersectionObserver === 'function';
+
+/**
+ * Switches between the scrolling story and the static layout with every
+ * chart and control. unavailable explains why the story can't be shown.
+ */
+export function StoryModeControls({ mode, unavailable, error, onChange }) {
+  const theme = useTheme();
+  const { t } = useLocale();
+  return (
+    <div role="radiogroup" aria-label={t('story.layout')} style={{ marginBottom: '20px' }}>
+      <label style={controlStyle}>
+        <input type="radio" name="page-mode" checked={mode === 'story' && !unavailable} disabled={Boolean(unavailable)}
+          onChange={() => onChange('story')} />{' '}
+        {t('story.story')}
+      </label>
+      <label style={controlStyle}>
+        <input type="radio" name="page-mode" checked={mode !== 'story' || Boolean(unavailable)}
+          onChange={() => onChange('explore')} />{' '}
+        {t('story.explore')}
+      </label>
+      {(unavailable || error) && <span style={{ fontSize: '14px', color: theme.page.muted }}>{unavailable || error}</span>}
+    </div>
+  );
+}
+
+/**
+ * Scrolling narrative: the steps' captions scroll past a sticky graphic, and
+ * the step crossing the middle of the viewport becomes active (onActivate gets
+ * its index). charts maps chart ids to their elements; the active step's chart
+ * is shown.
+ */
+function ScrollyStory({ steps, active, onActivate, charts }) {
+  const stepRefs = useRef([]);
+  const theme = useTheme();
+  const { t } = useLocale();
+
+  useEffect(() => {
+    const observer = new window.IntersectionObserver(entries => {
+      entries
+        .filter(entry => entry.isIntersecting)
+        .forEach(entry => onActivate(stepRefs.current.indexOf(entry.target)));
+    }, { rootMargin: '-45% 0px -45% 0px' });
+    stepRefs.current.slice(0, steps.length).forEach(node => node && observer.observe(node));
+    return () => observer.disconnect();
+  }, [steps, onActivate]);
+
+  const activeChart = steps[active] ? steps[active].chart : null;
+
+  return (
+    // Graphic first, so on narrow screens it sits on top with the steps scrolling under it
+    <div style={{ display: 'flex', flexDirection: 'row-reverse', flexWrap: 'wrap', alignItems: 'flex-start', gap: '24px' }}>
+      <div style={{ flex: '2 1 560px', minWidth: 0, position: 'sticky', top: 0, zIndex: 1, background: theme.page.background }}>
+        {Object.entries(charts).map(([id, chart]) => (
+          <div key={id} aria-hidden={id !== activeChart} style={id === activeChart ? shownChartStyle : hiddenChartStyle}>
+            {chart}
+          </div>
+        ))}
+      </div>
+      <ol aria-label={t('story.story')} style={{ flex: '1 1 260px', listStyle: 'none', margin: 0, padding: '0 0 40vh' }}>
+        {steps.map((step, i) => (
+          <li
+            key={i}
+            ref={node => { stepRefs.current[i] = node; }}
+            aria-current={i === active ? 'step' : undefined}
+            style={{ minHeight: '70vh', display: 'flex', alignItems: 'center' }}
+          >
+            <p style={{
+              fontSize: '16px',
+              lineHeight: 1.5,
+              padding: '12px 16px',
+              borderLeft: `4px solid ${i === active ? theme.page.link : theme.page.border}`,
+              background: theme.page.background,
+              opacity: i === active ? 1 : 0.4,
+              transition: 'opacity 0.3s'
+            }}>
+              {step.caption}
+            </p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default ScrollyStory;
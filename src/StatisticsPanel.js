@@ -0,0 +1,151 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { axisTickFormat } from './chartFrame';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+
+const cellStyle = theme => ({ padding: '4px 10px', textAlign: 'right', borderBottom: `1px solid ${theme.page.rule}` });
+
+/**
+ * Correlation table and cross-correlation plot for the growth chart's aligned
+ * series, noting any periods the summary leaves out
+ */
+function StatisticsPanel({ summary, xLabel, yLabel }) {
+  const plotRef = useRef(null);
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+  const formatR = value => (Number.isFinite(value) ? locale.format('.2f')(value) : '–');
+
+  /**
+   * Cross-correlation bars, one per lag, with the strongest lag highlighted
+   */
+  useEffect(() => {
+    if (!summary) return;
+
+    d3.select(plotRef.current).selectAll('*').remove();
+
+    const width = 360;
+    const height = 200;
+    const margin = { top: 20, right: 10, bottom: 40, left: 40 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const lags = summary.crossCorrelation.filter(l => Number.isFinite(l.r));
+
+    const svg = d3.select(plotRef.current)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+      .style('color', theme.chart.axis)
+      .style('fill', theme.chart.text);
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', 12)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '12px')
+      .style('font-weight', 'bold')
+      .text(t('stats.plotTitle'));
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleBand()
+      .domain(summary.crossCorrelation.map(l => l.lag))
+      .range([0, innerWidth])
+      .padding(0.2);
+
+    const yScale = d3.scaleLinear()
+      .domain([-1, 1])
+      .range([innerHeight, 0]);
+
+    g.selectAll('.lag-bar')
+      .data(lags)
+      .enter()
+      .append('rect')
+      .attr('class', 'lag-bar')
+      .attr('x', d => xScale(d.lag))
+      .attr('width', xScale.bandwidth())
+      .attr('y', d => yScale(Math.max(0, d.r)))
+      .attr('height', d => Math.abs(yScale(d.r) - yScale(0)))
+      .attr('fill', d => (summary.peak && d.lag === summary.peak.lag ? theme.chart.barHighlight : theme.chart.bar));
+
+    g.append('line')
+      .attr('x1', 0)
+      .attr('x2', innerWidth)
+      .attr('y1', yScale(0))
+      .attr('y2', yScale(0))
+      .attr('stroke', theme.chart.baseline);
+
+    const tickEvery = Math.ceil(xScale.domain().length / 9);
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(xScale).tickValues(xScale.domain().filter((lag, i) => i % tickEvery === 0)))
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    g.append('g')
+      .call(d3.axisLeft(yScale).ticks(5).tickFormat(axisTickFormat(yScale, locale, 5)))
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    g.append('text')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 32)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .text(t('stats.lagAxis', { periods: t(`periodNames.${summary.frequency}`), label: xLabel }));
+
+  }, [summary, xLabel, theme, locale, t]);
+
+  if (!summary) return null;
+
+  const rows = [
+    { label: t('stats.levels'), stats: summary.levels },
+    { label: t('stats.differenced'), stats: summary.differenced },
+    { label: t('stats.growth'), stats: summary.growth }
+  ];
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', alignItems: 'flex-start', marginTop: '10px', fontSize: '13px' }}>
+      <table style={{ borderCollapse: 'collapse' }}>
+        <caption style={{ textAlign: 'left', fontWeight: 'bold', marginBottom: '6px' }}>
+          {t('stats.caption', { x: xLabel, y: yLabel, frequency: t(`frequencyNames.${summary.frequency}`) })}
+          {summary.excluded.length > 0 && (
+            <div style={{ fontWeight: 'normal', color: theme.page.muted }}>{t('stats.excluding', { periods: summary.excluded.join(', ') })}</div>
+          )}
+        </caption>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle(theme), textAlign: 'left' }}>{t('stats.measure')}</th>
+            <th style={cellStyle(theme)}>Pearson</th>
+            <th style={cellStyle(theme)}>Spearman</th>
+            <th style={cellStyle(theme)}>n</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ label, stats }) => (
+            <tr key={label}>
+              <td style={{ ...cellStyle(theme), textAlign: 'left' }}>{label}</td>
+              <td style={cellStyle(theme)}>{formatR(stats.pearson)}</td>
+              <td style={cellStyle(theme)}>{formatR(stats.spearman)}</td>
+              <td style={cellStyle(theme)}>{stats.n}</td>
+            </tr>
+          ))}
+        </tbody>
+        {summary.peak && (
+          <tfoot>
+            <tr>
+              <td colSpan={4} style={{ paddingTop: '6px', color: theme.page.muted }}>
+                {t('stats.peak', { lag: summary.peak.lag, r: formatR(summary.peak.r) })}
+              </td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+      <div ref={plotRef}></div>
+    </div>
+  );
+}
+
+export default StatisticsPanel;
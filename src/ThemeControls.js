@@ -0,0 +1,24 @@
+import React from 'react';
+import { useLocale } from './locale';
+import { THEMES } from './theme';
+
+/**
+ * Picks the page's theme, or 'system' to follow the system's color scheme and
+ * contrast preference
+ */
+function ThemeControls({ value, onChange }) {
+  const { t } = useLocale();
+  return (
+    <div style={{ marginBottom: '20px', fontSize: '14px' }}>
+      <label>
+        {t('theme.label')}{' '}
+        <select value={value} onChange={event => onChange(event.target.value)}>
+          <option value="system">{t('theme.system')}</option>
+          {Object.values(THEMES).map(theme => <option key={theme.id} value={theme.id}>{t(`themes.${theme.id}`)}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default ThemeControls;
@@ -0,0 +1,231 @@
+import React, { useCallback } from 'react';
+import * as d3 from 'd3';
+import { annotationColor, drawAnnotations, drawPeriodShading } from './annotationLayer';
+import { axisTickFormat, chartFrame, chartLayout, inDomain, setDescription, setNote, valueDomain, xTickCount } from './chartFrame';
+import { describeChart } from './chartSummary';
+import { attachCrosshair } from './crosshair';
+import { DEFAULT_LOCALE, useLocale } from './locale';
+import { drawOverlays } from './overlays';
+import { DEFAULT_THEME, useTheme } from './theme';
+import useChart from './useChart';
+
+const MARGIN = { top: 50, right: 100, bottom: 80, left: 80 };
+
+// Compact layout: narrower side margins, and room below the plot for the legend
+const COMPACT_MARGIN = { top: 50, right: 70, bottom: 130, left: 70 };
+
+/**
+ * Y scale for one axis, fitted to the visible part of the series drawn against it
+ */
+const axisScale = (config, series, xDomain, innerHeight) => {
+  const visible = series.flatMap(s => inDomain(s.data, xDomain));
+  if (config.type === 'log') {
+    const [min, max] = d3.extent(visible, d => d.value);
+    return d3.scaleLog()
+      .domain([min * 0.9, max * 1.1])
+      .range([innerHeight, 0]);
+  }
+  return d3.scaleLinear()
+    .domain(valueDomain(visible))
+    .range([innerHeight, 0]);
+};
+
+/**
+ * Draw (or update in place) a multi-line time series chart with a left axis and
+ * an optional right axis.
+ *
+ * series: [{ id, label, legend, color, dash, data, axis: 'left' | 'right', units }],
+ * where dash is an optional stroke-dasharray telling lines apart without color.
+ * axes: { left: { label, type: 'linear' | 'log', ticks }, right: { label } }, where
+ * ticks are arguments for axis.ticks(). annotations ([{ id, date, label, kind }])
+ * are marked with labelled lines and periods ([{ date, end, label }]) shaded
+ * behind the series; onPick gets the date of a click. highlight lists the ids of
+ * series to emphasize, fading the others (null shows all alike). theme sets
+ * everything but the series colors, and locale formats the axes, summary and
+ * crosshair. Narrow charts use the compact layout,
+ * with the legend below the plot. Returns the chart's crosshair state, or null
+ * when a series has no data.
+ */
+export const drawTimeSeriesChart = (container, {
+  title,
+  width = 800,
+  height: fixedHeight,
+  margin: fixedMargin,
+  clipId = 'time-series-clip',
+  series,
+  axes,
+  xDomain,
+  overlays = [],
+  annotations = [],
+  periods = [],
+  highlight = null,
+  note = '',
+  theme = DEFAULT_THEME,
+  locale = DEFAULT_LOCALE,
+  onHover = () => {},
+  onPick
+}) => {
+  if (!series.length || series.some(s => !s.data.length)) return null;
+
+  const { compact } = chartLayout(width);
+  const margin = fixedMargin || (compact ? COMPACT_MARGIN : MARGIN);
+  const height = fixedHeight || (compact ? 450 : 400);
+
+  const { svg, g, clipped, innerWidth, innerHeight, layout, isFirstRender, animate } =
+    chartFrame(container, { width, height, margin, clipId, title, theme, locale });
+
+  // Add the series lines, right axis and legend on first render
+  if (isFirstRender) {
+    clipped.append('g').attr('class', 'periods');
+    clipped.append('g').attr('class', 'lines');
+    clipped.append('g').attr('class', 'overlays');
+
+    g.append('g').attr('class', 'annotations');
+
+    g.append('g')
+      .attr('class', 'y-axis-right')
+      .attr('transform', `translate(${innerWidth},0)`);
+
+    // Right Y axis label, 20px inside the right edge
+    g.append('text')
+      .attr('class', 'y-label-right')
+      .attr('transform', 'rotate(90)')
+      .attr('x', innerHeight / 2)
+      .attr('y', -innerWidth - (margin.right - 20))
+      .attr('text-anchor', 'middle');
+
+    // Legend beside the plot, or under the x axis label in the compact layout
+    svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', compact
+        ? `translate(${margin.left}, ${margin.top + innerHeight + 60})`
+        : `translate(${width - margin.right + 10}, ${margin.top})`);
+  }
+
+  // X scale (time), narrowed to xDomain when one is given
+  const xScale = d3.scaleTime()
+    .domain(xDomain || d3.extent(series.flatMap(s => s.data.map(d => d.date))))
+    .range([0, innerWidth]);
+
+  // Y scales; series without an axis go on the left, and an unused right axis
+  // mirrors the left one (hidden)
+  const onAxis = side => series.filter(s => (s.axis || 'left') === side);
+  const hasRight = Boolean(axes.right) && onAxis('right').length > 0;
+  const yScales = { left: axisScale(axes.left, onAxis('left'), xScale.domain(), innerHeight) };
+  yScales.right = hasRight ? axisScale(axes.right, onAxis('right'), xScale.domain(), innerHeight) : yScales.left;
+  const yScaleOf = s => yScales[s.axis || 'left'];
+
+  // Series lines, keyed by id so switching views animates each line
+  const lines = g.select('.lines')
+    .selectAll('.series-line')
+    .data(series, d => d.id)
+    .join(enter => enter.append('path')
+      .attr('class', d => `series-line ${d.id}-line`)
+      .attr('fill', 'none'))
+    .attr('stroke', d => d.color)
+    .attr('stroke-width', theme.lineWidth)
+    .attr('stroke-dasharray', d => d.dash || null);
+
+  const emphasis = d => (!highlight || highlight.includes(d.id) ? 1 : 0.2);
+
+  animate(lines).attr('stroke-opacity', emphasis).attr('d', d => d3.line()
+    .x(p => xScale(p.date))
+    .y(p => yScaleOf(d)(p.value))
+    .curve(d3.curveMonotoneX)(d.data));
+
+  // Uploaded overlays
+  g.select('.overlays').selectAll('*').remove();
+  drawOverlays(g.select('.overlays'), overlays, { xScale, innerWidth, innerHeight, locale });
+
+  // Shaded periods and annotations
+  drawPeriodShading(g.select('.periods'), periods, { xScale, innerWidth, innerHeight, animate, theme });
+  drawAnnotations(g.select('.annotations'), annotations, { xScale, innerWidth, innerHeight, animate, theme });
+
+  // X axis with more space for labels
+  animate(g.select('.x-axis'))
+    .call(d3.axisBottom(xScale).ticks(xTickCount(innerWidth)).tickFormat(locale.formatTime('%Y')));
+  g.select('.x-axis')
+    .attr('font-size', layout.tickSize)
+    .selectAll('text')
+    .attr('dy', '1em'); // Add more space between axis and text
+
+  // Left Y axis
+  const leftAxis = d3.axisLeft(yScales.left)
+    .tickFormat(axisTickFormat(yScales.left, locale, ...(axes.left.ticks || [])));
+  if (axes.left.ticks) leftAxis.ticks(...axes.left.ticks);
+  animate(g.select('.y-axis')).call(leftAxis);
+  g.select('.y-axis').attr('font-size', layout.tickSize);
+
+  // Right Y axis, hidden when no series uses it
+  animate(g.select('.y-axis-right'))
+    .call(d3.axisRight(yScales.right).tickFormat(axisTickFormat(yScales.right, locale)))
+    .style('opacity', hasRight ? 1 : 0);
+  g.select('.y-axis-right').attr('font-size', layout.tickSize);
+
+  g.select('.y-label').text(axes.left.label);
+  g.select('.y-label-right')
+    .style('font-size', `${layout.labelSize}px`)
+    .text(hasRight ? axes.right.label : '');
+
+  // Legend
+  const entries = svg.select('.legend')
+    .selectAll('.legend-entry')
+    .data(series, d => d.id)
+    .join(enter => {
+      const entry = enter.append('g').attr('class', 'legend-entry');
+      entry.append('line')
+        .attr('x1', 0)
+        .attr('x2', 20);
+      entry.append('text')
+        .attr('x', 25)
+        .attr('y', 5);
+      return entry;
+    })
+    .attr('transform', (d, i) => (compact ? `translate(${i * 150},0)` : `translate(0,${i * 20})`));
+  entries.select('line')
+    .attr('stroke', d => d.color)
+    .attr('stroke-width', theme.lineWidth)
+    .attr('stroke-dasharray', d => d.dash || null);
+  entries.style('opacity', emphasis);
+  entries.select('text')
+    .style('font-size', `${layout.tickSize}px`)
+    .text(d => d.legend || d.label);
+
+  setNote(svg, note);
+  setDescription(svg, describeChart(series, xScale.domain(), locale));
+
+  // Hover crosshair
+  attachCrosshair(g, { xScale, innerWidth, innerHeight, onHover, onPick, dates: series[0].data.map(d => d.date), theme });
+  return {
+    g,
+    xScale,
+    innerWidth,
+    series: series.map(s => ({ label: s.label, color: s.color, data: s.data, yScale: yScaleOf(s), units: s.units })),
+    events: annotations.map(a => ({ date: a.date, label: a.label, color: annotationColor(a.kind, theme) })),
+    periods,
+    theme,
+    locale
+  };
+};
+
+/**
+ * Multi-line time series chart in the active theme and locale; see drawTimeSeriesChart for
+ * the props. Without a width it fills its container and redraws when that is resized.
+ */
+function TimeSeriesChart({
+  title, width, height, margin, clipId, series, axes, xDomain, overlays, annotations, periods, highlight, note,
+  onHover, onPick, hoverDate = null
+}) {
+  const theme = useTheme();
+  const locale = useLocale();
+  const draw = useCallback((container, measuredWidth) => drawTimeSeriesChart(container, {
+    title, width: width || measuredWidth || undefined, height, margin, clipId, series, axes, xDomain, overlays,
+    annotations, periods, highlight, note, theme, locale, onHover, onPick
+  }), [title, width, height, margin, clipId, series, axes, xDomain, overlays, annotations, periods, highlight, note,
+    theme, locale, onHover, onPick]);
+
+  const containerRef = useChart(draw, hoverDate);
+  return <div ref={containerRef}></div>;
+}
+
+export default TimeSeriesChart;
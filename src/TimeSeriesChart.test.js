@@ -0,0 +1,54 @@
+import * as d3 from 'd3';
+import { render, screen } from '@testing-library/react';
+import TimeSeriesChart, { drawTimeSeriesChart } from './TimeSeriesChart';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const series = [
+  { id: 'a', label: 'Series A', color: 'steelblue', data: [{ date: utc(2000), value: 10 }, { date: utc(2010), value: 40 }] },
+  { id: 'b', label: 'Series B', legend: 'B', color: 'tomato', axis: 'right', data: [{ date: utc(2000), value: 1 }, { date: utc(2010), value: 3 }] }
+];
+const axes = { left: { label: 'Left units' }, right: { label: 'Right units' } };
+
+test('draws titled lines with a legend, axis labels and a note', () => {
+  render(<TimeSeriesChart title="Fixture chart" series={series} axes={axes} note="A note" />);
+
+  expect(screen.getByText('Fixture chart')).toBeInTheDocument();
+  expect(screen.getByText('Series A')).toBeInTheDocument();
+  expect(screen.getByText('B')).toBeInTheDocument();
+  expect(screen.getByText('Left units')).toBeInTheDocument();
+  expect(screen.getByText('Right units')).toBeInTheDocument();
+  expect(screen.getByText('A note')).toBeInTheDocument();
+});
+
+test('updates in place and drops the right axis label when nothing uses it', () => {
+  const { rerender } = render(<TimeSeriesChart title="Fixture chart" series={series} axes={axes} />);
+  const title = screen.getByText('Fixture chart');
+
+  const leftOnly = series.map(s => ({ ...s, axis: 'left' }));
+  rerender(<TimeSeriesChart title="Fixture chart" series={leftOnly} axes={{ left: { label: 'Shared' } }} />);
+
+  expect(screen.getByText('Fixture chart')).toBe(title);
+  expect(screen.getByText('Shared')).toBeInTheDocument();
+  expect(screen.queryByText('Right units')).not.toBeInTheDocument();
+});
+
+test('moves the legend below the plot on narrow charts', () => {
+  const container = document.createElement('div');
+  drawTimeSeriesChart(container, { title: 'Narrow', width: 360, series, axes });
+
+  const legend = d3.select(container).select('.legend');
+  expect(legend.attr('transform')).toBe('translate(70, 380)');
+  expect(legend.selectAll('.legend-entry').nodes().map(n => n.getAttribute('transform')))
+    .toEqual(['translate(0,0)', 'translate(150,0)']);
+});
+
+test('fades the series a highlight leaves out', () => {
+  const container = document.createElement('div');
+  const opacities = () => d3.select(container).selectAll('.series-line').nodes().map(node => node.getAttribute('stroke-opacity'));
+
+  drawTimeSeriesChart(container, { series, axes, highlight: ['b'] });
+  expect(opacities()).toEqual(['0.2', '1']);
+
+  drawTimeSeriesChart(container, { series, axes });
+  expect(opacities()).toEqual(['1', '1']);
+});
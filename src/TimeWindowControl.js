@@ -0,0 +1,134 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { xTickCount } from './chartFrame';
+import { useLocale } from './locale';
+import { useTheme } from './theme';
+import useElementWidth from './useElementWidth';
+
+// Preset windows; a null end runs to the end of the data
+export const TIME_PRESETS = [
+  { id: 'all', label: 'All', range: null },
+  { id: 'since-2010', label: 'Since 2010', range: [new Date(Date.UTC(2010, 0, 1)), null] },
+  { id: 'pandemic', label: 'Pandemic era', range: [new Date(Date.UTC(2020, 0, 1)), new Date(Date.UTC(2022, 11, 31))] }
+];
+
+/**
+ * Turn a preset into a concrete [start, end] window inside extent, or null for everything
+ */
+export const resolvePreset = (preset, extent) => {
+  if (!preset.range) return null;
+  const [start, end] = preset.range;
+  return [
+    new Date(Math.max(start, extent[0])),
+    new Date(Math.min(end || extent[1], extent[1]))
+  ];
+};
+
+const buttonStyle = { marginRight: '8px' };
+
+// Strip dimensions, matching the charts' left and right margins; the width
+// follows the container
+const height = 60;
+const margin = { top: 5, right: 50, bottom: 20, left: 80 };
+const innerHeight = height - margin.top - margin.bottom;
+
+/**
+ * Overview strip with a brush that sets the time window shared by every chart,
+ * plus preset ranges and a reset
+ */
+function TimeWindowControl({ data, extent, value, onChange }) {
+  const stripRef = useRef(null);
+  const brushRef = useRef(null);
+  const width = useElementWidth(stripRef) || 800;
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t } = locale;
+
+  /**
+   * Draw the overview line and brush
+   */
+  useEffect(() => {
+    if (!data.length || !extent) return;
+
+    d3.select(stripRef.current).selectAll('*').remove();
+    const innerWidth = width - margin.left - margin.right;
+
+    const svg = d3.select(stripRef.current)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+      .style('color', theme.chart.axis);
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const xScale = d3.scaleTime()
+      .domain(extent)
+      .range([0, innerWidth]);
+
+    const yScale = d3.scaleLinear()
+      .domain([0, d3.max(data, d => d.value)])
+      .range([innerHeight, 0]);
+
+    g.append('path')
+      .datum(data)
+      .attr('fill', theme.chart.brushFill)
+      .attr('stroke', theme.chart.brushStroke)
+      .attr('d', d3.area()
+        .x(d => xScale(d.date))
+        .y0(innerHeight)
+        .y1(d => yScale(d.value)));
+
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(xScale).ticks(xTickCount(innerWidth)).tickFormat(locale.formatTime('%Y')));
+
+    // Only user gestures report back; programmatic moves (presets) have no sourceEvent
+    const brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .on('end', event => {
+        if (!event.sourceEvent) return;
+        onChange(event.selection ? event.selection.map(x => xScale.invert(x)) : null);
+      });
+
+    const brushGroup = g.append('g')
+      .attr('class', 'brush')
+      .call(brush);
+
+    brushRef.current = { brush, brushGroup, xScale };
+  }, [data, extent, width, theme, locale, onChange]);
+
+  /**
+   * Keep the brush in step with the window when it changes elsewhere
+   */
+  useEffect(() => {
+    if (!brushRef.current) return;
+    const { brush, brushGroup, xScale } = brushRef.current;
+    brushGroup.call(brush.move, value ? value.map(xScale) : null);
+  }, [value, data, extent, width, theme, locale]);
+
+  const formatDate = locale.formatUtc(locale.dates.month);
+
+  return (
+    <div style={{ marginBottom: '30px', fontSize: '14px' }}>
+      <div style={{ marginBottom: '6px' }}>
+        <strong>{t('timeWindow.label')}</strong>{' '}
+        {value ? `${formatDate(value[0])} – ${formatDate(value[1])}` : t('timeWindow.all')}
+        <span style={{ marginLeft: '16px' }}>
+          {TIME_PRESETS.map(preset => (
+            <button key={preset.id} type="button" style={buttonStyle}
+              onClick={() => onChange(resolvePreset(preset, extent))}>
+              {t(`timePresets.${preset.id}`)}
+            </button>
+          ))}
+          <button type="button" style={buttonStyle} disabled={!value} onClick={() => onChange(null)}>
+            {t('timeWindow.reset')}
+          </button>
+        </span>
+      </div>
+      <div ref={stripRef} title={t('timeWindow.hint')}></div>
+    </div>
+  );
+}
+
+export default TimeWindowControl;
@@ -0,0 +1,13 @@
+import { TIME_PRESETS, resolvePreset } from './TimeWindowControl';
+
+const extent = [new Date(Date.UTC(1994, 6, 5)), new Date(Date.UTC(2025, 0, 29))];
+const preset = id => TIME_PRESETS.find(p => p.id === id);
+
+test('resolves presets inside the data extent', () => {
+  expect(resolvePreset(preset('all'), extent)).toBeNull();
+  expect(resolvePreset(preset('since-2010'), extent)).toEqual([new Date(Date.UTC(2010, 0, 1)), extent[1]]);
+  expect(resolvePreset(preset('pandemic'), [extent[0], new Date(Date.UTC(2021, 5, 1))])).toEqual([
+    new Date(Date.UTC(2020, 0, 1)),
+    new Date(Date.UTC(2021, 5, 1))
+  ]);
+});
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { inspectCSV } from './csvImport';
+import { normalizeDataset } from './dataRegistry';
+import { CatalogError, errorMessage, useLocale } from './locale';
+import { useTheme } from './theme';
+
+// Charts an uploaded series can be overlaid on
+export const OVERLAY_TARGETS = [
+  { id: 'growth', label: 'E-commerce Sales vs Consumer Loans' },
+  { id: 'percent', label: 'E-commerce Share of Total Retail' },
+  { id: 'timeline', label: 'Company Timeline' }
+];
+
+// Catalog keys naming each delimiter
+const DELIMITER_KEYS = { ',': 'uploads.comma', ';': 'uploads.semicolon', '\t': 'uploads.tab', '|': 'uploads.pipe' };
+
+const dropZoneStyle = (isDragging, theme) => ({
+  border: `2px dashed ${isDragging ? theme.page.link : theme.page.border}`,
+  background: isDragging ? theme.page.tint : 'transparent',
+  borderRadius: '4px',
+  padding: '20px',
+  textAlign: 'center',
+  color: theme.page.muted
+});
+
+/**
+ * Drop zone for analysts' own CSVs. Shows what was detected in the file,
+ * lets the user choose a chart to overlay it on, and lists saved uploads with
+ * whether each is shown. shown lists the uploads drawn (all by default);
+ * missing counts those a link asked for that aren't in this browser; failed
+ * lists saved uploads that can't be read any more ({ id, fileName, message }).
+ */
+function UploadPanel({ uploads, shown = uploads, missing = 0, failed = [], onAdd, onRemove, onToggle = () => {}, storageError }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [target, setTarget] = useState(OVERLAY_TARGETS[0].id);
+  const theme = useTheme();
+  const locale = useLocale();
+  const { t, describe } = locale;
+
+  /**
+   * Read a dropped or picked file and detect its layout
+   */
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setPreview(null);
+    try {
+      const content = await file.text();
+      const { spec, rows } = inspectCSV(content, file.name);
+      const dataset = normalizeDataset(spec, rows);
+      if (!dataset.data.length) throw new CatalogError('uploads.noRows');
+      setPreview({ fileName: file.name, content, spec, dataset });
+    } catch (readError) {
+      setError({ file: file.name, message: errorMessage(readError) });
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    readFile(event.dataTransfer.files[0]);
+  };
+
+  const handleAdd = () => {
+    onAdd({ fileName: preview.fileName, content: preview.content, target });
+    setPreview(null);
+  };
+
+  const targetLabel = id => t(`overlayTargets.${id}`);
+
+  return (
+    <section style={{ marginTop: '40px', fontSize: '14px' }}>
+      <h2 style={{ fontSize: '18px' }}>{t('uploads.title')}</h2>
+
+      <div
+        data-testid="upload-drop-zone"
+        style={dropZoneStyle(isDragging, theme)}
+        onDragOver={event => { event.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        {t('uploads.drop')}{' '}
+        <label style={{ color: theme.page.link, cursor: 'pointer', textDecoration: 'underline' }}>
+          {t('uploads.choose')}
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv"
+            style={{ display: 'none' }}
+            onChange={event => { readFile(event.target.files[0]); event.target.value = ''; }}
+          />
+        </label>
+      </div>
+
+      {error && <p role="alert" style={{ color: theme.page.error }}>{error.file}: {describe(error.message)}</p>}
+      {storageError && <p role="alert" style={{ color: theme.page.error }}>{describe(storageError)}</p>}
+      {missing > 0 && <p style={{ color: theme.page.muted }}>{locale.plural('uploads.missing', missing)}</p>}
+
+      {preview && (
+        <div style={{ marginTop: '12px', padding: '12px', background: theme.page.panel, borderRadius: '4px' }}>
+          <div>
+            <strong>{preview.fileName}</strong>:{' '}
+            {t('uploads.format', {
+              delimiter: t(DELIMITER_KEYS[preview.spec.delimiter]),
+              decimal: t(preview.spec.decimal === ',' ? 'uploads.decimalComma' : 'uploads.decimalPoint')
+            })}, {t('uploads.dates')} <code>{preview.spec.dateColumn}</code>,{' '}
+            {t('uploads.values')} <code>{preview.spec.valueColumn}</code>
+            {preview.spec.frequency ? `, ${t(`frequencyNames.${preview.spec.frequency}`)}` : ''}.
+          </div>
+          <div>
+            {t('uploads.usable', { kept: preview.dataset.quality.keptCount, rows: preview.dataset.quality.rowCount })}
+          </div>
+          <label style={{ display: 'inline-block', marginTop: '8px' }}>
+            {t('uploads.overlayOn')}{' '}
+            <select value={target} onChange={event => setTarget(event.target.value)}>
+              {OVERLAY_TARGETS.map(option => <option key={option.id} value={option.id}>{t(`overlayTargets.${option.id}`)}</option>)}
+            </select>
+          </label>{' '}
+          <button type="button" onClick={handleAdd}>{t('uploads.add')}</button>{' '}
+          <button type="button" onClick={() => setPreview(null)}>{t('common.cancel')}</button>
+        </div>
+      )}
+
+      {(uploads.length > 0 || failed.length > 0) && (
+        <ul style={{ paddingLeft: '20px' }}>
+          {uploads.map(upload => (
+            <li key={upload.id}>
+              <label style={{ marginRight: '6px' }}>
+                <input type="checkbox" checked={shown.includes(upload)} onChange={() => onToggle(upload.id)} />{' '}
+                {t('uploads.show')}
+              </label>{' '}
+              <span style={{ color: upload.color, fontWeight: 'bold' }}>{upload.label}</span>
+              {' '}{t('uploads.item', { file: upload.file, chart: targetLabel(upload.target) })}{' '}
+              <button type="button" onClick={() => onRemove(upload.id)}>{t('uploads.remove')}</button>
+            </li>
+          ))}
+          {failed.map(upload => (
+            <li key={upload.id}>
+              <span role="alert" style={{ color: theme.page.error }}>
+                {t('uploads.unreadable', { file: upload.fileName, error: describe(upload.message) })}
+              </span>{' '}
+              <button type="button" onClick={() => onRemove(upload.id)}>{t('uploads.remove')}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default UploadPanel;
@@ -0,0 +1,121 @@
+import { estimateTextWidth, stackLabels } from './labelLayout';
+import { DEFAULT_THEME } from './theme';
+
+// Dash patterns for annotations from the data file, the user's own notes and the
+// story's steps (colored by the theme), so they can be told apart without color
+const ANNOTATION_DASHES = { data: '3,3', note: '1,3', story: '8,3' };
+
+const LABEL_FONT_SIZE = 10;
+const ROW_HEIGHT = 13;
+const MAX_ROWS = 3;
+
+/**
+ * Whether an annotation or period (with an optional charts list) belongs on a chart
+ */
+export const appliesTo = (item, chart) => !item.charts || item.charts.includes(chart);
+
+/**
+ * Color of an annotation kind in a theme
+ */
+export const annotationColor = (kind, theme = DEFAULT_THEME) => theme.annotations[kind] || theme.annotations.data;
+
+/**
+ * Draw dated annotations onto a chart group: a dashed line each, with labels
+ * stacked along the top of the plot so they don't collide. Labels that don't
+ * fit in the available rows are dropped; their line keeps a tooltip.
+ *
+ * annotations: [{ id, date, label, kind: 'data' | 'note' | 'story' }]
+ */
+export const drawAnnotations = (g, annotations, { xScale, innerWidth, innerHeight, animate = s => s, theme = DEFAULT_THEME }) => {
+  const [start, end] = xScale.domain();
+  const visible = annotations.filter(a => a.date >= start && a.date <= end);
+  const positions = stackLabels(
+    visible.map(a => ({ x: xScale(a.date), width: estimateTextWidth(a.label, LABEL_FONT_SIZE, true) })),
+    { maxX: innerWidth, maxRows: MAX_ROWS }
+  );
+  const layout = new Map(visible.map((a, i) => [a.id, positions[i]]));
+
+  const markers = g.selectAll('.annotation-marker')
+    .data(visible, d => d.id)
+    .join(enter => {
+      const marker = enter.append('g')
+        .attr('class', 'annotation-marker')
+        .attr('transform', d => `translate(${xScale(d.date)},0)`);
+
+      marker.append('line')
+        .attr('y1', innerHeight)
+        .attr('y2', 0)
+        .attr('stroke-width', 1)
+        .append('title');
+
+      // A halo in the background color keeps labels readable over the series
+      marker.append('text')
+        .attr('class', 'annotation-label')
+        .attr('text-anchor', 'middle')
+        .attr('paint-order', 'stroke')
+        .attr('stroke-width', 3)
+        .style('font-size', `${LABEL_FONT_SIZE}px`)
+        .style('font-weight', 'bold');
+
+      return marker;
+    });
+
+  markers.select('line')
+    .attr('stroke', d => annotationColor(d.kind, theme))
+    .attr('stroke-opacity', 0.6)
+    .attr('stroke-dasharray', d => ANNOTATION_DASHES[d.kind] || ANNOTATION_DASHES.data)
+    .select('title')
+    .text(d => d.label);
+
+  markers.select('.annotation-label')
+    .attr('stroke', theme.chart.halo)
+    .style('fill', d => annotationColor(d.kind, theme))
+    .style('display', d => (layout.get(d.id).row === -1 ? 'none' : null))
+    .text(d => d.label);
+
+  animate(markers).attr('transform', d => `translate(${xScale(d.date)},0)`);
+  animate(markers.select('.annotation-label'))
+    .attr('x', d => layout.get(d.id).x - xScale(d.date))
+    .attr('y', d => 12 + Math.max(0, layout.get(d.id).row) * ROW_HEIGHT);
+};
+
+/**
+ * Shade periods behind a chart's series, each labelled along the bottom of the
+ * plot when it is wide enough. periods: [{ date, end, label, kind }], with kind
+ * 'macro' for recessions and other macro events (undefined for editorial periods,
+ * which alternate between the theme's two period fills).
+ */
+export const drawPeriodShading = (g, periods, { xScale, innerWidth, innerHeight, animate = s => s, theme = DEFAULT_THEME }) => {
+  const periodX = d => Math.max(0, xScale(d.date));
+  const periodWidth = d => Math.max(0, Math.min(innerWidth, xScale(d.end)) - periodX(d));
+
+  const shades = g.selectAll('.period-shade')
+    .data(periods, d => d.label)
+    .join(enter => {
+      const shade = enter.append('g').attr('class', 'period-shade');
+
+      shade.append('rect')
+        .attr('y', 0)
+        .attr('height', innerHeight);
+
+      shade.append('text')
+        .attr('y', innerHeight - 6)
+        .attr('text-anchor', 'middle')
+        .style('font-size', `${LABEL_FONT_SIZE}px`)
+        .text(d => d.label);
+
+      return shade;
+    });
+
+  shades.select('rect')
+    .attr('fill', (d, i) => (d.kind === 'macro' ? theme.chart.macroPeriod : theme.chart.periodFills[i % 2]));
+  shades.select('text').style('fill', theme.chart.periodLabel);
+
+  animate(shades.select('rect'))
+    .attr('x', periodX)
+    .attr('width', periodWidth);
+
+  animate(shades.select('text'))
+    .attr('x', d => periodX(d) + periodWidth(d) / 2)
+    .style('opacity', d => (periodWidth(d) > estimateTextWidth(d.label, LABEL_FONT_SIZE) + 8 ? 1 : 0));
+};
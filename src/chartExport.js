@@ -0,0 +1,164 @@
+import * as d3 from 'd3';
+import { wrapLines } from './chartFrame';
+import { CatalogError } from './locale';
+import { DEFAULT_THEME } from './theme';
+
+const formatDate = d3.utcFormat('%Y-%m-%d');
+
+// Presentation properties copied from computed styles, so exported SVGs look the
+// same outside the page's stylesheet
+const INLINED_STYLES = [
+  'font-family', 'font-size', 'font-weight', 'font-style', 'text-anchor', 'dominant-baseline',
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity'
+];
+
+// Interactive parts of a chart that don't belong in an exported image
+const INTERACTIVE_PARTS = '.crosshair, .hover-target';
+
+const CAPTION_FONT_SIZE = 11;
+const CAPTION_LINE_HEIGHT = 14;
+
+/**
+ * Restrict each series to the points inside a [start, end] window (null keeps everything)
+ */
+export const plottedSeries = (series, window) => series.map(s => ({
+  ...s,
+  data: window ? s.data.filter(d => d.date >= window[0] && d.date <= window[1]) : s.data
+}));
+
+/**
+ * CSV of an export, one row per plotted point: series, units, date, value
+ */
+export const toCSV = ({ series }) => d3.csvFormat(
+  series.flatMap(s => s.data.map(d => ({
+    series: s.label,
+    units: s.units || '',
+    date: formatDate(d.date),
+    value: d.value
+  }))),
+  ['series', 'units', 'date', 'value']
+);
+
+/**
+ * JSON of an export: title, caption, time window, view settings, series and events
+ */
+export const toJSON = ({ title, caption, window, settings, series, events = [] }) => JSON.stringify({
+  title,
+  caption,
+  window: window ? window.map(formatDate) : null,
+  settings,
+  series: series.map(s => ({
+    label: s.label,
+    units: s.units || '',
+    data: s.data.map(d => ({ date: formatDate(d.date), value: d.value }))
+  })),
+  events: events.map(e => ({ date: formatDate(e.date), label: e.label }))
+}, null, 2);
+
+/**
+ * Copy computed presentation styles from each source element onto its clone
+ */
+const inlineStyles = (source, clone) => {
+  const computed = window.getComputedStyle(source);
+  INLINED_STYLES.forEach(property => {
+    const value = computed.getPropertyValue(property);
+    if (value) clone.style.setProperty(property, value);
+  });
+  Array.from(source.children).forEach((child, i) => inlineStyles(child, clone.children[i]));
+};
+
+/**
+ * Serialize a chart's SVG as a standalone document: styles inlined, hover parts
+ * removed, the theme's chart background, and the caption drawn under the chart
+ * and repeated (with any metadata, as JSON) in <desc> and <metadata>
+ */
+export const standaloneSvg = (svgNode, { title = '', caption = '', metadata = {}, theme = DEFAULT_THEME } = {}) => {
+  const clone = svgNode.cloneNode(true);
+  inlineStyles(svgNode, clone);
+
+  const svg = d3.select(clone);
+  svg.selectAll(INTERACTIVE_PARTS).remove();
+
+  const width = +svgNode.getAttribute('width');
+  const height = +svgNode.getAttribute('height');
+  const lines = caption ? wrapLines(caption, width - 20, CAPTION_FONT_SIZE) : [];
+  const fullHeight = height + (lines.length ? lines.length * CAPTION_LINE_HEIGHT + 10 : 0);
+
+  svg
+    .attr('xmlns', 'http://www.w3.org/2000/svg')
+    .attr('width', width)
+    .attr('height', fullHeight)
+    .attr('viewBox', `0 0 ${width} ${fullHeight}`)
+    // The page's focus and id references don't apply to a file
+    .attr('tabindex', null)
+    .attr('aria-labelledby', null)
+    .attr('aria-describedby', null)
+    .style('font-family', svg.style('font-family') || theme.fontFamily);
+
+  svg.insert('rect', ':first-child')
+    .attr('width', width)
+    .attr('height', fullHeight)
+    .attr('fill', theme.chart.background);
+
+  // Title and description (the chart's own summary, then the caption) for
+  // screen readers and file browsers
+  const summary = svg.select('.chart-summary');
+  const description = [summary.empty() ? '' : summary.text(), caption].filter(Boolean).join(' ');
+  summary.remove();
+  svg.insert('metadata', ':first-child').text(JSON.stringify({ title, caption, ...metadata }));
+  svg.insert('desc', ':first-child').text(description);
+  svg.insert('title', ':first-child').text(title);
+
+  svg.append('text')
+    .attr('class', 'caption')
+    .attr('x', 10)
+    .attr('y', height + CAPTION_LINE_HEIGHT)
+    .style('font-size', `${CAPTION_FONT_SIZE}px`)
+    .style('fill', theme.page.muted)
+    .selectAll('tspan')
+    .data(lines)
+    .join('tspan')
+    .attr('x', 10)
+    .attr('dy', (d, i) => (i ? CAPTION_LINE_HEIGHT : 0))
+    .text(d => d);
+
+  return new XMLSerializer().serializeToString(clone);
+};
+
+/**
+ * Render a standalone SVG string to a PNG blob at pixelRatio times its size.
+ * Browser only: it needs Image and canvas.
+ */
+export const svgToPng = (svgString, pixelRatio = 2) => new Promise((resolve, reject) => {
+  const size = new DOMParser().parseFromString(svgString, 'image/svg+xml').documentElement;
+  const width = +size.getAttribute('width');
+  const height = +size.getAttribute('height');
+
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    const context = canvas.getContext('2d');
+    context.scale(pixelRatio, pixelRatio);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new CatalogError('export.pngEncode'))), 'image/png');
+  };
+  image.onerror = () => reject(new CatalogError('export.pngDraw'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
+});
+
+/**
+ * Save content (a Blob or a string of the given type) as a file download
+ */
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
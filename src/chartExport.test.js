@@ -0,0 +1,64 @@
+import { drawTimeSeriesChart } from './TimeSeriesChart';
+import { plottedSeries, standaloneSvg, toCSV, toJSON } from './chartExport';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const series = [
+  { label: 'Sales, "adjusted"', units: '$ millions', data: [{ date: utc(2000), value: 10 }, { date: utc(2010), value: 40 }] },
+  { label: 'Loans', units: '$ billions', data: [{ date: utc(2005), value: 2.5 }] }
+];
+
+test('limits exported series to the time window', () => {
+  const [sales, loans] = plottedSeries(series, [utc(2004), utc(2011)]);
+  expect(sales.data).toEqual([{ date: utc(2010), value: 40 }]);
+  expect(loans.data).toHaveLength(1);
+  expect(plottedSeries(series, null)[0].data).toHaveLength(2);
+});
+
+test('writes one CSV row per plotted point', () => {
+  expect(toCSV({ series }).split('\n')).toEqual([
+    'series,units,date,value',
+    '"Sales, ""adjusted""",$ millions,2000-01-01,10',
+    '"Sales, ""adjusted""",$ millions,2010-01-01,40',
+    'Loans,$ billions,2005-01-01,2.5'
+  ]);
+});
+
+test('writes JSON with the caption, window and settings', () => {
+  const json = JSON.parse(toJSON({
+    title: 'Chart',
+    caption: 'Data Sources: somewhere',
+    window: [utc(2000), utc(2010)],
+    settings: { scale: 'dual' },
+    series,
+    events: [{ date: utc(2004), label: 'Launch' }]
+  }));
+  expect(json.caption).toBe('Data Sources: somewhere');
+  expect(json.window).toEqual(['2000-01-01', '2010-01-01']);
+  expect(json.settings).toEqual({ scale: 'dual' });
+  expect(json.series[1]).toEqual({ label: 'Loans', units: '$ billions', data: [{ date: '2005-01-01', value: 2.5 }] });
+  expect(json.events).toEqual([{ date: '2004-01-01', label: 'Launch' }]);
+});
+
+test('serializes a chart as a standalone SVG with its caption', () => {
+  const container = document.createElement('div');
+  drawTimeSeriesChart(container, {
+    title: 'Export fixture',
+    series: [{ id: 'a', label: 'A', color: 'steelblue', data: series[0].data }],
+    axes: { left: { label: 'Units' } }
+  });
+
+  const svg = standaloneSvg(container.querySelector('svg'), {
+    title: 'Export fixture',
+    caption: 'Data Sources: somewhere',
+    metadata: { settings: { scale: 'dual' } }
+  });
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml').documentElement;
+
+  expect(doc.getAttribute('xmlns')).toBe('http://www.w3.org/2000/svg');
+  expect(doc.getAttribute('height')).toBe('424');
+  expect(doc.querySelector('title').textContent).toBe('Export fixture');
+  expect(JSON.parse(doc.querySelector('metadata').textContent).settings).toEqual({ scale: 'dual' });
+  expect(doc.querySelector('.caption').textContent).toBe('Data Sources: somewhere');
+  expect(doc.querySelector('.crosshair')).toBeNull();
+  expect(doc.querySelector('.chart-title').getAttribute('style')).toContain('font-size: 18px');
+});
@@ -0,0 +1,266 @@
+import * as d3 from 'd3';
+import { DEFAULT_LOCALE } from './locale';
+import { shouldAnimate } from './motion';
+import { DEFAULT_THEME } from './theme';
+
+/**
+ * Y domain from zero (or the lowest negative value) to just above the highest value
+ */
+export const valueDomain = (data) => {
+  const [min, max] = d3.extent(data, d => d.value);
+  return [Math.min(0, min * 1.1), Math.max(0, max * 1.1)];
+};
+
+/**
+ * Points inside the x domain, or all of them when none are (so scales still fit something)
+ */
+export const inDomain = (data, [start, end]) => {
+  const visible = data.filter(d => d.date >= start && d.date <= end);
+  return visible.length ? visible : data;
+};
+
+// Charts narrower than this use the compact layout
+export const COMPACT_WIDTH = 600;
+
+/**
+ * Sizes that adapt to a chart's width: font sizes (scaled by a theme's
+ * fontScale), and whether to use the compact layout (legends below the plot,
+ * tighter label stacks)
+ */
+export const chartLayout = (width, fontScale = 1) => {
+  const compact = width < COMPACT_WIDTH;
+  return {
+    compact,
+    titleSize: Math.round((compact ? 15 : 18) * fontScale),
+    labelSize: Math.round((compact ? 12 : 14) * fontScale),
+    tickSize: Math.round((compact ? 10 : 12) * fontScale)
+  };
+};
+
+/**
+ * Number of x axis ticks to ask for, about one per 70 pixels
+ */
+export const xTickCount = (innerWidth) => Math.max(2, Math.round(innerWidth / 70));
+
+/**
+ * Tick format for a linear or log scale's axis in locale: what
+ * scale.tickFormat(count, specifier) gives, with the locale's separators. Log
+ * scales keep leaving out the labels of the ticks they would crowd.
+ */
+export const axisTickFormat = (scale, locale = DEFAULT_LOCALE, count = 10, specifier = ',f') => {
+  const parsed = d3.formatSpecifier(specifier);
+  const [start, end] = scale.domain();
+  const step = d3.tickStep(start, end, count);
+  if (parsed.type === 'f' && parsed.precision === undefined && Number.isFinite(step)) {
+    parsed.precision = d3.precisionFixed(step);
+  }
+  const format = locale.format(parsed.toString());
+  const shown = scale.tickFormat(count, specifier);
+  return d => (shown(d) === '' ? '' : format(d));
+};
+
+/**
+ * Greedily break text into lines that fit maxWidth, estimating glyph widths
+ * from the font size (about half an em each, so it works without SVG layout)
+ */
+export const wrapLines = (text, maxWidth, fontSize) => {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * 0.5)));
+  return text.split(/\s+/).filter(Boolean).reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+};
+
+/**
+ * Set a chart's bottom note, wrapping it onto more lines (growing upwards) when
+ * it's wider than the chart
+ */
+export const setNote = (svg, note) => {
+  const annotation = svg.select('.annotation');
+  const width = +svg.attr('width');
+  const fontSize = parseFloat(annotation.style('font-size'));
+  const lines = wrapLines(note, width - 20, fontSize);
+
+  annotation
+    .attr('y', +annotation.attr('data-bottom') - (lines.length - 1) * fontSize * 1.2)
+    .selectAll('tspan')
+    .data(lines)
+    .join('tspan')
+    .attr('x', width / 2)
+    .attr('dy', (d, i) => (i ? '1.2em' : 0))
+    .text(d => d);
+};
+
+// Keeps the live region readable by screen readers but off screen
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  'white-space': 'nowrap'
+};
+
+/**
+ * Set the text summary screen readers announce for a chart (its <desc>)
+ */
+export const setDescription = (svg, text) => {
+  svg.select('.chart-summary').text(text);
+};
+
+/**
+ * Find or build the common skeleton of a chart inside container: the SVG, title
+ * (and optional subtitle), a clip path for the plot area, axis groups, axis labels
+ * and the bottom note. Only the first call builds; later calls reuse the nodes so
+ * charts update in place, unless the size has changed, which rebuilds.
+ *
+ * The SVG is a focusable image labelled by its title and described by a
+ * <desc> (see setDescription), and the container gets a live region that
+ * announces the values at the crosshair while the chart has keyboard focus.
+ * Its background, text and axis colors, font and text sizes come from theme, and
+ * the x axis label defaults to locale's word for year. They and the titles are
+ * set on every call, so switching themes or languages updates the chart in place.
+ *
+ * Returns { svg, g, clipped, innerWidth, innerHeight, layout, isFirstRender, animate },
+ * where layout comes from chartLayout and animate(selection) transitions a
+ * selection unless it's the first render or motion is off.
+ */
+export const chartFrame = (container, {
+  width, height, margin, clipId, title, subtitle, noteY, theme = DEFAULT_THEME, locale = DEFAULT_LOCALE,
+  xLabel = locale.t('chart.year')
+}) => {
+  const innerWidth = width - margin.left - margin.right;
+  const innerHeight = height - margin.top - margin.bottom;
+
+  const layout = chartLayout(width, theme.fontScale);
+
+  // A resized chart is rebuilt from scratch rather than animated
+  const root = d3.select(container);
+  const existing = root.select('svg');
+  if (!existing.empty() && (+existing.attr('width') !== width || +existing.attr('height') !== height)) {
+    existing.remove();
+  }
+  const isFirstRender = root.select('svg').empty();
+
+  if (isFirstRender) {
+    const svg = root
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('role', 'img')
+      .attr('tabindex', 0)
+      .attr('aria-labelledby', `${clipId}-title`)
+      .attr('aria-describedby', `${clipId}-summary`);
+
+    svg.append('desc')
+      .attr('class', 'chart-summary')
+      .attr('id', `${clipId}-summary`);
+
+    // Chart title
+    svg.append('text')
+      .attr('class', 'chart-title')
+      .attr('id', `${clipId}-title`)
+      .attr('x', width / 2)
+      .attr('y', subtitle ? 30 : 25)
+      .attr('text-anchor', 'middle')
+      .style('font-weight', 'bold');
+
+    if (subtitle) {
+      svg.append('text')
+        .attr('class', 'chart-subtitle')
+        .attr('x', width / 2)
+        .attr('y', 55)
+        .attr('text-anchor', 'middle')
+        .style('font-style', 'italic')
+        .text(subtitle);
+    }
+
+    // Keep zoomed-in lines inside the plot area
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', clipId)
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
+
+    // Create chart group
+    const g = svg.append('g')
+      .attr('class', 'plot')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    g.append('g')
+      .attr('class', 'clipped')
+      .attr('clip-path', `url(#${clipId})`);
+
+    // Axes
+    g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${innerHeight})`);
+
+    g.append('g').attr('class', 'y-axis');
+
+    // X axis label
+    g.append('text')
+      .attr('class', 'x-label')
+      .attr('x', innerWidth / 2)
+      .attr('y', innerHeight + 40)
+      .attr('text-anchor', 'middle');
+
+    // Y axis label, 20px inside the left edge
+    g.append('text')
+      .attr('class', 'y-label')
+      .attr('transform', 'rotate(-90)')
+      .attr('x', -innerHeight / 2)
+      .attr('y', -(margin.left - 20))
+      .attr('text-anchor', 'middle');
+
+    // Annotation, anchored by its last line (see setNote)
+    svg.append('text')
+      .attr('class', 'annotation')
+      .attr('x', width / 2)
+      .attr('y', noteY || height - 10)
+      .attr('data-bottom', noteY || height - 10)
+      .attr('text-anchor', 'middle')
+      .style('font-style', 'italic');
+  }
+
+  // Theme: text inherits the fill and axes draw in currentColor
+  const svg = root.select('svg')
+    .style('background', theme.chart.background)
+    .style('color', theme.chart.axis)
+    .style('fill', theme.chart.text)
+    .style('font-family', theme.fontFamily);
+  svg.select('.chart-title').style('font-size', `${layout.titleSize}px`);
+  svg.selectAll('.chart-subtitle, .x-label, .y-label, .annotation').style('font-size', `${layout.labelSize}px`);
+
+  // Text that changes with the language
+  svg.select('.chart-title').text(title);
+  svg.select('.chart-subtitle').text(subtitle);
+  svg.select('.x-label').text(xLabel);
+
+  if (root.select('.chart-announcer').empty()) {
+    const announcer = root.append('div')
+      .attr('class', 'chart-announcer')
+      .attr('aria-live', 'polite');
+    Object.entries(VISUALLY_HIDDEN).forEach(([property, value]) => announcer.style(property, value));
+  }
+
+  const transition = svg.transition().duration(750);
+  const animate = selection => (isFirstRender || !shouldAnimate() ? selection : selection.transition(transition));
+
+  return {
+    svg,
+    g: svg.select('.plot'),
+    clipped: svg.select('.clipped'),
+    innerWidth,
+    innerHeight,
+    layout,
+    isFirstRender,
+    animate
+  };
+};
@@ -0,0 +1,39 @@
+import * as d3 from 'd3';
+import { chartFrame, chartLayout, setNote, wrapLines, xTickCount } from './chartFrame';
+
+const frameOptions = { height: 300, margin: { top: 40, right: 20, bottom: 60, left: 60 }, clipId: 'test-clip', title: 'Frame' };
+
+test('switches to the compact layout on narrow charts', () => {
+  expect(chartLayout(800)).toEqual({ compact: false, titleSize: 18, labelSize: 14, tickSize: 12 });
+  expect(chartLayout(360).compact).toBe(true);
+  expect(xTickCount(620)).toBe(9);
+  expect(xTickCount(60)).toBe(2);
+});
+
+test('wraps text greedily by estimated width', () => {
+  expect(wrapLines('one two three four', 70, 10)).toEqual(['one two three', 'four']);
+  expect(wrapLines('short', 100, 10)).toEqual(['short']);
+});
+
+test('reuses the frame at the same size and rebuilds it when resized', () => {
+  const container = document.createElement('div');
+  const first = chartFrame(container, { ...frameOptions, width: 800 });
+  expect(first.isFirstRender).toBe(true);
+  expect(chartFrame(container, { ...frameOptions, width: 800 }).isFirstRender).toBe(false);
+
+  const resized = chartFrame(container, { ...frameOptions, width: 400 });
+  expect(resized.isFirstRender).toBe(true);
+  expect(resized.layout.compact).toBe(true);
+  expect(d3.select(container).selectAll('svg').size()).toBe(1);
+  expect(d3.select(container).select('svg').attr('width')).toBe('400');
+});
+
+test('wraps long notes upwards from the bottom of the chart', () => {
+  const container = document.createElement('div');
+  const { svg } = chartFrame(container, { ...frameOptions, width: 400 });
+  setNote(svg, 'Note: a long annotation that cannot possibly fit on a single line of a narrow chart');
+
+  const tspans = svg.select('.annotation').selectAll('tspan');
+  expect(tspans.size()).toBe(2);
+  expect(+svg.select('.annotation').attr('y')).toBeLessThan(290);
+});
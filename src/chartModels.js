@@ -0,0 +1,119 @@
+import * as d3 from 'd3';
+import { appliesTo } from './annotationLayer';
+import { DEFAULT_LOCALE } from './locale';
+import { metricLabel } from './MetricControls';
+import { describeCorrelation } from './statistics';
+import { DEFAULT_THEME } from './theme';
+import { convertUnits, isDollarUnits, metricUnits, rebase } from './transforms';
+
+/**
+ * What the charts draw, from the loaded data and the view settings. Shared by
+ * the page and the static report, so both draw the same charts.
+ */
+
+/**
+ * Units as shown: dollar units in real dollars name their base year
+ */
+export const displayUnits = (units, realBaseYear, locale = DEFAULT_LOCALE) => (realBaseYear && isDollarUnits(units)
+  ? locale.t('units.real', { units: locale.unitLabel(units), year: realBaseYear })
+  : units);
+
+/**
+ * The annotations file's events for one chart, as chart annotations
+ */
+export const dataAnnotations = (annotationData, chart) => annotationData
+  .filter(d => appliesTo(d, chart))
+  .map(d => ({ id: `data-${d.label}`, date: d.date, label: d.label, kind: 'data' }));
+
+/**
+ * The periods shaded on one chart: the editorial periods for it (the timeline
+ * draws its own as a band of phases instead) and macroPeriods
+ */
+export const shadedPeriods = (periodData, macroPeriods, chart) => [
+  ...(chart === 'timeline' ? [] : periodData.filter(d => appliesTo(d, chart))),
+  ...macroPeriods
+];
+
+/**
+ * VISUALIZATION 1: E-commerce Sales vs Consumer Loans Growth
+ * The parallel growth of e-commerce sales and consumer loans, on separate
+ * axes, rebased to a common index (mode 'indexed', at baseYear, or the
+ * nearest year both series cover), or on a shared log scale (mode 'log').
+ * sales and loans are the series as shown (after any metric in
+ * metrics.retailSales and metrics.loans); stats is their correlation summary. Returns { series, axes, note } for drawTimeSeriesChart,
+ * or null when there is nothing to draw.
+ */
+export const growthChartModel = ({
+  sales: salesData,
+  loans: loansData,
+  salesUnits,
+  loansUnits,
+  metrics,
+  mode,
+  baseYear,
+  realBaseYear = null,
+  stats,
+  theme = DEFAULT_THEME,
+  locale = DEFAULT_LOCALE
+}) => {
+  if (!salesData.length || !loansData.length || !stats) return null;
+
+  const sales = { id: 'sales', label: locale.t('series.sales'), ...theme.series.sales };
+  const loans = { id: 'loans', label: locale.t('series.loans'), ...theme.series.loans };
+
+  if (mode === 'indexed') {
+    // A base year outside the years both series cover moves to the nearest one they do
+    const year = d3.min([
+      d3.max([salesData[0].date.getUTCFullYear(), loansData[0].date.getUTCFullYear(), baseYear]),
+      salesData[salesData.length - 1].date.getUTCFullYear(),
+      loansData[loansData.length - 1].date.getUTCFullYear()
+    ]);
+    const baseDate = new Date(Date.UTC(year, 0, 1));
+    const salesIndex = rebase(salesData, baseDate);
+    const loansIndex = rebase(loansData, baseDate);
+    if (!salesIndex.length || !loansIndex.length) return null;
+    const lastYear = d3.max([...salesIndex, ...loansIndex], d => d.date).getUTCFullYear();
+    const formatIndex = locale.format('.0f');
+    return {
+      series: [
+        { ...sales, legend: locale.t('growth.salesIndex'), data: salesIndex, units: '' },
+        { ...loans, legend: locale.t('growth.loansIndex'), data: loansIndex, units: '' }
+      ],
+      axes: { left: { label: locale.t(realBaseYear ? 'growth.realIndexAxis' : 'growth.indexAxis', { year }) } },
+      note: [
+        year === baseYear ? '' : locale.t('growth.baseYearMoved', { requested: baseYear, year }),
+        locale.t('growth.indexNote', {
+          year,
+          sales: formatIndex(salesIndex[salesIndex.length - 1].value),
+          loans: formatIndex(loansIndex[loansIndex.length - 1].value),
+          lastYear
+        })
+      ].filter(Boolean).join(' ')
+    };
+  }
+
+  if (mode === 'log') {
+    const units = locale.unitLabel(displayUnits(salesUnits, realBaseYear, locale));
+    return {
+      series: [
+        { ...sales, legend: locale.t('growth.sales'), data: salesData.filter(d => d.value > 0), units: salesUnits },
+        { ...loans, legend: locale.t('growth.loans'), data: convertUnits(loansData, loansUnits, salesUnits).filter(d => d.value > 0), units: salesUnits }
+      ],
+      axes: { left: { label: locale.t('growth.logAxis', { units }), type: 'log', ticks: [6, ',.0f'] } },
+      note: locale.t('growth.logNote')
+    };
+  }
+
+  // Dual axis: each series on its own scale
+  return {
+    series: [
+      { ...sales, data: salesData, units: metricUnits(metrics.retailSales.metric, salesUnits) },
+      { ...loans, data: loansData, axis: 'right', units: metricUnits(metrics.loans.metric, loansUnits) }
+    ],
+    axes: {
+      left: { label: metricLabel(sales.label, metrics.retailSales, salesUnits, realBaseYear, locale) },
+      right: { label: metricLabel(loans.label, metrics.loans, loansUnits, realBaseYear, locale) }
+    },
+    note: describeCorrelation(stats, locale)
+  };
+};
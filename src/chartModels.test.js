@@ -0,0 +1,31 @@
+import { growthChartModel } from './chartModels';
+import { DEFAULT_METRIC } from './MetricControls';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const yearly = (from, to, start) => Array.from({ length: to - from + 1 }, (_, i) => ({ date: utc(from + i), value: start * (i + 1) }));
+
+const model = (baseYear) => growthChartModel({
+  sales: yearly(2000, 2010, 10),
+  loans: yearly(2002, 2012, 100),
+  salesUnits: '$ millions',
+  loansUnits: '$ billions',
+  metrics: { retailSales: DEFAULT_METRIC, loans: DEFAULT_METRIC },
+  mode: 'indexed',
+  baseYear,
+  stats: { r: 0.9 }
+});
+
+test('indexes both series to the base year', () => {
+  const { series, axes, note } = model(2005);
+  expect(series.map(s => s.data.find(d => +d.date === +utc(2005)).value)).toEqual([100, 100]);
+  expect(axes.left.label).toBe('Index (2005 = 100)');
+  expect(note).toMatch(/^Note: with 2005 = 100/);
+});
+
+test('moves a base year outside the shared years to the nearest one, and says so', () => {
+  const late = model(2020);
+  expect(late.axes.left.label).toBe('Index (2010 = 100)');
+  expect(late.note).toMatch(/^There is no data for both series in 2020, so 2010 is the base year\./);
+
+  expect(model(1990).axes.left.label).toBe('Index (2002 = 100)');
+});
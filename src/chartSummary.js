@@ -0,0 +1,50 @@
+import * as d3 from 'd3';
+import { formatValue } from './crosshair';
+import { DEFAULT_LOCALE } from './locale';
+
+// Changes smaller than this fraction of the starting value count as level
+const LEVEL_CHANGE = 0.02;
+
+/**
+ * Describe one series in words for screen readers: the period it covers, its
+ * overall change from first to last point and its lowest and highest values.
+ * data: the points in view, sorted by date. The sentences are in locale.
+ */
+export const describeSeries = ({ label, data, units }, locale = DEFAULT_LOCALE) => {
+  const { t } = locale;
+  if (!data.length) return t('summary.noData', { label });
+
+  const first = data[0];
+  const last = data[data.length - 1];
+  const lowest = d3.least(data, d => d.value);
+  const highest = d3.greatest(data, d => d.value);
+  const value = d => formatValue(d.value, units, locale);
+  const month = d => locale.formatUtc(locale.dates.longMonth)(d.date);
+
+  const relative = first.value > 0 ? (last.value - first.value) / first.value : NaN;
+  let trend;
+  if (Math.abs(relative) < LEVEL_CHANGE) trend = t('summary.level', { value: value(last) });
+  else {
+    const percent = Number.isFinite(relative) ? ` (${locale.format('+,.0%')(relative)})` : '';
+    trend = t(last.value >= first.value ? 'summary.rose' : 'summary.fell', { from: value(first), to: value(last), percent });
+  }
+
+  return t('summary.series', {
+    label,
+    start: month(first),
+    end: month(last),
+    trend,
+    lowest: value(lowest),
+    lowestDate: month(lowest),
+    highest: value(highest),
+    highestDate: month(highest)
+  });
+};
+
+/**
+ * Text summary of a chart: a sentence or two per series, limited to the x domain
+ * series: [{ label, data, units }]
+ */
+export const describeChart = (series, [start, end], locale = DEFAULT_LOCALE) => series
+  .map(s => describeSeries({ ...s, data: s.data.filter(d => d.date >= start && d.date <= end) }, locale))
+  .join(' ');
@@ -0,0 +1,28 @@
+import { describeChart, describeSeries } from './chartSummary';
+
+const utc = (y, m) => new Date(Date.UTC(y, m - 1, 1));
+
+test('describes a series by its range, trend and extremes', () => {
+  const data = [
+    { date: utc(2010, 1), value: 100 },
+    { date: utc(2012, 1), value: 80 },
+    { date: utc(2015, 1), value: 150 }
+  ];
+  expect(describeSeries({ label: 'Sales', data, units: '$ millions' })).toBe(
+    'Sales, January 2010 to January 2015: overall it rose from $100M to $150M (+50%). ' +
+    'Lowest $80M in January 2012, highest $150M in January 2015.'
+  );
+  expect(describeSeries({ label: 'Share', data: [{ date: utc(2010, 1), value: 10 }, { date: utc(2011, 1), value: 10.1 }], units: '%' }))
+    .toMatch(/overall it stayed roughly level at 10\.1%/);
+  expect(describeSeries({ label: 'Loans', data: [], units: '' })).toBe('Loans: no data in view.');
+});
+
+test('limits the description to the visible dates', () => {
+  const data = [
+    { date: utc(2000, 1), value: 10 },
+    { date: utc(2005, 1), value: 5 },
+    { date: utc(2010, 1), value: 20 }
+  ];
+  expect(describeChart([{ label: 'Index', data, units: '' }], [utc(2004, 1), utc(2011, 1)]))
+    .toMatch(/^Index, January 2005 to January 2010: overall it rose from 5 to 20 \(\+300%\)/);
+});
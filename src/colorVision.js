@@ -0,0 +1,60 @@
+import * as d3 from 'd3';
+
+// Machado, Oliveira & Fernandes (2009) simulation matrices for complete
+// dichromacy, applied to linear RGB
+const DEFICIENCIES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+export const COLOR_VISION_TYPES = Object.keys(DEFICIENCIES);
+
+// Smallest CIE76 difference at which two line or fill colors are told apart
+// at a glance; around 2 is just noticeable side by side
+export const MIN_COLOR_DIFFERENCE = 20;
+
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const toGamma = c => (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+
+/**
+ * How a color looks with a color vision deficiency ('protanopia', 'deuteranopia'
+ * or 'tritanopia'); null type returns it unchanged
+ */
+export const simulateColorVision = (color, type) => {
+  const { r, g, b } = d3.rgb(color);
+  if (!type) return d3.rgb(r, g, b);
+  const linear = [r, g, b].map(c => toLinear(c / 255));
+  const [sr, sg, sb] = DEFICIENCIES[type].map(row => d3.sum(row, (k, i) => k * linear[i]));
+  return d3.rgb(...[sr, sg, sb].map(c => 255 * toGamma(Math.min(1, Math.max(0, c)))));
+};
+
+/**
+ * CIE76 difference between two colors as seen with a color vision deficiency
+ * (or with typical vision when type is null)
+ */
+export const colorDifference = (a, b, type = null) => {
+  const la = d3.lab(simulateColorVision(a, type));
+  const lb = d3.lab(simulateColorVision(b, type));
+  return Math.hypot(la.l - lb.l, la.a - lb.a, la.b - lb.b);
+};
+
+/**
+ * Pairs of colors that fall below MIN_COLOR_DIFFERENCE for typical vision or
+ * any of the simulated deficiencies: [{ a, b, type, difference }]
+ */
+export const confusableColors = (colors) => colors.flatMap((a, i) => colors.slice(i + 1).flatMap(b => [null, ...COLOR_VISION_TYPES]
+  .map(type => ({ a, b, type, difference: colorDifference(a, b, type) }))
+  .filter(pair => pair.difference < MIN_COLOR_DIFFERENCE)));
@@ -0,0 +1,26 @@
+import { colorDifference, confusableColors, simulateColorVision } from './colorVision';
+import { THEMES } from './theme';
+
+test('simulates color vision deficiencies', () => {
+  expect(simulateColorVision('#2980b9', null).formatHex()).toBe('#2980b9');
+  // Red and green look alike without L or M cones
+  expect(colorDifference('#d62728', '#2ca02c')).toBeGreaterThan(60);
+  expect(colorDifference('#d62728', '#2ca02c', 'deuteranopia')).toBeLessThan(20);
+});
+
+test('flags pairs that are hard to tell apart', () => {
+  const pairs = confusableColors(['#d62728', '#2ca02c', '#1f77b4']);
+  expect(pairs.map(p => [p.a, p.b])).toContainEqual(['#d62728', '#2ca02c']);
+  expect(pairs.every(p => p.b !== '#1f77b4' || p.a !== '#d62728')).toBe(true);
+});
+
+test('the chart palettes stay distinct for common color vision deficiencies', () => {
+  Object.values(THEMES).forEach(theme => {
+    expect(confusableColors([theme.series.sales.color, theme.series.loans.color])).toEqual([]);
+    expect(confusableColors(Object.values(theme.annotations))).toEqual([]);
+  });
+  // Five greys can't all be this far apart; print relies on the labels
+  [THEMES.light, THEMES.dark, THEMES.highContrast].forEach(theme => {
+    expect(confusableColors(Object.values(theme.categories))).toEqual([]);
+  });
+});
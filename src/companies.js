@@ -0,0 +1,53 @@
+import { DEFAULT_LOCALE } from './locale';
+import { DEFAULT_THEME } from './theme';
+
+// Company categories, in legend order; anything else in the data counts as 'other'.
+// Their colors come from the theme.
+export const CATEGORIES = [
+  { id: 'marketplace', label: 'Marketplace' },
+  { id: 'retailer', label: 'Retailer' },
+  { id: 'bnpl', label: 'Buy now, pay later' },
+  { id: 'social', label: 'Social commerce' },
+  { id: 'other', label: 'Other' }
+];
+
+const CATEGORY_IDS = new Set(CATEGORIES.map(c => c.id));
+
+/**
+ * Color of a category id in a theme (unknown ids get the 'other' color)
+ */
+export const categoryColor = (id, theme = DEFAULT_THEME) => theme.categories[id] || theme.categories.other;
+
+/**
+ * Join the company list ({ date, label, category, ipo, end }) with their
+ * milestones ({ date, label, company }) into
+ * [{ id, label, category, date, ipo, end, milestones: [{ date, label }] }],
+ * where date is the founding date and end the shutdown date (null if still running).
+ * Milestones for companies that aren't in the list are left out.
+ */
+export const buildCompanies = (founding, milestones = []) => founding.map(company => ({
+  id: company.label,
+  label: company.label,
+  category: CATEGORY_IDS.has(company.category) ? company.category : 'other',
+  date: company.date,
+  ipo: company.ipo || null,
+  end: company.end || null,
+  milestones: milestones
+    .filter(m => m.company === company.label)
+    .map(m => ({ date: m.date, label: m.label }))
+}));
+
+/**
+ * Every dated event in a company's history ({ kind, date, label }, kind being
+ * 'founded', 'ipo', 'milestone' or 'shutdown'), for markers, hover labels and
+ * exports. Labels are in locale.
+ */
+export const companyEvents = (company, locale = DEFAULT_LOCALE) => {
+  const label = (kind, params) => locale.t(`company.${kind}`, { company: company.label, ...params });
+  return [
+    { kind: 'founded', date: company.date, label: label('founded') },
+    ...(company.ipo ? [{ kind: 'ipo', date: company.ipo, label: label('ipo') }] : []),
+    ...company.milestones.map(m => ({ kind: 'milestone', date: m.date, label: label('milestone', { milestone: m.label }) })),
+    ...(company.end ? [{ kind: 'shutdown', date: company.end, label: label('shutdown') }] : [])
+  ];
+};
@@ -0,0 +1,29 @@
+import { buildCompanies, categoryColor, companyEvents } from './companies';
+import { THEMES } from './theme';
+
+const date = (text) => new Date(text);
+
+test('joins companies with their milestones and defaults unknown categories', () => {
+  const companies = buildCompanies(
+    [
+      { date: date('1998-11-01'), label: 'Pets.com', category: 'retailer', ipo: date('2000-02-11'), end: date('2000-11-07') },
+      { date: date('2015-09-01'), label: 'Newco', category: 'drones' }
+    ],
+    [
+      { date: date('2000-08-01'), label: 'Sock puppet ad', company: 'Pets.com' },
+      { date: date('2001-01-01'), label: 'Orphan', company: 'Nobody' }
+    ]
+  );
+
+  expect(companies[0]).toMatchObject({ id: 'Pets.com', category: 'retailer', milestones: [{ date: date('2000-08-01'), label: 'Sock puppet ad' }] });
+  expect(companies[1]).toMatchObject({ category: 'other', ipo: null, end: null, milestones: [] });
+  expect(categoryColor('drones')).toBe(THEMES.light.categories.other);
+  expect(categoryColor('bnpl', THEMES.dark)).toBe(THEMES.dark.categories.bnpl);
+
+  expect(companyEvents(companies[0]).map(e => `${e.kind}: ${e.label}`)).toEqual([
+    'founded: Pets.com founded',
+    'ipo: Pets.com IPO',
+    'milestone: Pets.com: Sock puppet ad',
+    'shutdown: Pets.com shut down'
+  ]);
+});
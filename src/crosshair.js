@@ -0,0 +1,204 @@
+import * as d3 from 'd3';
+import { DEFAULT_LOCALE } from './locale';
+import { DEFAULT_THEME } from './theme';
+
+const bisectDate = d3.bisector(d => d.date).center;
+
+// Number format for each manifest unit; anything else keeps up to two decimals
+const UNIT_FORMATS = { '$ millions': ',.0f', '$ billions': ',.1f', '%': '.1f' };
+
+// Distance in pixels within which hovering counts as being on an event line
+const EVENT_HOVER_DISTANCE = 6;
+
+// Points moved by each navigation key; Home and End jump to either end
+const STEP_KEYS = { ArrowLeft: -1, ArrowRight: 1, PageUp: -10, PageDown: 10 };
+
+// The date keyboard navigation last moved a chart's crosshair to
+const keyboardDate = d3.local();
+
+/**
+ * The point nearest to date in a series sorted by date, or null if it's empty
+ */
+export const nearestPoint = (data, date) => {
+  if (!data.length) return null;
+  return data[bisectDate(data, date)];
+};
+
+/**
+ * Format a value for display using its manifest units, in locale
+ */
+export const formatValue = (value, units, locale = DEFAULT_LOCALE) => {
+  if (!Number.isFinite(value)) return '–';
+  return locale.withUnits(locale.format(UNIT_FORMATS[units] || ',.2~f')(value), units);
+};
+
+/**
+ * Index of the point a navigation key moves to among dates, from the current
+ * date (or from before the first / after the last point when there is none).
+ * Null for keys that don't navigate.
+ */
+export const keyboardStep = (key, dates, current) => {
+  if (!dates.length) return null;
+  if (key === 'Home') return 0;
+  if (key === 'End') return dates.length - 1;
+  const step = STEP_KEYS[key];
+  if (!step) return null;
+  const from = current ? d3.bisector(d => d).center(dates, current) : (step > 0 ? -1 : dates.length);
+  return Math.max(0, Math.min(dates.length - 1, from + step));
+};
+
+/**
+ * Add a transparent hover surface and an (initially hidden) crosshair to a chart
+ * group. onHover is called with the date under the cursor, or null on leave;
+ * the optional onPick with the date that was clicked. With the chart focused,
+ * the arrow keys (and Page Up/Down, Home, End) step the crosshair through
+ * dates, the chart's points in order; Escape hides it. Its colors come from theme.
+ * Calling it again on the same group only rebinds the handlers to the new scale.
+ */
+export const attachCrosshair = (g, { xScale, innerWidth, innerHeight, onHover, onPick, dates = [], theme = DEFAULT_THEME }) => {
+  if (g.select('.crosshair').empty()) {
+    const crosshair = g.append('g')
+      .attr('class', 'crosshair')
+      .style('pointer-events', 'none')
+      .style('display', 'none');
+
+    crosshair.append('line')
+      .attr('class', 'crosshair-line')
+      .attr('y1', 0)
+      .attr('y2', innerHeight)
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '2,2');
+
+    crosshair.append('g').attr('class', 'crosshair-dots');
+
+    const tooltip = crosshair.append('g').attr('class', 'crosshair-tooltip');
+    tooltip.append('rect')
+      .attr('rx', 3);
+    tooltip.append('text').style('font-size', '11px');
+
+    g.append('rect')
+      .attr('class', 'hover-target')
+      .attr('fill', 'transparent');
+  }
+
+  g.select('.crosshair-line').attr('stroke', theme.chart.crosshair);
+  g.select('.crosshair-tooltip rect')
+    .attr('fill', theme.chart.tooltip)
+    .attr('stroke', theme.chart.tooltipBorder);
+
+  g.select('.hover-target')
+    .attr('width', innerWidth)
+    .attr('height', innerHeight)
+    .on('mousemove', event => {
+      const [x] = d3.pointer(event);
+      onHover(xScale.invert(x));
+    })
+    .on('mouseleave', () => onHover(null))
+    .on('click', onPick ? event => onPick(xScale.invert(d3.pointer(event)[0])) : null)
+    .style('cursor', onPick ? 'crosshair' : null);
+
+  // Keyboard navigation through the points in view
+  const [start, end] = xScale.domain();
+  const visibleDates = dates.filter(d => d >= start && d <= end);
+  const svgNode = g.node().closest('svg');
+  d3.select(svgNode)
+    .on('keydown', event => {
+      if (event.key === 'Escape') {
+        keyboardDate.set(svgNode, null);
+        onHover(null);
+        return;
+      }
+      const index = keyboardStep(event.key, visibleDates, keyboardDate.get(svgNode));
+      if (index === null) return;
+      event.preventDefault();
+      keyboardDate.set(svgNode, visibleDates[index]);
+      onHover(visibleDates[index]);
+    })
+    .on('blur', () => {
+      keyboardDate.set(svgNode, null);
+      onHover(null);
+    });
+};
+
+/**
+ * Move a chart's crosshair to date and fill its tooltip.
+ *
+ * series: [{ label, color, data, yScale, units }] get a dot and a tooltip line
+ * at their nearest point; events: [{ date, label }] add a line when the date is
+ * within a few pixels of one (e.g. a company's founding line), and shaded
+ * periods ([{ date, end, label }]) one with their dates when the date is inside.
+ * Text without a color of its own takes theme's; dates and values are written
+ * in locale.
+ */
+export const updateCrosshair = (g, {
+  date, xScale, innerWidth, series = [], events = [], periods = [], theme = DEFAULT_THEME, locale = DEFAULT_LOCALE
+}) => {
+  const crosshair = g.select('.crosshair');
+  if (crosshair.empty()) return;
+
+  const [start, end] = xScale.domain();
+  if (!date || date < start || date > end) {
+    crosshair.style('display', 'none');
+    return;
+  }
+
+  const points = series
+    .map(s => ({ ...s, point: nearestPoint(s.data, date) }))
+    .filter(s => s.point && s.point.date >= start && s.point.date <= end);
+  const x = xScale(date);
+  const formatDate = locale.formatUtc(locale.dates.day);
+  const nearbyEvents = events.filter(e => Math.abs(xScale(e.date) - x) <= EVENT_HOVER_DISTANCE);
+  const currentPeriods = periods.filter(p => date >= p.date && date <= p.end);
+
+  crosshair.style('display', null);
+  crosshair.select('.crosshair-line')
+    .attr('x1', x)
+    .attr('x2', x);
+
+  crosshair.select('.crosshair-dots')
+    .selectAll('circle')
+    .data(points)
+    .join('circle')
+    .attr('cx', d => xScale(d.point.date))
+    .attr('cy', d => d.yScale(d.point.value))
+    .attr('r', 4)
+    .attr('fill', d => d.color)
+    .attr('stroke', theme.chart.halo);
+
+  const lines = [
+    { text: formatDate(date), color: theme.chart.tooltipText, bold: true },
+    ...points.map(d => ({
+      text: `${d.label}: ${formatValue(d.point.value, d.units, locale)} (${formatDate(d.point.date)})`,
+      color: d.color
+    })),
+    ...nearbyEvents.map(e => ({ text: `${e.label}: ${formatDate(e.date)}`, color: e.color || theme.chart.event, bold: true })),
+    ...currentPeriods.map(p => ({ text: `${p.label}: ${formatDate(p.date)} – ${formatDate(p.end)}`, color: theme.chart.periodLabel }))
+  ];
+
+  // Text size is estimated so this also works where SVG layout isn't available
+  const lineHeight = 14;
+  const boxWidth = d3.max(lines, l => l.text.length) * 6 + 12;
+  const boxHeight = lines.length * lineHeight + 8;
+  const left = x + 10 + boxWidth > innerWidth ? x - 10 - boxWidth : x + 10;
+
+  const tooltip = crosshair.select('.crosshair-tooltip')
+    .attr('transform', `translate(${left},4)`);
+  tooltip.select('rect')
+    .attr('width', boxWidth)
+    .attr('height', boxHeight);
+  tooltip.select('text')
+    .selectAll('tspan')
+    .data(lines)
+    .join('tspan')
+    .attr('x', 6)
+    .attr('y', (d, i) => 4 + (i + 1) * lineHeight - 3)
+    .style('fill', d => d.color)
+    .style('font-weight', d => (d.bold ? 'bold' : null))
+    .text(d => d.text);
+
+  // Read the values out while the chart has keyboard focus
+  const svgNode = g.node().closest('svg');
+  if (svgNode && svgNode.ownerDocument.activeElement === svgNode) {
+    d3.select(svgNode.parentNode).select('.chart-announcer').text(lines.map(l => l.text).join('. '));
+  }
+};
@@ -0,0 +1,96 @@
+import * as d3 from 'd3';
+import { attachCrosshair, formatValue, keyboardStep, nearestPoint, updateCrosshair } from './crosshair';
+
+const utc = (y, m) => new Date(Date.UTC(y, m - 1, 1));
+const sales = [
+  { date: utc(2000, 1), value: 100 },
+  { date: utc(2000, 4), value: 120 },
+  { date: utc(2000, 7), value: 150 }
+];
+
+test('finds the nearest point by bisection', () => {
+  expect(nearestPoint(sales, utc(2000, 3))).toBe(sales[1]);
+  expect(nearestPoint(sales, utc(1990, 1))).toBe(sales[0]);
+  expect(nearestPoint([], utc(2000, 1))).toBeNull();
+});
+
+test('formats values by units', () => {
+  expect(formatValue(300053, '$ millions')).toBe('$300,053M');
+  expect(formatValue(1098.7371, '$ billions')).toBe('$1,098.7B');
+  expect(formatValue(16.2, '%')).toBe('16.2%');
+  expect(formatValue(104.5, '')).toBe('104.5');
+});
+
+test('positions the crosshair and lists series values and nearby events', () => {
+  const g = d3.select(document.body).append('svg').append('g');
+  const xScale = d3.scaleUtc().domain([utc(2000, 1), utc(2000, 7)]).range([0, 600]);
+  const yScale = d3.scaleLinear().domain([0, 200]).range([300, 0]);
+  attachCrosshair(g, { xScale, innerWidth: 600, innerHeight: 300, onHover: () => {} });
+
+  updateCrosshair(g, {
+    date: utc(2000, 4),
+    xScale,
+    innerWidth: 600,
+    series: [{ label: 'Sales', color: '#27ae60', data: sales, yScale, units: '$ millions' }],
+    events: [{ date: new Date(Date.UTC(2000, 3, 2)), label: 'Etsy founded' }]
+  });
+
+  expect(g.select('.crosshair').style('display')).not.toBe('none');
+  expect(g.select('.crosshair-line').attr('x1')).toBe(String(xScale(utc(2000, 4))));
+  expect(g.selectAll('.crosshair-dots circle').size()).toBe(1);
+  expect(g.selectAll('tspan').nodes().map(n => n.textContent)).toEqual([
+    'Apr 01, 2000',
+    'Sales: $120M (Apr 01, 2000)',
+    'Etsy founded: Apr 02, 2000'
+  ]);
+
+  updateCrosshair(g, { date: utc(2001, 1), xScale, innerWidth: 600, series: [] });
+  expect(g.select('.crosshair').style('display')).toBe('none');
+});
+
+test('names the shaded period the hovered date falls in, with its dates', () => {
+  const g = d3.select(document.body).append('svg').append('g');
+  const xScale = d3.scaleUtc().domain([utc(2007, 1), utc(2010, 1)]).range([0, 600]);
+  attachCrosshair(g, { xScale, innerWidth: 600, innerHeight: 300, onHover: () => {} });
+  const periods = [{ date: utc(2007, 12), end: new Date(Date.UTC(2009, 5, 30)), label: 'Great Recession' }];
+
+  updateCrosshair(g, { date: utc(2008, 6), xScale, innerWidth: 600, periods });
+  expect(g.selectAll('tspan').nodes().map(n => n.textContent)).toEqual([
+    'Jun 01, 2008',
+    'Great Recession: Dec 01, 2007 – Jun 30, 2009'
+  ]);
+
+  updateCrosshair(g, { date: utc(2009, 9), xScale, innerWidth: 600, periods });
+  expect(g.selectAll('tspan').size()).toBe(1);
+});
+
+test('steps through dates with the navigation keys', () => {
+  const dates = sales.map(d => d.date);
+  expect(keyboardStep('ArrowRight', dates, null)).toBe(0);
+  expect(keyboardStep('ArrowLeft', dates, null)).toBe(2);
+  expect(keyboardStep('ArrowRight', dates, dates[0])).toBe(1);
+  expect(keyboardStep('PageDown', dates, dates[0])).toBe(2);
+  expect(keyboardStep('Home', dates, dates[2])).toBe(0);
+  expect(keyboardStep('Enter', dates, dates[0])).toBeNull();
+});
+
+test('moves the crosshair from the keyboard and announces the values', () => {
+  const container = d3.select(document.body).append('div');
+  const svg = container.append('svg').attr('tabindex', 0);
+  container.append('div').attr('class', 'chart-announcer');
+  const g = svg.append('g');
+  const xScale = d3.scaleUtc().domain([utc(2000, 1), utc(2000, 7)]).range([0, 600]);
+  const yScale = d3.scaleLinear().domain([0, 200]).range([300, 0]);
+  const series = [{ label: 'Sales', color: '#27ae60', data: sales, yScale, units: '$ millions' }];
+  const onHover = jest.fn(date => updateCrosshair(g, { date, xScale, innerWidth: 600, series }));
+  attachCrosshair(g, { xScale, innerWidth: 600, innerHeight: 300, onHover, dates: sales.map(d => d.date) });
+
+  svg.node().focus();
+  svg.node().dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+  svg.node().dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+  expect(onHover).toHaveBeenLastCalledWith(sales[1].date);
+  expect(container.select('.chart-announcer').text()).toBe('Apr 01, 2000. Sales: $120M (Apr 01, 2000)');
+
+  svg.node().dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  expect(onHover).toHaveBeenLastCalledWith(null);
+});
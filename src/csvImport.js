@@ -0,0 +1,126 @@
+import * as d3 from 'd3';
+import { parseNumber } from './dataRegistry';
+import { CatalogError } from './locale';
+import { detectFrequency } from './resample';
+
+// Delimiters we try, most specific first so ';' wins over a decimal ','
+const DELIMITERS = ['\t', ';', '|', ','];
+
+// Date layouts accepted in uploaded files, tried in order
+const DATE_FORMATS = ['%Y-%m-%d', '%Y/%m/%d', '%m/%d/%Y', '%d.%m.%Y', '%Y-%m', '%Y'];
+
+const toIsoDate = d3.utcFormat('%Y-%m-%d');
+
+/**
+ * Split delimited text into rows of trimmed cells, leaving out blank lines.
+ * Quoted cells ("Sales, total") may hold the delimiter.
+ */
+const parseCells = (csvContent, delimiter) => d3.dsvFormat(delimiter)
+  .parseRows(csvContent)
+  .map(cells => cells.map(cell => cell.trim()))
+  .filter(cells => cells.some(cell => cell.length > 0));
+
+/**
+ * Parse delimited text into row objects keyed by the header's names
+ */
+export const parseCSV = (csvContent, delimiter = ',') => {
+  const [headers, ...lines] = parseCells(csvContent, delimiter);
+  if (!headers) return [];
+
+  return lines.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ''])));
+};
+
+/**
+ * Pick the delimiter that splits the header and the first rows into the same
+ * number of fields
+ */
+export const detectDelimiter = (csvContent) => {
+  const found = DELIMITERS.find(delimiter => {
+    const counts = parseCells(csvContent, delimiter).slice(0, 20).map(cells => cells.length);
+    return counts[0] > 1 && counts.every(count => count === counts[0]);
+  });
+
+  return found || ',';
+};
+
+/**
+ * Pick the decimal separator under which more of the values read as numbers
+ */
+export const detectDecimal = (values) => {
+  const readable = decimal => values.filter(v => Number.isFinite(parseNumber(v, decimal))).length;
+  return readable(',') > readable('.') ? ',' : '.';
+};
+
+/**
+ * Find the date layout that reads the most values. Returns null if none fit.
+ */
+export const detectDateFormat = (values) => {
+  const scored = DATE_FORMATS.map((format, rank) => {
+    const parse = d3.utcParse(format);
+    // d3 reads %Y from 1-4 digits; only accept real four-digit years
+    const reads = format === '%Y' ? v => /^\d{4}$/.test(v.trim()) : v => parse(v.trim());
+    return { format, rank, count: values.filter(reads).length };
+  });
+  const best = d3.greatest(scored, s => s.count);
+  return best && best.count > 0 ? best : null;
+};
+
+/**
+ * Read an uploaded CSV and work out how to ingest it: delimiter, decimal style,
+ * date column and value column. Dates are rewritten to ISO so the result can go
+ * through the same normalizeDataset pipeline as the bundled files.
+ * Returns { spec, rows } or throws if no date or numeric column can be found.
+ */
+export const inspectCSV = (csvContent, fileName = 'upload.csv') => {
+  const content = csvContent.replace(/\r/g, '');
+  const delimiter = detectDelimiter(content);
+  const rows = parseCSV(content, delimiter);
+  if (!rows.length) throw new CatalogError('uploads.errors.noRows');
+
+  const headers = Object.keys(rows[0]);
+  const column = header => rows.map(row => row[header]);
+
+  const dateCandidates = headers
+    .map(header => ({ header, match: detectDateFormat(column(header)) }))
+    .filter(c => c.match);
+  if (!dateCandidates.length) throw new CatalogError('uploads.errors.noDates');
+  // Most readable column wins; ties go to the more specific layout (a bare year
+  // format would otherwise claim any column of four-digit numbers)
+  const { header: dateColumn, match } = d3.greatest(dateCandidates,
+    (a, b) => a.match.count - b.match.count || b.match.rank - a.match.rank);
+
+  const valueCandidates = headers
+    .filter(header => header !== dateColumn)
+    .map(header => {
+      const values = column(header);
+      const decimal = detectDecimal(values);
+      return { header, decimal, count: values.filter(v => Number.isFinite(parseNumber(v, decimal))).length };
+    })
+    .filter(c => c.count > 0);
+  if (!valueCandidates.length) throw new CatalogError('uploads.errors.noNumbers');
+  const { header: valueColumn, decimal } = d3.greatest(valueCandidates, c => c.count);
+
+  const parseDate = d3.utcParse(match.format);
+  const isoRows = rows.map(row => {
+    const date = parseDate(row[dateColumn]);
+    return { ...row, [dateColumn]: date ? toIsoDate(date) : row[dateColumn] };
+  });
+
+  const label = fileName.replace(/\.[^.]+$/, '');
+  return {
+    spec: {
+      id: label,
+      label: valueColumn === 'value' || valueColumn === 'VALUE' ? label : valueColumn,
+      file: fileName,
+      delimiter,
+      decimal,
+      dateColumn,
+      valueColumn,
+      dateFormat: match.format,
+      frequency: detectFrequency(isoRows.map(row => new Date(row[dateColumn])).filter(d => !isNaN(d))),
+      units: '',
+      source: `Uploaded file ${fileName}`
+    },
+    rows: isoRows
+  };
+};
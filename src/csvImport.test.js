@@ -0,0 +1,47 @@
+import { detectDelimiter, inspectCSV, parseCSV } from './csvImport';
+
+test('parses delimited text into row objects', () => {
+  expect(parseCSV('a;b\n1;2\n\n3;4\n', ';')).toEqual([{ a: '1', b: '2' }, { a: '3', b: '4' }]);
+});
+
+test('reads quoted fields holding the delimiter', () => {
+  const content = '"Date","Sales, total"\n2021-01-01,"1,234.5"\n2021-02-01,"1,300"\n2021-03-01,"1,412.25"\n';
+  expect(detectDelimiter(content)).toBe(',');
+
+  const { spec, rows } = inspectCSV(content, 'sales.csv');
+  expect(spec).toMatchObject({ delimiter: ',', decimal: '.', dateColumn: 'Date', valueColumn: 'Sales, total', label: 'Sales, total' });
+  expect(rows[0]).toEqual({ Date: '2021-01-01', 'Sales, total': '1,234.5' });
+});
+
+test('prefers a consistent semicolon over decimal commas', () => {
+  expect(detectDelimiter('observation_date;CCLACBW027SBOG\n2000-06-28;211,4984\n2000-07-05;212,0107')).toBe(';');
+  expect(detectDelimiter('observation_date,ECOMSA\n1999-10-01,4476')).toBe(',');
+});
+
+test('inspects a FRED-style export with decimal commas', () => {
+  const { spec, rows } = inspectCSV(
+    'observation_date;CCLACBW027SBOG\r\n2000-06-28;211,4984\r\n2000-07-05;212,0107\r\n2000-07-12;210,8742\r\n',
+    'loans.csv'
+  );
+
+  expect(spec).toMatchObject({
+    file: 'loans.csv',
+    delimiter: ';',
+    decimal: ',',
+    dateColumn: 'observation_date',
+    valueColumn: 'CCLACBW027SBOG',
+    frequency: 'weekly'
+  });
+  expect(rows[0]).toEqual({ observation_date: '2000-06-28', CCLACBW027SBOG: '211,4984' });
+});
+
+test('finds the date column anywhere and rewrites dates to ISO', () => {
+  const { spec, rows } = inspectCSV('spend,month\n1200,01/31/2021\n1350,02/28/2021\n1100,03/31/2021', 'spend.csv');
+
+  expect(spec).toMatchObject({ dateColumn: 'month', valueColumn: 'spend', dateFormat: '%m/%d/%Y', frequency: 'monthly' });
+  expect(rows.map(r => r.month)).toEqual(['2021-01-31', '2021-02-28', '2021-03-31']);
+});
+
+test('rejects files without dates', () => {
+  expect(() => inspectCSV('name,value\nfoo,1\nbar,2', 'bad.csv')).toThrow('No column of dates was found');
+});
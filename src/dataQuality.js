@@ -0,0 +1,142 @@
+import * as d3 from 'd3';
+
+// Months between observations for the calendar frequencies
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, annual: 12 };
+
+// Robust z-score above which a period-over-period change is flagged
+const OUTLIER_THRESHOLD = 6;
+
+/**
+ * Number of whole expected periods between two dates at the given frequency
+ */
+const periodsBetween = (a, b, frequency) => {
+  if (frequency === 'weekly') return Math.round((b - a) / (7 * 24 * 3600 * 1000));
+  if (frequency === 'daily') return Math.round((b - a) / (24 * 3600 * 1000));
+
+  const months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+  return Math.round(months / FREQUENCY_MONTHS[frequency]);
+};
+
+/**
+ * Flag period-over-period changes that sit far outside the series' typical change,
+ * using the median absolute deviation so the outliers don't mask themselves
+ */
+const findOutliers = (points) => {
+  if (points.length < 5) return [];
+
+  const changes = points.slice(1).map((p, i) => p.value - points[i].value);
+  const median = d3.median(changes);
+  const mad = d3.median(changes, c => Math.abs(c - median)) * 1.4826;
+  if (!mad) return [];
+
+  return changes
+    .map((change, i) => ({ point: points[i + 1], score: Math.abs(change - median) / mad }))
+    .filter(c => c.score > OUTLIER_THRESHOLD);
+};
+
+/**
+ * Validate parsed rows and drop the ones that can't be plotted.
+ *
+ * Expects points of { line, rawDate, date, value, rawValue } (or { label } for
+ * event lists, plus { rawEnd, end } for periods). optionalDates names further
+ * date fields (raw cells in rawFields) that may be null. Rows with unparseable
+ * dates or numbers, periods or events that end before they start, and repeated
+ * dates in a series are excluded; unreadable optional dates are dropped from
+ * their row, and they, unsorted rows, frequency gaps and outliers are reported
+ * as warnings.
+ * Returns { data, quality: { rowCount, keptCount, issues } } with data sorted by date.
+ * Each issue's message is a catalog message ({ key, params }) for locale.describe.
+ */
+export const checkDataQuality = (points, { kind = 'series', frequency = null, optionalDates = [] } = {}) => {
+  const isSeries = kind === 'series';
+  const issues = [];
+  const report = (severity, type, point, key, params = {}) => issues.push({
+    severity,
+    type,
+    line: point ? point.line : null,
+    message: { key: `quality.issue.${key}`, params }
+  });
+
+  // Unparseable cells
+  const valid = points.filter(point => {
+    if (isNaN(point.date)) {
+      report('error', 'date', point, 'date', { raw: point.rawDate ?? '' });
+      return false;
+    }
+    if (!isSeries && !(point.label && point.label.trim())) {
+      report('error', 'label', point, 'label');
+      return false;
+    }
+    if (isSeries && !Number.isFinite(point.value)) {
+      report('error', 'number', point, 'number', { raw: point.rawValue ?? '' });
+      return false;
+    }
+    if (kind === 'periods' && isNaN(point.end)) {
+      report('error', 'date', point, 'endDate', { raw: point.rawEnd ?? '' });
+      return false;
+    }
+    optionalDates.forEach(field => {
+      if (point[field] && isNaN(point[field])) {
+        report('warning', 'date', point, 'optionalDate', { field, raw: point.rawFields[field] });
+        point[field] = null;
+      }
+    });
+    if (point.end && point.end < point.date) {
+      report('error', 'range', point, 'range', { end: point.end, start: point.date });
+      return false;
+    }
+    return true;
+  });
+
+  // Row order
+  valid.forEach((point, i) => {
+    if (i > 0 && point.date < valid[i - 1].date) {
+      report('warning', 'order', point, 'order', { date: point.date, previous: valid[i - 1].date });
+    }
+  });
+  const sorted = valid.slice().sort((a, b) => a.date - b.date);
+
+  // Repeated dates (events and periods can legitimately share a date)
+  const unique = !isSeries
+    ? sorted
+    : sorted.filter((point, i) => {
+        if (i > 0 && +point.date === +sorted[i - 1].date) {
+          report('error', 'duplicate', point, 'duplicate', { date: point.date });
+          return false;
+        }
+        return true;
+      });
+
+  if (isSeries) {
+    // Gaps against the declared frequency
+    if (frequency) {
+      unique.forEach((point, i) => {
+        if (i === 0) return;
+        const missing = periodsBetween(unique[i - 1].date, point.date, frequency) - 1;
+        if (missing > 0) {
+          report('warning', 'gap', point, `gap.${missing > 1 ? 'other' : 'one'}`, {
+            count: missing,
+            frequency: { key: `frequencyNames.${frequency}` },
+            start: unique[i - 1].date,
+            end: point.date
+          });
+        }
+      });
+    }
+
+    // Unusual jumps
+    findOutliers(unique).forEach(({ point, score }) => {
+      report('warning', 'outlier', point, 'outlier', { date: point.date, score: Math.round(score * 10) / 10 });
+    });
+  }
+
+  // Keep what was parsed, minus the raw cells and line numbers
+  const data = unique.map(({ line, rawDate, rawValue, rawEnd, rawFields, ...point }) => point);
+
+  issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+
+  return {
+    data,
+    quality: { rowCount: points.length, keptCount: data.length, issues }
+  };
+};
@@ -0,0 +1,64 @@
+import { checkDataQuality } from './dataQuality';
+import { DEFAULT_LOCALE } from './locale';
+
+// Issues with their messages as shown in English
+const described = issues => issues.map(issue => ({ ...issue, message: DEFAULT_LOCALE.describe(issue.message) }));
+
+const point = (line, date, value) => ({
+  line,
+  rawDate: date,
+  date: new Date(date),
+  rawValue: String(value),
+  value: typeof value === 'number' ? value : NaN
+});
+
+test('excludes unreadable dates and numbers', () => {
+  const { data, quality } = checkDataQuality([
+    point(2, '2000-01-01', 1),
+    point(3, 'not a date', 2),
+    point(4, '2000-07-01', '.'),
+    point(5, '2000-10-01', 4)
+  ], { frequency: 'quarterly' });
+
+  expect(data.map(d => d.value)).toEqual([1, 4]);
+  expect(quality).toMatchObject({ rowCount: 4, keptCount: 2 });
+  expect(quality.issues.filter(i => i.severity === 'error').map(i => [i.type, i.line])).toEqual([
+    ['date', 3],
+    ['number', 4]
+  ]);
+});
+
+test('sorts unsorted rows and drops repeated dates', () => {
+  const { data, quality } = checkDataQuality([
+    point(2, '2000-04-01', 2),
+    point(3, '2000-01-01', 1),
+    point(4, '2000-04-01', 9)
+  ], { frequency: 'quarterly' });
+
+  expect(data.map(d => d.value)).toEqual([1, 2]);
+  expect(quality.issues.map(i => i.type)).toEqual(['order', 'duplicate']);
+});
+
+test('reports gaps in the expected frequency', () => {
+  const { data, quality } = checkDataQuality([
+    point(2, '2000-01-05', 1),
+    point(3, '2000-01-12', 2),
+    point(4, '2000-02-02', 3)
+  ], { frequency: 'weekly' });
+
+  expect(data).toHaveLength(3);
+  expect(described(quality.issues)).toEqual([
+    { severity: 'warning', type: 'gap', line: 4, message: '2 missing weekly observations between 2000-01-12 and 2000-02-02' }
+  ]);
+});
+
+test('flags outlying jumps but keeps them', () => {
+  const values = [10, 11, 13, 16, 17, 19, 70, 71, 74, 76];
+  const { data, quality } = checkDataQuality(
+    values.map((v, i) => point(i + 2, `20${String(i).padStart(2, '0')}-01-01`, v)),
+    { frequency: 'annual' }
+  );
+
+  expect(data).toHaveLength(values.length);
+  expect(quality.issues.map(i => [i.type, i.line])).toEqual([['outlier', 8]]);
+});
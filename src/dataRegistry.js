@@ -0,0 +1,196 @@
+import * as d3 from 'd3';
+import { checkDataQuality } from './dataQuality';
+import { fetchFredRows, FRED_SOURCE } from './fred';
+import { CatalogError, errorMessage } from './locale';
+
+export const DATA_URL = process.env.PUBLIC_URL + '/data';
+const EMPTY = [];
+
+// Accepted number layouts, with optional thousands grouping, per decimal separator
+const NUMBER_PATTERNS = {
+  '.': /^[-+]?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/,
+  ',': /^[-+]?(\d{1,3}(\.\d{3})+|\d+)(,\d+)?$/
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a numeric cell using the dataset's decimal separator.
+ * Anything that isn't a well-formed number in that style (including FRED's "."
+ * placeholder for missing values) becomes NaN instead of a partial parse.
+ */
+export const parseNumber = (raw, decimal = '.') => {
+  if (raw == null) return NaN;
+  const text = String(raw).trim();
+  const pattern = NUMBER_PATTERNS[decimal] || NUMBER_PATTERNS['.'];
+  if (!pattern.test(text)) return NaN;
+
+  const groupSeparator = decimal === ',' ? /\./g : /,/g;
+  return Number(text.replace(groupSeparator, '').replace(',', '.'));
+};
+
+/**
+ * Parse a date cell. FRED exports use ISO dates (YYYY-MM-DD); anything else,
+ * or an impossible calendar date, becomes an Invalid Date.
+ */
+export const parseDate = (raw) => {
+  const text = raw == null ? '' : String(raw).trim();
+  if (!ISO_DATE.test(text)) return new Date(NaN);
+
+  // Out-of-range months and days (2000-13-01) don't parse at all
+  const date = new Date(text);
+  if (Number.isNaN(+date)) return new Date(NaN);
+  return date.toISOString().slice(0, 10) === text ? date : new Date(NaN);
+};
+
+/**
+ * Parse a list of chart ids separated by "|". Empty means every chart (null).
+ */
+export const parseCharts = (raw) => {
+  const charts = String(raw ?? '').split('|').map(chart => chart.trim()).filter(Boolean);
+  return charts.length ? charts : null;
+};
+
+/**
+ * Parse optional columns into named fields: text cells as trimmed strings and
+ * date cells as dates, with blank cells as null. columns maps field to column.
+ */
+const optionalFields = (row, columns = {}, parse) => Object.fromEntries(
+  Object.entries(columns).map(([field, column]) => {
+    const raw = row[column] == null ? '' : String(row[column]).trim();
+    return [field, raw ? parse(raw) : null];
+  })
+);
+
+/**
+ * Turn raw CSV rows into a normalized dataset using its manifest entry.
+ * Value series become { date, value } points, event lists { date, label } and
+ * period lists { date, end, label }, where date is the start. Events and
+ * periods with a chartsColumn also get the charts they belong on, and events
+ * any optional textColumns and dateColumns ({ field: column }) as named fields.
+ * Rows that fail validation are left out and listed in dataset.quality.
+ */
+export const normalizeDataset = (spec, rows) => {
+  const kind = spec.kind || 'series';
+  const extraDates = kind === 'events' ? spec.dateColumns : undefined;
+
+  const parsed = rows.map((row, i) => ({
+    line: i + 2, // 1-based file line, after the header
+    rawDate: row[spec.dateColumn],
+    date: parseDate(row[spec.dateColumn]),
+    ...(kind === 'series'
+      ? { rawValue: row[spec.valueColumn], value: parseNumber(row[spec.valueColumn], spec.decimal) }
+      : { label: row[spec.labelColumn] }),
+    ...(kind === 'periods' ? { rawEnd: row[spec.endColumn], end: parseDate(row[spec.endColumn]) } : {}),
+    ...(spec.chartsColumn ? { charts: parseCharts(row[spec.chartsColumn]) } : {}),
+    ...(kind === 'events' ? optionalFields(row, spec.textColumns, raw => raw) : {}),
+    ...(extraDates ? { rawFields: optionalFields(row, extraDates, raw => raw) } : {}),
+    ...optionalFields(row, extraDates, parseDate)
+  }));
+
+  const { data, quality } = checkDataQuality(parsed, {
+    kind,
+    frequency: spec.frequency,
+    optionalDates: Object.keys(extraDates || {})
+  });
+
+  return {
+    id: spec.id,
+    kind,
+    label: spec.label || spec.id,
+    file: spec.file,
+    units: spec.units || '',
+    frequency: spec.frequency || null,
+    source: spec.source || '',
+    data,
+    quality
+  };
+};
+
+/**
+ * Fetch the dataset manifest describing every CSV the page can use
+ */
+export const loadManifest = async (baseUrl = DATA_URL) => {
+  const manifest = await d3.json(`${baseUrl}/manifest.json`);
+  return manifest.datasets;
+};
+
+/**
+ * Fetch and normalize a single dataset's saved file
+ */
+const loadFile = async (spec, baseUrl) => {
+  const rows = await d3.dsv(spec.delimiter || ',', `${baseUrl}/${spec.file}`);
+  if (!rows.length) {
+    throw new CatalogError('load.noRows');
+  }
+  return normalizeDataset(spec, rows);
+};
+
+/**
+ * Fetch and normalize a single dataset described by a manifest entry. Entries
+ * with a fred block ({ seriesId, ... }) are fetched from the FRED source when
+ * there is one; if that fails, the saved file stands in and a warning in its
+ * quality report says why.
+ */
+export const loadDataset = async (spec, baseUrl = DATA_URL, fred = FRED_SOURCE) => {
+  if (!spec.fred || !fred) return loadFile(spec, baseUrl);
+
+  const { seriesId } = spec.fred;
+  try {
+    const rows = await fetchFredRows(spec.fred, fred);
+    if (!rows.length) throw new CatalogError('load.fredNoObservations');
+    return normalizeDataset({ ...spec, file: `FRED ${seriesId}`, dateColumn: 'date', valueColumn: 'value', decimal: '.' }, rows);
+  } catch (error) {
+    const dataset = await loadFile(spec, baseUrl);
+    const issue = {
+      severity: 'warning',
+      type: 'source',
+      line: null,
+      message: { key: 'quality.issue.fred', params: { series: seriesId, error: errorMessage(error) } }
+    };
+    return { ...dataset, quality: { ...dataset.quality, issues: [issue, ...dataset.quality.issues] } };
+  }
+};
+
+/**
+ * Load several datasets independently so one failure doesn't block the rest.
+ * Resolves to { datasets, errors }, both keyed by dataset id; an error's
+ * message is for locale.describe.
+ */
+export const loadDatasets = async (specs, baseUrl = DATA_URL, fred = FRED_SOURCE) => {
+  const results = await Promise.allSettled(specs.map(spec => loadDataset(spec, baseUrl, fred)));
+
+  return results.reduce((outcome, result, i) => {
+    const spec = specs[i];
+    if (result.status === 'fulfilled') {
+      outcome.datasets[spec.id] = result.value;
+    } else {
+      outcome.errors[spec.id] = {
+        file: spec.file,
+        message: errorMessage(result.reason)
+      };
+    }
+    return outcome;
+  }, { datasets: {}, errors: {} });
+};
+
+/**
+ * Normalize datasets from their saved files where there's no fetch (as in the
+ * report command): readFile(file) returns a file's text. Returns what
+ * loadDatasets resolves to, { datasets, errors } keyed by dataset id.
+ */
+export const readDatasets = (specs, readFile) => specs.reduce((outcome, spec) => {
+  try {
+    const rows = d3.dsvFormat(spec.delimiter || ',').parse(readFile(spec.file));
+    if (!rows.length) throw new CatalogError('load.noRows');
+    outcome.datasets[spec.id] = normalizeDataset(spec, rows);
+  } catch (error) {
+    outcome.errors[spec.id] = { file: spec.file, message: errorMessage(error) };
+  }
+  return outcome;
+}, { datasets: {}, errors: {} });
+
+/**
+ * Look up a dataset's points by id. Returns an empty array when it isn't loaded.
+ */
+export const getSeries = (registry, id) => (registry[id] ? registry[id].data : EMPTY);
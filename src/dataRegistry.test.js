@@ -0,0 +1,167 @@
+import { getSeries, loadDatasets, normalizeDataset, parseDate, parseNumber } from './dataRegistry';
+import { DEFAULT_LOCALE } from './locale';
+
+// Issues with their messages as shown in English
+const described = issues => issues.map(issue => ({ ...issue, message: DEFAULT_LOCALE.describe(issue.message) }));
+
+test('parses decimal-comma and decimal-point numbers', () => {
+  expect(parseNumber('211,4984', ',')).toBeCloseTo(211.4984);
+  expect(parseNumber('1.092,5304', ',')).toBeCloseTo(1092.5304);
+  expect(parseNumber('16.2', '.')).toBeCloseTo(16.2);
+  expect(parseNumber('', '.')).toBeNaN();
+});
+
+test('normalizes value series from manifest columns', () => {
+  const spec = {
+    id: 'loans',
+    label: 'Consumer Loans',
+    file: 'loans.csv',
+    decimal: ',',
+    dateColumn: 'observation_date',
+    valueColumn: 'CCLACBW027SBOG',
+    frequency: 'weekly',
+    units: '$ billions'
+  };
+  const dataset = normalizeDataset(spec, [
+    { observation_date: '2000-06-28', CCLACBW027SBOG: '211,4984' }
+  ]);
+
+  expect(dataset).toMatchObject({ id: 'loans', kind: 'series', units: '$ billions', frequency: 'weekly' });
+  expect(dataset.data[0].date).toEqual(new Date('2000-06-28'));
+  expect(dataset.data[0].value).toBeCloseTo(211.4984);
+});
+
+test('normalizes event lists and looks up series by id', () => {
+  const spec = { id: 'foundingDates', kind: 'events', dateColumn: 'founded_date', labelColumn: 'company' };
+  const dataset = normalizeDataset(spec, [{ company: 'Etsy', founded_date: '2005-06-18' }]);
+
+  expect(getSeries({ foundingDates: dataset }, 'foundingDates')).toEqual([
+    { date: new Date('2005-06-18'), label: 'Etsy' }
+  ]);
+  expect(getSeries({}, 'missing')).toEqual([]);
+});
+
+test('reads optional text and date columns on events, dropping unreadable dates', () => {
+  const spec = {
+    id: 'foundingDates',
+    kind: 'events',
+    dateColumn: 'founded_date',
+    labelColumn: 'company',
+    textColumns: { category: 'category' },
+    dateColumns: { ipo: 'ipo_date', end: 'shutdown_date' }
+  };
+  const dataset = normalizeDataset(spec, [
+    { company: 'Webvan', founded_date: '1996-12-01', category: 'retailer', ipo_date: '1999-11-05', shutdown_date: '2001-07-09' },
+    { company: 'Etsy', founded_date: '2005-06-18', category: ' marketplace ', ipo_date: 'April 2015', shutdown_date: '' },
+    { company: 'Backwards', founded_date: '2010-01-01', category: '', ipo_date: '', shutdown_date: '2009-01-01' }
+  ]);
+
+  expect(dataset.data).toEqual([
+    { date: new Date('1996-12-01'), label: 'Webvan', category: 'retailer', ipo: new Date('1999-11-05'), end: new Date('2001-07-09') },
+    { date: new Date('2005-06-18'), label: 'Etsy', category: 'marketplace', ipo: null, end: null }
+  ]);
+  expect(described(dataset.quality.issues)).toEqual([
+    { severity: 'warning', type: 'date', line: 3, message: 'Unreadable ipo date "April 2015"; left out' },
+    { severity: 'error', type: 'range', line: 4, message: 'Ends (2009-01-01) before it starts (2010-01-01)' }
+  ]);
+});
+
+test('reports dates outside the calendar as bad rows instead of failing the dataset', () => {
+  const spec = { id: 'sales', dateColumn: 'observation_date', valueColumn: 'ECOMSA' };
+  const dataset = normalizeDataset(spec, [
+    { observation_date: '2000-01-01', ECOMSA: '1' },
+    { observation_date: '2000-13-01', ECOMSA: '2' },
+    { observation_date: '2000-04-01', ECOMSA: '3' }
+  ]);
+
+  expect(dataset.data.map(d => d.value)).toEqual([1, 3]);
+  expect(described(dataset.quality.issues)).toContainEqual({
+    severity: 'error', type: 'date', line: 3, message: 'Unreadable date "2000-13-01"'
+  });
+});
+
+test('normalizes periods with the charts they target and rejects inverted ranges', () => {
+  const spec = { id: 'phases', kind: 'periods', dateColumn: 'start', endColumn: 'end', labelColumn: 'label', chartsColumn: 'charts' };
+  const dataset = normalizeDataset(spec, [
+    { start: '2000-01-01', end: '2007-01-01', label: 'Growth Phase', charts: 'timeline | growth' },
+    { start: '2007-01-01', end: '2015-01-01', label: 'Mobile Revolution', charts: '' },
+    { start: '2015-01-01', end: '2010-01-01', label: 'Backwards', charts: '' }
+  ]);
+
+  expect(dataset.data).toEqual([
+    { date: new Date('2000-01-01'), end: new Date('2007-01-01'), label: 'Growth Phase', charts: ['timeline', 'growth'] },
+    { date: new Date('2007-01-01'), end: new Date('2015-01-01'), label: 'Mobile Revolution', charts: null }
+  ]);
+  expect(described(dataset.quality.issues)).toEqual([
+    { severity: 'error', type: 'range', line: 4, message: 'Ends (2010-01-01) before it starts (2015-01-01)' }
+  ]);
+});
+
+test('loads datasets independently and reports the files that failed', async () => {
+  const files = { 'sales.csv': 'observation_date;ECOMSA\n1999-10-01;4476\n' };
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(url => {
+    const file = url.split('/').pop();
+    return Promise.resolve(files[file]
+      ? { ok: true, status: 200, text: () => Promise.resolve(files[file]) }
+      : { ok: false, status: 404, statusText: 'Not Found' });
+  });
+
+  const specs = [
+    { id: 'retailSales', file: 'sales.csv', delimiter: ';', dateColumn: 'observation_date', valueColumn: 'ECOMSA' },
+    { id: 'loans', file: 'loans.csv', delimiter: ';', dateColumn: 'observation_date', valueColumn: 'CCLACBW027SBOG' }
+  ];
+  const { datasets, errors } = await loadDatasets(specs, '/data');
+
+  expect(datasets.retailSales.data).toEqual([{ date: new Date('1999-10-01'), value: 4476 }]);
+  expect(datasets.loans).toBeUndefined();
+  expect(errors.loans).toEqual({ file: 'loans.csv', message: '404 Not Found' });
+
+  global.fetch = originalFetch;
+});
+
+test('loads FRED series from the FRED source and falls back to the saved file', async () => {
+  const files = { 'sales.csv': 'observation_date;ECOMSA\n1999-10-01;4476\n' };
+  const responses = {
+    ECOMSA: { status: 200, body: { observations: [{ date: '1999-10-01', value: '4476' }, { date: '2000-01-01', value: '.' }] } },
+    ECOMPCTSA: { status: 400, body: { error_code: 400, error_message: 'Bad Request.  The series does not exist.' } }
+  };
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(url => {
+    if (url.includes('series/observations')) {
+      const { status, body } = responses[new URL(url).searchParams.get('series_id')];
+      return Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+    }
+    return Promise.resolve({ ok: true, status: 200, text: () => Promise.resolve(files['sales.csv']) });
+  });
+
+  const spec = { file: 'sales.csv', delimiter: ';', dateColumn: 'observation_date', valueColumn: 'ECOMSA' };
+  const { datasets } = await loadDatasets([
+    { ...spec, id: 'retailSales', fred: { seriesId: 'ECOMSA' } },
+    { ...spec, id: 'percentOfTotal', fred: { seriesId: 'ECOMPCTSA' } }
+  ], '/data', { url: 'http://fred.test/fred' });
+
+  expect(datasets.retailSales.file).toBe('FRED ECOMSA');
+  expect(datasets.retailSales.data).toEqual([{ date: new Date('1999-10-01'), value: 4476 }]);
+  expect(DEFAULT_LOCALE.describe(datasets.retailSales.quality.issues[0].message)).toBe('Unreadable number "."');
+
+  expect(datasets.percentOfTotal.file).toBe('sales.csv');
+  expect(datasets.percentOfTotal.data).toEqual([{ date: new Date('1999-10-01'), value: 4476 }]);
+  expect(described(datasets.percentOfTotal.quality.issues)[0]).toMatchObject({
+    severity: 'warning',
+    type: 'source',
+    message: "FRED series ECOMPCTSA couldn't be loaded (Bad Request.  The series does not exist.); using the saved file"
+  });
+
+  global.fetch = originalFetch;
+});
+
+test('rejects malformed numbers and dates instead of partially parsing them', () => {
+  expect(parseNumber('1,234,5', ',')).toBeNaN();
+  expect(parseNumber('.', '.')).toBeNaN();
+  expect(parseNumber('1,234.5', '.')).toBeCloseTo(1234.5);
+  expect(isNaN(parseDate('2000-02-30'))).toBe(true);
+  expect(isNaN(parseDate('06/28/2000'))).toBe(true);
+  ['2000-13-01', '2000-00-10', '2000-01-32'].forEach(text => expect(isNaN(parseDate(text))).toBe(true));
+  expect(parseDate('2000-06-28')).toEqual(new Date('2000-06-28'));
+});
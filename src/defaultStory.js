@@ -0,0 +1,87 @@
+import { parseMarkdownStory } from './story';
+
+/**
+ * The story told when no other script is chosen: one paragraph per chart,
+ * split into steps. The static layout shows each chart's steps as its paragraph.
+ */
+export const DEFAULT_STORY_SCRIPT = `---
+chart: growth
+highlight: sales, loans
+---
+This visualization demonstrates the parallel rise of e-commerce sales and consumer loans in the United States.
+---
+chart: growth
+window: 2007-01-01 to 2024-12-31
+highlight: loans
+annotation: 2008-09-15 | Lehman Brothers fails
+---
+As online shopping platforms became more prevalent, consumer borrowing increased dramatically, suggesting
+that e-commerce may enable and encourage spending beyond consumers' immediate financial means.
+---
+chart: percent
+---
+The growing share of retail happening online shows how consumer habits have fundamentally shifted.
+---
+chart: percent
+window: 2018-01-01 to 2024-12-31
+---
+E-commerce's convenience, 24/7 availability, and frictionless payment systems have made impulse purchases
+easier than ever before, potentially contributing to overconsumption.
+---
+chart: timeline
+---
+This timeline shows how the founding of major e-commerce platforms coincided with significant sales growth.
+---
+chart: timeline
+highlight: Amazon, Klarna, Affirm, Afterpay
+---
+Each company introduced innovations that reduced friction in the purchasing process: one-click ordering,
+free shipping, mobile shopping apps, and subscription services that all make consumption easier and more frequent.
+`;
+
+// The same story in German
+const GERMAN_STORY_SCRIPT = `---
+chart: growth
+highlight: sales, loans
+---
+Diese Visualisierung zeigt den parallelen Anstieg von E-Commerce-Umsätzen und Verbraucherkrediten in den Vereinigten Staaten.
+---
+chart: growth
+window: 2007-01-01 to 2024-12-31
+highlight: loans
+annotation: 2008-09-15 | Lehman Brothers bricht zusammen
+---
+Mit der Verbreitung von Online-Shopping-Plattformen stieg die Kreditaufnahme der Verbraucher drastisch an. Das deutet
+darauf hin, dass E-Commerce Ausgaben über die unmittelbaren finanziellen Möglichkeiten der Verbraucher hinaus ermöglichen
+und fördern kann.
+---
+chart: percent
+---
+Der wachsende Anteil des Onlinehandels am Einzelhandel zeigt, wie grundlegend sich das Konsumverhalten verändert hat.
+---
+chart: percent
+window: 2018-01-01 to 2024-12-31
+---
+Die Bequemlichkeit des E-Commerce, die Verfügbarkeit rund um die Uhr und reibungslose Bezahlsysteme machen Impulskäufe
+so einfach wie nie zuvor und tragen so möglicherweise zum Überkonsum bei.
+---
+chart: timeline
+---
+Diese Zeitleiste zeigt, wie die Gründung großer E-Commerce-Plattformen mit einem deutlichen Umsatzwachstum zusammenfiel.
+---
+chart: timeline
+highlight: Amazon, Klarna, Affirm, Afterpay
+---
+Jedes dieser Unternehmen führte Neuerungen ein, die das Einkaufen reibungsloser machten: Bestellen mit einem Klick,
+kostenloser Versand, Shopping-Apps und Abonnements, die Konsum einfacher und häufiger machen.
+`;
+
+export const DEFAULT_STORY = parseMarkdownStory(DEFAULT_STORY_SCRIPT);
+
+/**
+ * The default story told in each locale, by locale id
+ */
+export const DEFAULT_STORIES = {
+  'en-US': DEFAULT_STORY,
+  'de-DE': parseMarkdownStory(GERMAN_STORY_SCRIPT)
+};
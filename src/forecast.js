@@ -0,0 +1,211 @@
+import * as d3 from 'd3';
+import { CatalogError, errorMessage } from './locale';
+import { frequencyInfo } from './resample';
+
+// z score of the two-sided 95% prediction interval
+const Z_95 = 1.959964;
+
+// Fewest observations a model is fitted to
+const MIN_POINTS = 8;
+
+/**
+ * Least-squares line through (xs, ys), with what prediction intervals need
+ */
+const ols = (xs, ys) => {
+  const n = xs.length;
+  const xMean = d3.mean(xs);
+  const yMean = d3.mean(ys);
+  const sxx = d3.sum(xs, x => (x - xMean) ** 2);
+  const slope = d3.sum(xs, (x, i) => (x - xMean) * (ys[i] - yMean)) / sxx;
+  const intercept = yMean - slope * xMean;
+  const sse = d3.sum(xs, (x, i) => (ys[i] - intercept - slope * x) ** 2);
+  return { n, xMean, sxx, slope, intercept, sigma: Math.sqrt(sse / (n - 2)) };
+};
+
+/**
+ * Standard error of a new observation at x under a fitted line
+ */
+const lineError = ({ n, xMean, sxx, sigma }, x) => sigma * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx);
+
+const requirePositive = (values, model) => {
+  if (values.some(v => v <= 0)) throw new CatalogError('forecast.errors.positive', { model });
+};
+
+/**
+ * Linear trend over the observation index
+ */
+const fitLinear = (values) => {
+  const ts = values.map((v, i) => i);
+  const line = ols(ts, values);
+  return (h) => {
+    const t = values.length - 1 + h;
+    const value = line.intercept + line.slope * t;
+    const margin = Z_95 * lineError(line, t);
+    return { value, lower: value - margin, upper: value + margin };
+  };
+};
+
+/**
+ * Linear trend in the logarithm, i.e. constant percentage growth.
+ * Intervals are symmetric on the log scale, so they widen upwards.
+ */
+const fitLogLinear = (values) => {
+  requirePositive(values, 'log-linear');
+  const ts = values.map((v, i) => i);
+  const line = ols(ts, values.map(Math.log));
+  return (h) => {
+    const t = values.length - 1 + h;
+    const log = line.intercept + line.slope * t;
+    const margin = Z_95 * lineError(line, t);
+    return { value: Math.exp(log), lower: Math.exp(log - margin), upper: Math.exp(log + margin) };
+  };
+};
+
+/**
+ * Holt's linear exponential smoothing: the smoothing weights are chosen on a grid
+ * to minimize one-step-ahead errors, and intervals use the additive-error
+ * variance sigma² (1 + Σ α²(1 + jβ)²) for j < h
+ */
+const fitHolt = (values) => {
+  const grid = d3.range(0.05, 1, 0.05);
+  const smooth = (alpha, beta) => {
+    let level = values[0];
+    let trend = values[1] - values[0];
+    let sse = 0;
+    for (let i = 1; i < values.length; i++) {
+      const error = values[i] - (level + trend);
+      sse += error ** 2;
+      const previous = level;
+      level = level + trend + alpha * error;
+      trend = trend + beta * (level - previous - trend);
+    }
+    return { alpha, beta, level, trend, sse };
+  };
+
+  const best = d3.least(grid.flatMap(alpha => grid.map(beta => smooth(alpha, beta))), fit => fit.sse);
+  const sigma = Math.sqrt(best.sse / (values.length - 3));
+  return (h) => {
+    const value = best.level + h * best.trend;
+    const variance = 1 + d3.sum(d3.range(1, h), j => (best.alpha * (1 + j * best.beta)) ** 2);
+    const margin = Z_95 * sigma * Math.sqrt(variance);
+    return { value, lower: value - margin, upper: value + margin };
+  };
+};
+
+/**
+ * Logistic saturation curve K / (1 + e^(a + bt)). For each candidate ceiling K
+ * (above the highest value, at most cap) the curve is a straight line in
+ * ln(K/y − 1); the K with the smallest squared error wins. The model has no
+ * closed-form interval, so the residual spread is widened with the square root
+ * of the horizon relative to the fitted span.
+ */
+const fitLogistic = (values, { cap = Infinity } = {}) => {
+  requirePositive(values, 'logistic');
+  const max = d3.max(values);
+  if (cap <= max) throw new CatalogError('forecast.errors.ceiling', { cap });
+
+  const ts = values.map((v, i) => i);
+  const low = max * 1.01;
+  const high = Math.max(low * 1.001, Math.min(cap, max * 10));
+  const candidates = d3.range(80).map(i => low * (high / low) ** (i / 79));
+
+  const best = d3.least(candidates.map(K => {
+    const line = ols(ts, values.map(v => Math.log(K / v - 1)));
+    const curve = t => K / (1 + Math.exp(line.intercept + line.slope * t));
+    return { curve, sse: d3.sum(values, (v, i) => (v - curve(i)) ** 2) };
+  }), fit => fit.sse);
+
+  const sigma = Math.sqrt(best.sse / (values.length - 3));
+  return (h) => {
+    const value = best.curve(values.length - 1 + h);
+    const margin = Z_95 * sigma * Math.sqrt(1 + h / values.length);
+    return { value, lower: Math.max(0, value - margin), upper: Math.min(cap, value + margin) };
+  };
+};
+
+export const FORECAST_MODELS = [
+  { id: 'linear', label: 'Linear trend', fit: fitLinear },
+  { id: 'loglinear', label: 'Log-linear trend', fit: fitLogLinear },
+  { id: 'holt', label: "Holt's exponential smoothing", fit: fitHolt },
+  { id: 'logistic', label: 'Logistic saturation', fit: fitLogistic }
+];
+
+export const forecastModel = (id) => FORECAST_MODELS.find(m => m.id === id);
+
+/**
+ * Project a regularly spaced series steps periods ahead with a model.
+ * Returns [{ date, value, lower, upper }] starting at the last observation
+ * (with a zero-width interval) so the projection joins the data. cap bounds
+ * the logistic ceiling, e.g. 100 for a percentage. Throws for unknown models,
+ * too little data or values the model can't fit.
+ */
+export const forecast = (data, { model, steps, frequency, cap }) => {
+  const info = forecastModel(model);
+  if (!info) throw new CatalogError('forecast.errors.unknown', { model });
+  if (data.length < MIN_POINTS) throw new CatalogError('forecast.errors.tooShort', { count: MIN_POINTS });
+
+  const interval = (frequencyInfo(frequency) || frequencyInfo('annual')).interval;
+  const predict = info.fit(data.map(d => d.value), { cap });
+  const last = data[data.length - 1];
+
+  return [
+    { date: last.date, value: last.value, lower: last.value, upper: last.value },
+    ...d3.range(1, steps + 1).map(h => ({ date: interval.offset(last.date, h), ...predict(h) }))
+  ];
+};
+
+/**
+ * Hold out the last holdout observations, forecast them with every model from
+ * the rest, and score each: [{ id, label, mae, rmse, mape }] (or { id, label,
+ * error } when a model can't be fitted, error a message for locale.describe),
+ * in FORECAST_MODELS order
+ */
+export const backtest = (data, { holdout, frequency, cap }) => {
+  const training = data.slice(0, -holdout);
+  const actual = data.slice(-holdout);
+
+  return FORECAST_MODELS.map(({ id, label }) => {
+    try {
+      const predicted = forecast(training, { model: id, steps: holdout, frequency, cap }).slice(1);
+      const errors = actual.map((d, i) => d.value - predicted[i].value);
+      return {
+        id,
+        label,
+        mae: d3.mean(errors, Math.abs),
+        rmse: Math.sqrt(d3.mean(errors, e => e ** 2)),
+        mape: d3.mean(errors, (e, i) => Math.abs(e / actual[i].value)) * 100
+      };
+    } catch (error) {
+      return { id, label, error: errorMessage(error) };
+    }
+  });
+};
+
+/**
+ * Forecast and backtest a loaded dataset for a { model, years } setting
+ * (model 'none', or no data yet, skips the projection). Two years of
+ * observations are held out for the backtest; percentages can't be projected
+ * past 100.
+ * Returns { projection, backtest, holdout, error }, with error the message
+ * (for locale.describe) of a model that couldn't be fitted.
+ */
+export const projectSeries = (data, { model, years }, { frequency, units } = {}) => {
+  const perYear = (frequencyInfo(frequency) || frequencyInfo('annual')).perYear;
+  const cap = units === '%' ? 100 : Infinity;
+  const holdout = 2 * perYear;
+  const options = { frequency, cap };
+
+  const result = {
+    projection: null,
+    backtest: data.length >= holdout + MIN_POINTS ? backtest(data, { ...options, holdout }) : [],
+    holdout,
+    error: null
+  };
+  if (model === 'none' || !data.length) return result;
+
+  try {
+    return { ...result, projection: forecast(data, { ...options, model, steps: years * perYear }) };
+  } catch (error) {
+    return { ...result, error: errorMessage(error) };
+  }
+};
@@ -0,0 +1,62 @@
+import { backtest, forecast, projectSeries } from './forecast';
+
+const quarters = (values) => values.map((value, i) => ({ date: new Date(Date.UTC(2000, i * 3, 1)), value }));
+const range = (n, f) => Array.from({ length: n }, (v, i) => f(i));
+
+test('extends a linear trend quarter by quarter from the last observation', () => {
+  const data = quarters(range(12, i => 10 + 2 * i + (i % 2 ? 0.5 : -0.5)));
+  const projection = forecast(data, { model: 'linear', steps: 4, frequency: 'quarterly' });
+
+  expect(projection).toHaveLength(5);
+  expect(projection[0]).toEqual({ date: data[11].date, value: data[11].value, lower: data[11].value, upper: data[11].value });
+  expect(projection[1].date).toEqual(new Date(Date.UTC(2003, 0, 1)));
+  expect(projection[4].value).toBeCloseTo(10 + 2 * 15, 0);
+  // Intervals widen with the horizon
+  expect(projection[4].upper - projection[4].lower).toBeGreaterThan(projection[1].upper - projection[1].lower);
+});
+
+test('follows constant growth with the log-linear model and Holt', () => {
+  const data = quarters(range(16, i => 100 * 1.05 ** i));
+
+  expect(forecast(data, { model: 'loglinear', steps: 2, frequency: 'quarterly' })[2].value).toBeCloseTo(100 * 1.05 ** 17, 3);
+  const holt = forecast(data, { model: 'holt', steps: 1, frequency: 'quarterly' })[1].value;
+  expect(Math.abs(holt - 100 * 1.05 ** 16) / holt).toBeLessThan(0.02);
+});
+
+test('keeps logistic forecasts of a percentage under 100', () => {
+  const data = quarters(range(20, i => 90 / (1 + Math.exp(-(i - 10) / 3))));
+  const projection = forecast(data, { model: 'logistic', steps: 40, frequency: 'quarterly', cap: 100 });
+  const last = projection[projection.length - 1];
+
+  expect(last.value).toBeGreaterThan(80);
+  expect(last.value).toBeLessThanOrEqual(100);
+  expect(last.upper).toBeLessThanOrEqual(100);
+});
+
+test('reports models that cannot be fitted', () => {
+  const data = quarters([3, 2, 1, 0, -1, -2, -3, -4]);
+
+  expect(() => forecast(data, { model: 'loglinear', steps: 1 })).toThrow('The log-linear model needs positive values');
+  expect(() => forecast(data.slice(0, 5), { model: 'linear', steps: 1 })).toThrow('At least 8 observations are needed to forecast');
+  expect(() => forecast(data, { model: 'arima', steps: 1 })).toThrow('Unknown forecast model "arima"');
+});
+
+test('backtests every model on the held-out observations', () => {
+  const data = quarters(range(20, i => 5 + i));
+  const rows = backtest(data, { holdout: 4, frequency: 'quarterly' });
+
+  expect(rows.map(r => r.id)).toEqual(['linear', 'loglinear', 'holt', 'logistic']);
+  expect(rows[0].mae).toBeCloseTo(0, 6);
+  expect(rows[0].mape).toBeCloseTo(0, 6);
+  expect(rows[1].rmse).toBeGreaterThan(rows[0].rmse);
+});
+
+test('projects a dataset over whole years and holds out two years', () => {
+  const data = quarters(range(24, i => 1 + i / 4));
+  const result = projectSeries(data, { model: 'holt', years: 2 }, { frequency: 'quarterly', units: '%' });
+
+  expect(result.projection).toHaveLength(9);
+  expect(result.holdout).toBe(8);
+  expect(result.backtest).toHaveLength(4);
+  expect(projectSeries(data, { model: 'none', years: 2 }, { frequency: 'quarterly' }).projection).toBeNull();
+});
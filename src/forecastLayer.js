@@ -0,0 +1,50 @@
+import * as d3 from 'd3';
+
+/**
+ * Extend an x domain to the end of a projection when the domain already
+ * reaches the projection's start (a window on the past stays as it is)
+ */
+export const withForecast = ([start, end], projection) => {
+  if (!projection || !projection.length || end < projection[0].date) return [start, end];
+  return [start, d3.max([end, projection[projection.length - 1].date])];
+};
+
+/**
+ * Points for fitting a y domain to a projection's interval as well as its line
+ */
+export const forecastExtent = (projection) => (projection || []).flatMap(d => [{ value: d.lower }, { value: d.upper }]);
+
+/**
+ * Draw a projection ([{ date, value, lower, upper }], or null for none) onto a
+ * chart group: its prediction interval shaded and its central path dashed
+ */
+export const drawForecast = (g, projection, { xScale, yScale, color, animate = s => s }) => {
+  const shown = projection && projection.length ? [projection] : [];
+
+  const band = d3.area()
+    .x(d => xScale(d.date))
+    .y0(d => yScale(d.lower))
+    .y1(d => yScale(d.upper));
+
+  const line = d3.line()
+    .x(d => xScale(d.date))
+    .y(d => yScale(d.value));
+
+  const bands = g.selectAll('.forecast-band')
+    .data(shown)
+    .join('path')
+    .attr('class', 'forecast-band')
+    .attr('fill', color)
+    .attr('fill-opacity', 0.15);
+  animate(bands).attr('d', band);
+
+  const lines = g.selectAll('.forecast-line')
+    .data(shown)
+    .join('path')
+    .attr('class', 'forecast-line')
+    .attr('fill', 'none')
+    .attr('stroke', color)
+    .attr('stroke-width', 2)
+    .attr('stroke-dasharray', '6,4');
+  animate(lines).attr('d', line);
+};
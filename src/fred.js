@@ -0,0 +1,65 @@
+import { CatalogError } from './locale';
+
+/**
+ * Where FRED series are fetched from: the base URL of something answering
+ * like the FRED API, set through REACT_APP_FRED_URL; null when it isn't set,
+ * and then only the saved files are read. The page never sends an API key:
+ * anything built into the page is public, and FRED doesn't answer browsers
+ * directly anyway. Point it at a proxy that adds the key on the server, or at
+ * scripts/fred-fixture-server.js.
+ */
+export const FRED_SOURCE = process.env.REACT_APP_FRED_URL ? { url: process.env.REACT_APP_FRED_URL } : null;
+
+// How long to wait for an answer before using the saved file
+const TIMEOUT_MS = 10000;
+
+/**
+ * URL of the observations request for a manifest entry's fred block:
+ * { seriesId, start, end, units, frequency, aggregation }, all but seriesId
+ * optional. start and end are ISO dates; units, frequency and aggregation
+ * take FRED's codes (e.g. 'lin', 'a', 'avg') and default to the series' own.
+ */
+export const fredObservationsUrl = (series, { url }) => {
+  const params = new URLSearchParams({ series_id: series.seriesId, file_type: 'json' });
+  if (series.start) params.set('observation_start', series.start);
+  if (series.end) params.set('observation_end', series.end);
+  if (series.units) params.set('units', series.units);
+  if (series.frequency) {
+    params.set('frequency', series.frequency);
+    params.set('aggregation_method', series.aggregation || 'avg');
+  }
+  return `${url.replace(/\/$/, '')}/series/observations?${params}`;
+};
+
+/**
+ * The observations in a FRED response as { date, value } rows, values still
+ * text ('.' marks a missing observation). Throws unless the response has them.
+ */
+export const fredRows = (response) => {
+  if (!response || !Array.isArray(response.observations)) {
+    throw new CatalogError('load.fredNoResponse');
+  }
+  return response.observations.map(({ date, value }) => ({ date, value }));
+};
+
+/**
+ * Fetch a series' observations from a FRED source as { date, value } rows.
+ * Errors carry FRED's own error message where it sent one.
+ */
+export const fetchFredRows = async (series, source) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const response = await fetch(fredObservationsUrl(series, source), { signal: controller.signal });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error((body && body.error_message) || `${response.status} ${response.statusText}`);
+    }
+    return fredRows(body);
+  } catch (error) {
+    if (error.name === 'AbortError') throw new CatalogError('load.fredTimeout', { seconds: TIMEOUT_MS / 1000 });
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
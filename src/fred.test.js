@@ -0,0 +1,49 @@
+import { fetchFredRows, fredObservationsUrl, fredRows } from './fred';
+
+const source = { url: 'http://localhost:8010/fred/' };
+
+test('builds observations requests in the FRED API shape', () => {
+  expect(fredObservationsUrl({ seriesId: 'ECOMSA' }, source))
+    .toBe('http://localhost:8010/fred/series/observations?series_id=ECOMSA&file_type=json');
+
+  const url = new URL(fredObservationsUrl(
+    { seriesId: 'CPIAUCNS', start: '1999-01-01', frequency: 'a', aggregation: 'avg' },
+    { url: 'https://fred-proxy.example.org/fred' }
+  ));
+  expect(url.pathname).toBe('/fred/series/observations');
+  // The key is the proxy's to add, never the page's
+  expect(Object.fromEntries(url.searchParams)).toEqual({
+    series_id: 'CPIAUCNS',
+    file_type: 'json',
+    observation_start: '1999-01-01',
+    frequency: 'a',
+    aggregation_method: 'avg'
+  });
+});
+
+test('reads observations and rejects responses without them', () => {
+  const response = {
+    units: 'lin',
+    observations: [
+      { realtime_start: '2025-01-01', realtime_end: '2025-01-01', date: '1999-10-01', value: '4476' },
+      { realtime_start: '2025-01-01', realtime_end: '2025-01-01', date: '2000-01-01', value: '.' }
+    ]
+  };
+  expect(fredRows(response)).toEqual([{ date: '1999-10-01', value: '4476' }, { date: '2000-01-01', value: '.' }]);
+  expect(() => fredRows({ error_code: 400 })).toThrow('the response has no observations');
+});
+
+test('reports the error message FRED sends', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: false,
+    status: 400,
+    statusText: 'Bad Request',
+    json: () => Promise.resolve({ error_code: 400, error_message: 'Bad Request.  The series does not exist.' })
+  }));
+  try {
+    await expect(fetchFredRows({ seriesId: 'NOPE' }, source)).rejects.toThrow('The series does not exist.');
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,31 @@
+/**
+ * Rough rendered width of a label, for layout where SVG text can't be measured
+ */
+export const estimateTextWidth = (text, fontSize, bold = false) => text.length * fontSize * (bold ? 0.6 : 0.55);
+
+/**
+ * Greedily stack centred labels into rows so that none overlap.
+ *
+ * items: [{ x, width }] with x the label's anchor. Each label is centred on x,
+ * shifted back inside [0, maxX] when it would spill over, and placed in the
+ * first row where it clears the previous label by gap. Returns
+ * [{ x, row }] in the same order as items; row is -1 for labels that don't fit
+ * in maxRows (callers usually hide those).
+ */
+export const stackLabels = (items, { maxX = Infinity, maxRows = Infinity, gap = 6 } = {}) => {
+  const placed = new Array(items.length);
+  const rowEnds = [];
+
+  items
+    .map((item, i) => ({ ...item, i }))
+    .sort((a, b) => a.x - b.x)
+    .forEach(({ x, width, i }) => {
+      const left = Math.max(0, Math.min(x - width / 2, maxX - width));
+      let row = rowEnds.findIndex(end => left >= end + gap);
+      if (row === -1 && rowEnds.length < maxRows) row = rowEnds.length;
+      if (row !== -1) rowEnds[row] = left + width;
+      placed[i] = { x: left + width / 2, row };
+    });
+
+  return placed;
+};
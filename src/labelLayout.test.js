@@ -0,0 +1,24 @@
+import { estimateTextWidth, stackLabels } from './labelLayout';
+
+test('estimates wider text for longer and bold labels', () => {
+  expect(estimateTextWidth('abcd', 10)).toBeCloseTo(22);
+  expect(estimateTextWidth('abcd', 10, true)).toBeGreaterThan(estimateTextWidth('abcd', 10));
+});
+
+test('stacks overlapping labels into rows and keeps them inside the plot', () => {
+  const placed = stackLabels(
+    [{ x: 100, width: 60 }, { x: 110, width: 60 }, { x: 300, width: 60 }, { x: 5, width: 40 }],
+    { maxX: 320 }
+  );
+
+  expect(placed.map(p => p.row)).toEqual([0, 1, 0, 0]);
+  // Labels near an edge are shifted back inside [0, maxX]
+  expect(placed[2].x).toBe(290);
+  expect(placed[3].x).toBe(20);
+});
+
+test('marks labels that do not fit in the allowed rows', () => {
+  const placed = stackLabels([{ x: 50, width: 80 }, { x: 60, width: 80 }, { x: 70, width: 80 }], { maxRows: 2 });
+
+  expect(placed.map(p => p.row)).toEqual([0, 1, -1]);
+});
@@ -0,0 +1,168 @@
+import { createContext, useContext } from 'react';
+import * as d3 from 'd3';
+import MESSAGES from './messages';
+
+/**
+ * Locale definitions. Each has:
+ *
+ * - label: the language's name in itself, for the language control
+ * - number and time: d3.formatLocale and d3.timeFormatLocale definitions
+ * - dates: the time format specifiers for a day ('Jan 05, 2010'), a month
+ *   ('Jan 2010'), a long month ('January 2010') and numeric dates in tables
+ * - units: [prefix, suffix] around numbers in each manifest unit
+ */
+const DEFINITIONS = {
+  'en-US': {
+    label: 'English (US)',
+    number: { decimal: '.', thousands: ',', grouping: [3], currency: ['$', ''] },
+    time: {
+      dateTime: '%x, %X',
+      date: '%-m/%-d/%Y',
+      time: '%-I:%M:%S %p',
+      periods: ['AM', 'PM'],
+      days: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      shortDays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+        'November', 'December'],
+      shortMonths: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+    },
+    dates: { day: '%b %d, %Y', month: '%b %Y', longMonth: '%B %Y', numeric: '%Y-%m-%d' },
+    units: { '$ millions': ['$', 'M'], '$ billions': ['$', 'B'], '%': ['', '%'] }
+  },
+  'de-DE': {
+    label: 'Deutsch',
+    number: { decimal: ',', thousands: '.', grouping: [3], currency: ['', '\u00a0$'] },
+    time: {
+      dateTime: '%A, der %e. %B %Y, %X',
+      date: '%d.%m.%Y',
+      time: '%H:%M:%S',
+      periods: ['AM', 'PM'],
+      days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+      shortDays: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'],
+      months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober',
+        'November', 'Dezember'],
+      shortMonths: ['Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez']
+    },
+    dates: { day: '%d. %b %Y', month: '%b %Y', longMonth: '%B %Y', numeric: '%d.%m.%Y' },
+    units: { '$ millions': ['', '\u00a0Mio.\u00a0$'], '$ billions': ['', '\u00a0Mrd.\u00a0$'], '%': ['', '\u00a0%'] }
+  }
+};
+
+// Catalog keys naming the manifest units
+const UNIT_KEYS = { '$ millions': 'units.millions', '$ billions': 'units.billions', '%': 'units.percent' };
+
+const FALLBACK_ID = 'en-US';
+
+/**
+ * Fill a message's {name} placeholders from params
+ */
+export const interpolate = (message, params = {}) => message.replace(/\{(\w+)\}/g,
+  (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+
+/**
+ * Everything the page formats and translates with, for one locale:
+ *
+ * - t(key, params): the catalog message for key with its placeholders filled,
+ *   falling back to the English message (and then the key itself)
+ * - plural(key, count, params): t of key.one or key.other, with {count}
+ * - format(specifier): a d3 number formatter using the locale's separators
+ * - formatTime(specifier) and formatUtc(specifier): d3 date formatters in
+ *   local time (for time axes) and UTC (for the data's dates)
+ * - withUnits(text, units): a formatted number with the locale's affixes for
+ *   a manifest unit, e.g. '$1,098.7B'
+ * - unitLabel(units): how a manifest unit is written, e.g. in axis labels
+ * - describe(message): a message kept for showing later (see CatalogError) in
+ *   this locale, with dates in params as numeric dates; plain strings pass
+ *   through
+ */
+const createLocale = (id) => {
+  const definition = DEFINITIONS[id];
+  const number = d3.formatLocale(definition.number);
+  const time = d3.timeFormatLocale(definition.time);
+  const messages = MESSAGES[id];
+
+  const t = (key, params) => {
+    const message = messages[key] ?? MESSAGES[FALLBACK_ID][key];
+    return message === undefined ? key : interpolate(message, params);
+  };
+
+  // Message params as shown: dates as numeric dates, fractions with the locale's separators
+  const param = (value) => {
+    if (value instanceof Date) return time.utcFormat(definition.dates.numeric)(value);
+    if (typeof value === 'number' && !Number.isInteger(value)) return number.format('~f')(value);
+    return value && typeof value === 'object' ? describe(value) : value;
+  };
+  const describe = (message) => {
+    if (message == null) return '';
+    if (typeof message !== 'object') return String(message);
+    if (!message.key) return message.message === undefined ? String(message) : message.message;
+    const params = Object.entries(message.params || {}).map(([name, value]) => [name, param(value)]);
+    return t(message.key, Object.fromEntries(params));
+  };
+
+  return {
+    id,
+    label: definition.label,
+    dates: definition.dates,
+    t,
+    plural: (key, count, params = {}) => t(`${key}.${count === 1 ? 'one' : 'other'}`, { ...params, count }),
+    format: number.format,
+    formatTime: time.format,
+    formatUtc: time.utcFormat,
+    withUnits: (text, units) => {
+      const [prefix, suffix] = definition.units[units] || ['', units ? ` ${units}` : ''];
+      return `${prefix}${text}${suffix}`;
+    },
+    unitLabel: units => (UNIT_KEYS[units] ? t(UNIT_KEYS[units]) : units),
+    describe
+  };
+};
+
+export const LOCALES = Object.fromEntries(Object.keys(DEFINITIONS).map(id => [id, createLocale(id)]));
+
+// Used wherever no locale is given (and by charts drawn outside a LocaleContext)
+export const DEFAULT_LOCALE = LOCALES[FALLBACK_ID];
+
+/**
+ * The locale best matching a visitor's preferred languages (e.g.
+ * navigator.languages): an exact match, else the first with the same language,
+ * else the default
+ */
+export const preferredLocale = (languages = []) => {
+  const ids = Object.keys(LOCALES);
+  const exact = languages.find(language => ids.includes(language));
+  if (exact) return LOCALES[exact];
+  const sameLanguage = languages
+    .map(language => ids.find(id => id.split('-')[0] === language.split('-')[0]))
+    .find(Boolean);
+  return sameLanguage ? LOCALES[sameLanguage] : DEFAULT_LOCALE;
+};
+
+/**
+ * An error whose message is in the catalog, so it can be shown in whichever
+ * language is active by then: key and params say what went wrong (params may
+ * hold dates and other messages), and message is the English text, for logs.
+ */
+export class CatalogError extends Error {
+  constructor(key, params = {}) {
+    super(DEFAULT_LOCALE.describe({ key, params }));
+    this.name = 'CatalogError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * What to keep of a caught error to show later: { key, params } for a
+ * CatalogError, else its message
+ */
+export const errorMessage = (error) => (error && error.key
+  ? { key: error.key, params: error.params }
+  : String(error && error.message !== undefined ? error.message : error));
+
+export const LocaleContext = createContext(DEFAULT_LOCALE);
+
+/**
+ * The active locale
+ */
+export const useLocale = () => useContext(LocaleContext);
@@ -0,0 +1,47 @@
+import MESSAGES from './messages';
+import { CatalogError, DEFAULT_LOCALE, errorMessage, LOCALES, preferredLocale } from './locale';
+import { formatValue } from './crosshair';
+
+const german = LOCALES['de-DE'];
+
+test('every locale translates every message', () => {
+  const keys = Object.keys(MESSAGES['en-US']).sort();
+  Object.values(MESSAGES).forEach(messages => expect(Object.keys(messages).sort()).toEqual(keys));
+});
+
+test('fills placeholders and picks plural forms', () => {
+  expect(DEFAULT_LOCALE.t('chart.ownScale', { label: 'Sales' })).toBe('Sales (own scale)');
+  expect(DEFAULT_LOCALE.plural('forecast.years', 1)).toBe('1 year');
+  expect(german.plural('forecast.years', 5)).toBe('5 Jahre');
+  expect(german.t('no.such.key')).toBe('no.such.key');
+});
+
+test('formats numbers and dates with the locale conventions', () => {
+  const date = new Date(Date.UTC(2010, 2, 5));
+  expect(formatValue(1098.7, '$ billions')).toBe('$1,098.7B');
+  expect(formatValue(1098.7, '$ billions', german)).toBe('1.098,7\u00a0Mrd.\u00a0$');
+  expect(formatValue(15.2, '%', german)).toBe('15,2\u00a0%');
+  expect(DEFAULT_LOCALE.formatUtc(DEFAULT_LOCALE.dates.day)(date)).toBe('Mar 05, 2010');
+  expect(german.formatUtc(german.dates.day)(date)).toBe('05. Mär 2010');
+  expect(german.formatUtc(german.dates.numeric)(date)).toBe('05.03.2010');
+});
+
+test('picks the locale closest to the browser languages', () => {
+  expect(preferredLocale(['de-DE', 'en-US'])).toBe(german);
+  expect(preferredLocale(['fr-FR', 'de-AT'])).toBe(german);
+  expect(preferredLocale(['en-GB'])).toBe(DEFAULT_LOCALE);
+  expect(preferredLocale(['fr-FR'])).toBe(DEFAULT_LOCALE);
+  expect(preferredLocale()).toBe(DEFAULT_LOCALE);
+});
+
+test('shows catalog errors and kept messages in the active locale', () => {
+  const error = new CatalogError('quality.issue.range', { end: new Date(Date.UTC(2009, 0, 1)), start: new Date(Date.UTC(2010, 0, 1)) });
+  expect(error.message).toBe('Ends (2009-01-01) before it starts (2010-01-01)');
+  expect(german.describe(errorMessage(error))).toBe('Endet (01.01.2009) vor dem Beginn (01.01.2010)');
+
+  const gap = { key: 'quality.issue.gap.other', params: { count: 2, frequency: { key: 'frequencyNames.weekly' }, start: new Date(Date.UTC(2000, 0, 12)), end: new Date(Date.UTC(2000, 1, 2)) } };
+  expect(german.describe(gap)).toBe('2 fehlende Beobachtungen (wöchentlich) zwischen 12.01.2000 und 02.02.2000');
+  expect(german.describe({ key: 'quality.issue.outlier', params: { date: new Date(Date.UTC(2000, 0, 1)), score: 7.5 } }))
+    .toContain('(7,5×');
+  expect(german.describe(errorMessage(new Error('404 Not Found')))).toBe('404 Not Found');
+});
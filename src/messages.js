@@ -0,0 +1,610 @@
+/**
+ * Message catalogs: every string the page shows, by locale id and key. {name}
+ * placeholders are filled by the locale's t(); keys ending in .one and .other
+ * are the singular and plural forms read by its plural(). Data (series from
+ * files, annotations, company and period names) is shown as written.
+ */
+const enUS = {
+  'page.title': 'The E-commerce Effect: How Online Shopping Drives Overconsumption',
+  'page.sourcesLabel': 'Data Sources:',
+  'page.sources': 'Retail sales and e-commerce percentage data from US Census Bureau, ' +
+    'consumer loans data from Federal Reserve, company founding dates from public records, ' +
+    'recession dates from the NBER.',
+
+  'common.cancel': 'Cancel',
+  'common.delete': 'Delete',
+  'common.edit': 'Edit',
+  'common.save': 'Save',
+
+  // Charts
+  'titles.growth': 'Parallel Growth of E-commerce Sales and Consumer Loans',
+  'titles.percent': 'Growing Market Share of E-commerce in Total Retail Sales',
+  'titles.timeline': 'E-commerce Company Timeline and Sales Growth',
+  'series.sales': 'E-commerce Sales',
+  'series.loans': 'Consumer Loans',
+  'series.share': 'E-commerce share',
+  'chart.year': 'Year',
+  'chart.ownScale': '{label} (own scale)',
+  'chart.forecastSeries': '{label} forecast',
+  'chart.stillOperating': 'Still operating',
+  'chart.companiesInView.one': '{count} company in view: {names}.',
+  'chart.companiesInView.other': '{count} companies in view: {names}.',
+  'chart.noCompanies': 'No companies in view.',
+  'growth.sales': 'Sales',
+  'growth.loans': 'Loans',
+  'growth.salesIndex': 'Sales index',
+  'growth.loansIndex': 'Loans index',
+  'growth.indexAxis': 'Index ({year} = 100)',
+  'growth.realIndexAxis': 'Real index ({year} = 100)',
+  'growth.indexNote': 'Note: with {year} = 100, sales reached {sales} and loans {loans} by {lastYear}',
+  'growth.baseYearMoved': 'There is no data for both series in {requested}, so {year} is the base year.',
+  'growth.logAxis': '{units} (log scale)',
+  'growth.logNote': 'Note: on a log scale, parallel lines mean equal percentage growth',
+  'percent.yLabel': 'Percentage of Total Retail Sales',
+  'percent.metricName': 'Share of Retail',
+  'percent.note': 'Note: As e-commerce becomes more accessible, consumer spending habits shift toward online purchases',
+  'timeline.subtitle': 'How major platforms have shaped and accelerated online consumption',
+  'timeline.yLabel': '{label} ({units})',
+  'timeline.note': 'Note: Each new platform introduced novel ways to simplify purchasing, accelerating consumption patterns',
+  'company.founded': '{company} founded',
+  'company.ipo': '{company} IPO',
+  'company.milestone': '{company}: {milestone}',
+  'company.shutdown': '{company} shut down',
+
+  // Units and metrics
+  'units.millions': '$ millions',
+  'units.billions': '$ billions',
+  'units.percent': '%',
+  'units.real': '{units}, {year} dollars',
+  'metricLabel.level': '{name} ({units})',
+  'metricLabel.change': '{name} (% change from previous period{real})',
+  'metricLabel.yoy': '{name} (YoY % change{real})',
+  'metricLabel.rolling': '{name} ({units}, {window}-period mean)',
+  'metricLabel.cumulative': '{name} (% growth since {year}{real})',
+  'metricLabel.real': ', inflation-adjusted',
+  'metrics.level': 'Level',
+  'metrics.change': 'Period-over-period % change',
+  'metrics.yoy': 'Year-over-year % change',
+  'metrics.rolling': 'Rolling mean',
+  'metrics.cumulative': 'Cumulative growth since base year',
+  'metric.sales': 'E-commerce sales',
+  'metric.loans': 'Consumer loans',
+  'metric.share': 'E-commerce share',
+  'metric.as': '{label} as',
+  'metric.window': 'Window (periods)',
+  'metric.since': 'Since',
+  'cagr.window': 'Compound annual growth {start}–{end}:',
+  'cagr.all': 'Compound annual growth (all data):',
+  'cagr.rate': '{rate}% a year',
+
+  // Screen reader summaries
+  'summary.noData': '{label}: no data in view.',
+  'summary.level': 'stayed roughly level at {value}',
+  'summary.rose': 'rose from {from} to {to}{percent}',
+  'summary.fell': 'fell from {from} to {to}{percent}',
+  'summary.series': '{label}, {start} to {end}: overall it {trend}. ' +
+    'Lowest {lowest} in {lowestDate}, highest {highest} in {highestDate}.',
+
+  // Statistics
+  'strength.strong': 'strong',
+  'strength.strongNegative': 'strong negative',
+  'strength.moderate': 'moderate',
+  'strength.moderateNegative': 'moderate negative',
+  'strength.weak': 'weak',
+  'strength.weakNegative': 'weak negative',
+  'strength.little': 'little or no',
+  'strength.none': 'no measurable',
+  'correlation.note': 'Note: {levels} correlation in levels (r = {levelsR}) and {growth} correlation in YoY growth (r = {growthR})',
+  'correlation.sharedTrend': 'Note: {levels} correlation in levels (r = {levelsR}) but {growth} correlation in YoY growth ' +
+    '(r = {growthR}): mostly shared trend',
+  'correlation.none': 'n/a',
+  'stats.plotTitle': 'Cross-correlation of YoY growth',
+  'stats.lagAxis': 'Lag in {periods} (positive: {label} leads)',
+  'stats.caption': '{x} vs {y} ({frequency})',
+  'stats.excluding': 'Excluding {periods}',
+  'stats.measure': 'Measure',
+  'stats.levels': 'Levels',
+  'stats.differenced': 'Period differences',
+  'stats.growth': 'YoY growth',
+  'stats.peak': 'Strongest growth correlation at lag {lag} (r = {r})',
+  'periodNames.weekly': 'weeks',
+  'periodNames.monthly': 'months',
+  'periodNames.quarterly': 'quarters',
+  'periodNames.annual': 'years',
+
+  // Controls
+  'theme.label': 'Theme',
+  'theme.system': 'Match system',
+  'themes.light': 'Light',
+  'themes.dark': 'Dark',
+  'themes.highContrast': 'High contrast',
+  'themes.print': 'Print (grayscale)',
+  'locale.label': 'Language',
+  'story.layout': 'Page layout',
+  'story.story': 'Story',
+  'story.explore': 'Explore all charts',
+  'story.unavailable': 'This browser can\'t follow scrolling, so the story is shown as a single page.',
+  'story.fallback': 'The story "{file}" couldn\'t be used ({message}); showing the default story.',
+  'story.errors.file': 'expected a name.json or name.md file',
+  'story.errors.object': 'Step {step} is not an object',
+  'story.errors.chart': 'Step {step} is for an unknown chart "{chart}"',
+  'story.errors.window': 'Step {step} has an unreadable window (expected a start and a later end, YYYY-MM-DD)',
+  'story.errors.annotationDate': 'Step {step} has an annotation with an unreadable date "{date}"',
+  'story.errors.annotationLabel': 'Step {step} has an annotation without a label',
+  'story.errors.caption': 'Step {step} has no caption',
+  'story.errors.field': 'Step {step} has an unknown field "{field}"',
+  'story.errors.start': 'A story must start with a "---" line',
+  'story.errors.noSteps': 'The story has no steps',
+  'story.errors.json': 'The story is not valid JSON',
+  'inflation.group': 'Dollar values',
+  'inflation.nominal': 'Nominal dollars',
+  'inflation.real': 'Real (base year',
+  'inflation.realEnd': ')',
+  'inflation.baseYear': 'Base year for real dollars',
+  'inflation.note': 'Percentages such as the e-commerce share are not adjusted.',
+  'inflation.unavailable': 'Real dollars need the price index, which has not loaded.',
+  'inflation.baseYearUnavailable': 'Real dollars are unavailable for base year {year}, which the price index doesn\'t cover; showing nominal dollars.',
+  'periods.shade': 'Shade recessions and macro events',
+  'periods.exclude': 'Leave them out of the statistics',
+  'periods.unavailable': 'The recession dates have not loaded.',
+  'timeWindow.label': 'Time window:',
+  'timeWindow.all': 'All data',
+  'timeWindow.reset': 'Reset',
+  'timeWindow.hint': 'Drag to choose a time window for all charts',
+  'timePresets.all': 'All',
+  'timePresets.since-2010': 'Since 2010',
+  'timePresets.pandemic': 'Pandemic era',
+  'frequency.compareAt': 'Compare at',
+  'frequency.native': 'As published',
+  'frequency.aggregateBy': 'Aggregate by',
+  'frequencies.weekly': 'Weekly',
+  'frequencies.monthly': 'Monthly',
+  'frequencies.quarterly': 'Quarterly',
+  'frequencies.annual': 'Annual',
+  'frequencyNames.weekly': 'weekly',
+  'frequencyNames.monthly': 'monthly',
+  'frequencyNames.quarterly': 'quarterly',
+  'frequencyNames.annual': 'annual',
+  'frequencyNames.daily': 'daily',
+  'aggregations.mean': 'Mean',
+  'aggregations.last': 'End of period',
+  'aggregations.sum': 'Sum',
+  'growthMode.group': 'Growth chart scale',
+  'growthMode.baseYear': 'Base year',
+  'growthModes.dual': 'Dual axis',
+  'growthModes.indexed': 'Indexed (base = 100)',
+  'growthModes.log': 'Shared log scale',
+  'forecast.share': 'the share',
+  'forecast.sales': 'sales',
+  'forecast.project': 'Project {label} with',
+  'forecast.none': 'No forecast',
+  'forecast.for': 'for',
+  'forecast.years.one': '{count} year',
+  'forecast.years.other': '{count} years',
+  'forecast.setting': '{model}, {years}',
+  'forecast.seriesLabel': '{label} (forecast: {forecast})',
+  'forecast.levelOnly': 'Forecasts are drawn when the share is shown as a level.',
+  'forecast.failed': 'Forecast failed: {error}',
+  'forecast.backtest': 'Backtest: error on the last {count} observations',
+  'forecast.model': 'Model',
+  'forecast.mae': 'Mean abs. error',
+  'forecast.rmse': 'RMSE',
+  'forecast.mape': 'MAPE',
+  'forecast.best': '{model} (best)',
+  'forecast.errors.positive': 'The {model} model needs positive values',
+  'forecast.errors.ceiling': 'The data already reaches the logistic ceiling of {cap}',
+  'forecast.errors.unknown': 'Unknown forecast model "{model}"',
+  'forecast.errors.tooShort': 'At least {count} observations are needed to forecast',
+  'forecastModels.linear': 'Linear trend',
+  'forecastModels.loglinear': 'Log-linear trend',
+  'forecastModels.holt': 'Holt\'s exponential smoothing',
+  'forecastModels.logistic': 'Logistic saturation',
+  'companies.categories': 'Company categories',
+  'companies.view': 'Show companies as',
+  'categories.marketplace': 'Marketplace',
+  'categories.retailer': 'Retailer',
+  'categories.bnpl': 'Buy now, pay later',
+  'categories.social': 'Social commerce',
+  'categories.other': 'Other',
+  'companyViews.lifespans': 'Lifespans',
+  'companyViews.milestones': 'Milestones',
+
+  // Exports, links and data tables
+  'export.title': 'Export “{title}”',
+  'export.at': 'at',
+  'export.csv': 'Data (CSV)',
+  'export.json': 'Data (JSON)',
+  'export.failed': 'Export failed: {error}',
+  'export.notDrawn': 'the chart has not been drawn yet',
+  'export.pngEncode': 'The browser could not encode the PNG',
+  'export.pngDraw': 'The chart could not be drawn as an image',
+  'table.show': 'Show data table',
+  'table.hide': 'Hide data table',
+  'table.date': 'Date',
+  'table.events': 'Events',
+  'table.event': 'Event',
+  'link.copy': 'Copy link',
+  'link.copied': 'Link copied',
+  'link.manual': 'Copy this link:',
+
+  // Panels
+  'load.failed': 'Some data could not be loaded.',
+  'load.retry': 'Retry failed data',
+  'load.loading': 'Loading chart data…',
+  'load.missing': 'This chart can\'t be drawn because it needs data that is missing:',
+  'load.manifest': 'Dataset manifest',
+  'load.undeclared': 'not declared in the dataset manifest',
+  'load.noRows': 'the file contains no data rows',
+  'load.fredNoObservations': 'the series has no observations',
+  'load.fredNoResponse': 'the response has no observations',
+  'load.fredTimeout': 'no answer within {seconds} seconds',
+  'quality.title.one': 'Data quality ({count} issue)',
+  'quality.title.other': 'Data quality ({count} issues)',
+  'quality.rows': '{rows} rows, {kept} plotted',
+  'quality.leftOut': ', {count} left out',
+  'quality.excluded': 'Excluded',
+  'quality.warning': 'Warning',
+  'quality.line': ' (line {line})',
+  'quality.none': 'No issues found',
+  'quality.issue.date': 'Unreadable date "{raw}"',
+  'quality.issue.endDate': 'Unreadable end date "{raw}"',
+  'quality.issue.optionalDate': 'Unreadable {field} date "{raw}"; left out',
+  'quality.issue.label': 'Missing label',
+  'quality.issue.number': 'Unreadable number "{raw}"',
+  'quality.issue.range': 'Ends ({end}) before it starts ({start})',
+  'quality.issue.order': '{date} comes after {previous}; rows were re-sorted',
+  'quality.issue.duplicate': 'Duplicate date {date}; kept the first row',
+  'quality.issue.gap.one': '{count} missing {frequency} observation between {start} and {end}',
+  'quality.issue.gap.other': '{count} missing {frequency} observations between {start} and {end}',
+  'quality.issue.outlier': 'Unusual change at {date} ({score}× the typical variation); kept in the chart',
+  'quality.issue.fred': 'FRED series {series} couldn\'t be loaded ({error}); using the saved file',
+  'overlayTargets.growth': 'E-commerce Sales vs Consumer Loans',
+  'overlayTargets.percent': 'E-commerce Share of Total Retail',
+  'overlayTargets.timeline': 'Company Timeline',
+  'notes.title': 'Your notes',
+  'notes.hint': 'Click a date on any chart to add a note there.',
+  'notes.noteFor': 'Note for {date}',
+  'notes.saveNote': 'Save note',
+  'notes.item': '{date} on {chart}:',
+  'notes.editLabel': 'Edit note for {date}',
+  'notes.import': 'Import notes (JSON)',
+  'notes.export': 'Export notes (JSON)',
+  'notes.errors.json': 'The file is not valid JSON',
+  'notes.errors.list': 'Expected a list of notes',
+  'notes.errors.object': 'Note {index} is not an object',
+  'notes.errors.date': 'Note {index} has no valid date (expected YYYY-MM-DD)',
+  'notes.errors.chart': 'Note {index} is for an unknown chart "{chart}"',
+  'notes.errors.text': 'Note {index} has no text',
+  'notes.storageFailed': 'Notes couldn\'t be saved in this browser ({error}); they will be lost on reload.',
+  'uploads.title': 'Add your own series',
+  'uploads.drop': 'Drop a CSV file here (for example a FRED export), or',
+  'uploads.choose': 'choose a file',
+  'uploads.noRows': 'None of its rows could be read',
+  'uploads.errors.noRows': 'The file has no data rows',
+  'uploads.errors.noDates': 'No column of dates was found',
+  'uploads.errors.noNumbers': 'No column of numbers was found',
+  'uploads.storageFailed': 'Uploads couldn\'t be saved in this browser ({error}); they will be lost on reload.',
+  'uploads.format': '{delimiter}-separated, {decimal}',
+  'uploads.comma': 'comma',
+  'uploads.semicolon': 'semicolon',
+  'uploads.tab': 'tab',
+  'uploads.pipe': 'pipe',
+  'uploads.decimalComma': 'decimal comma',
+  'uploads.decimalPoint': 'decimal point',
+  'uploads.dates': 'dates in',
+  'uploads.values': 'values in',
+  'uploads.usable': '{kept} of {rows} rows usable.',
+  'uploads.overlayOn': 'Overlay on',
+  'uploads.add': 'Add overlay',
+  'uploads.item': '({file}) on {chart}',
+  'uploads.remove': 'Remove',
+  'uploads.unreadable': 'The saved upload {file} can\'t be read any more ({error}).',
+  'uploads.show': 'Show',
+  'uploads.missing.one': 'This link shows {count} uploaded series that is only in the browser it was copied from.',
+  'uploads.missing.other': 'This link shows {count} uploaded series that are only in the browser it was copied from.'
+};
+
+const deDE = {
+  'page.title': 'Der E-Commerce-Effekt: Wie Onlineshopping Überkonsum antreibt',
+  'page.sourcesLabel': 'Datenquellen:',
+  'page.sources': 'Einzelhandelsumsätze und E-Commerce-Anteile vom US Census Bureau, ' +
+    'Verbraucherkredite von der Federal Reserve, Gründungsdaten der Unternehmen aus öffentlichen Quellen, ' +
+    'Rezessionsdaten vom NBER.',
+
+  'common.cancel': 'Abbrechen',
+  'common.delete': 'Löschen',
+  'common.edit': 'Bearbeiten',
+  'common.save': 'Speichern',
+
+  // Charts
+  'titles.growth': 'Paralleles Wachstum von E-Commerce-Umsätzen und Verbraucherkrediten',
+  'titles.percent': 'Wachsender Anteil des E-Commerce am gesamten Einzelhandelsumsatz',
+  'titles.timeline': 'Zeitleiste der E-Commerce-Unternehmen und Umsatzwachstum',
+  'series.sales': 'E-Commerce-Umsätze',
+  'series.loans': 'Verbraucherkredite',
+  'series.share': 'E-Commerce-Anteil',
+  'chart.year': 'Jahr',
+  'chart.ownScale': '{label} (eigene Skala)',
+  'chart.forecastSeries': '{label} (Prognose)',
+  'chart.stillOperating': 'Noch aktiv',
+  'chart.companiesInView.one': '{count} Unternehmen im Ausschnitt: {names}.',
+  'chart.companiesInView.other': '{count} Unternehmen im Ausschnitt: {names}.',
+  'chart.noCompanies': 'Keine Unternehmen im Ausschnitt.',
+  'growth.sales': 'Umsätze',
+  'growth.loans': 'Kredite',
+  'growth.salesIndex': 'Umsatzindex',
+  'growth.loansIndex': 'Kreditindex',
+  'growth.indexAxis': 'Index ({year} = 100)',
+  'growth.realIndexAxis': 'Realer Index ({year} = 100)',
+  'growth.indexNote': 'Hinweis: mit {year} = 100 erreichten die Umsätze {sales} und die Kredite {loans} bis {lastYear}',
+  'growth.baseYearMoved': 'Für {requested} gibt es nicht für beide Reihen Daten, daher ist {year} das Basisjahr.',
+  'growth.logAxis': '{units} (logarithmische Skala)',
+  'growth.logNote': 'Hinweis: auf einer logarithmischen Skala bedeuten parallele Linien gleiches prozentuales Wachstum',
+  'percent.yLabel': 'Anteil am gesamten Einzelhandelsumsatz',
+  'percent.metricName': 'Anteil am Einzelhandel',
+  'percent.note': 'Hinweis: Je zugänglicher der E-Commerce wird, desto mehr verlagern sich Konsumgewohnheiten zum Onlinekauf',
+  'timeline.subtitle': 'Wie große Plattformen den Onlinekonsum geprägt und beschleunigt haben',
+  'timeline.yLabel': '{label} ({units})',
+  'timeline.note': 'Hinweis: Jede neue Plattform hat das Einkaufen auf neue Weise vereinfacht und den Konsum beschleunigt',
+  'company.founded': '{company} gegründet',
+  'company.ipo': '{company} Börsengang',
+  'company.milestone': '{company}: {milestone}',
+  'company.shutdown': '{company} eingestellt',
+
+  // Units and metrics
+  'units.millions': 'Mio.\u00a0$',
+  'units.billions': 'Mrd.\u00a0$',
+  'units.percent': '%',
+  'units.real': '{units}, in Dollar von {year}',
+  'metricLabel.level': '{name} ({units})',
+  'metricLabel.change': '{name} (% Veränderung zur Vorperiode{real})',
+  'metricLabel.yoy': '{name} (% Veränderung zum Vorjahr{real})',
+  'metricLabel.rolling': '{name} ({units}, gleitender Mittelwert über {window} Perioden)',
+  'metricLabel.cumulative': '{name} (% Wachstum seit {year}{real})',
+  'metricLabel.real': ', inflationsbereinigt',
+  'metrics.level': 'Niveau',
+  'metrics.change': '% Veränderung zur Vorperiode',
+  'metrics.yoy': '% Veränderung zum Vorjahr',
+  'metrics.rolling': 'Gleitender Mittelwert',
+  'metrics.cumulative': 'Kumuliertes Wachstum seit Basisjahr',
+  'metric.sales': 'E-Commerce-Umsätze',
+  'metric.loans': 'Verbraucherkredite',
+  'metric.share': 'E-Commerce-Anteil',
+  'metric.as': '{label} als',
+  'metric.window': 'Fenster (Perioden)',
+  'metric.since': 'Seit',
+  'cagr.window': 'Durchschnittliches jährliches Wachstum {start}–{end}:',
+  'cagr.all': 'Durchschnittliches jährliches Wachstum (alle Daten):',
+  'cagr.rate': '{rate}\u00a0% pro Jahr',
+
+  // Screen reader summaries
+  'summary.noData': '{label}: keine Daten im Ausschnitt.',
+  'summary.level': 'blieb etwa gleich bei {value}',
+  'summary.rose': 'stieg von {from} auf {to}{percent}',
+  'summary.fell': 'fiel von {from} auf {to}{percent}',
+  'summary.series': '{label}, {start} bis {end}: insgesamt {trend}. ' +
+    'Tiefstwert {lowest} im {lowestDate}, Höchstwert {highest} im {highestDate}.',
+
+  // Statistics
+  'strength.strong': 'starke',
+  'strength.strongNegative': 'starke negative',
+  'strength.moderate': 'mäßige',
+  'strength.moderateNegative': 'mäßige negative',
+  'strength.weak': 'schwache',
+  'strength.weakNegative': 'schwache negative',
+  'strength.little': 'kaum oder keine',
+  'strength.none': 'keine messbare',
+  'correlation.note': 'Hinweis: {levels} Korrelation der Niveaus (r = {levelsR}) und {growth} Korrelation des ' +
+    'Jahreswachstums (r = {growthR})',
+  'correlation.sharedTrend': 'Hinweis: {levels} Korrelation der Niveaus (r = {levelsR}), aber {growth} Korrelation des ' +
+    'Jahreswachstums (r = {growthR}): vor allem gemeinsamer Trend',
+  'correlation.none': 'k. A.',
+  'stats.plotTitle': 'Kreuzkorrelation des Jahreswachstums',
+  'stats.lagAxis': 'Verzögerung in {periods} (positiv: {label} läuft voraus)',
+  'stats.caption': '{x} und {y} ({frequency})',
+  'stats.excluding': 'Ohne {periods}',
+  'stats.measure': 'Maß',
+  'stats.levels': 'Niveaus',
+  'stats.differenced': 'Periodendifferenzen',
+  'stats.growth': 'Jahreswachstum',
+  'stats.peak': 'Stärkste Wachstumskorrelation bei Verzögerung {lag} (r = {r})',
+  'periodNames.weekly': 'Wochen',
+  'periodNames.monthly': 'Monaten',
+  'periodNames.quarterly': 'Quartalen',
+  'periodNames.annual': 'Jahren',
+
+  // Controls
+  'theme.label': 'Design',
+  'theme.system': 'Wie im System',
+  'themes.light': 'Hell',
+  'themes.dark': 'Dunkel',
+  'themes.highContrast': 'Hoher Kontrast',
+  'themes.print': 'Druck (Graustufen)',
+  'locale.label': 'Sprache',
+  'story.layout': 'Seitenansicht',
+  'story.story': 'Geschichte',
+  'story.explore': 'Alle Diagramme erkunden',
+  'story.unavailable': 'Dieser Browser kann dem Scrollen nicht folgen, daher wird die Geschichte als einzelne Seite gezeigt.',
+  'story.fallback': 'Die Geschichte „{file}“ konnte nicht verwendet werden ({message}); die Standardgeschichte wird gezeigt.',
+  'story.errors.file': 'erwartet wird eine Datei name.json oder name.md',
+  'story.errors.object': 'Schritt {step} ist kein Objekt',
+  'story.errors.chart': 'Schritt {step} gehört zu einem unbekannten Diagramm „{chart}“',
+  'story.errors.window': 'Schritt {step} hat einen unlesbaren Zeitraum (erwartet werden ein Anfang und ein späteres Ende, JJJJ-MM-TT)',
+  'story.errors.annotationDate': 'Schritt {step} hat eine Anmerkung mit unlesbarem Datum „{date}“',
+  'story.errors.annotationLabel': 'Schritt {step} hat eine Anmerkung ohne Beschriftung',
+  'story.errors.caption': 'Schritt {step} hat keinen Text',
+  'story.errors.field': 'Schritt {step} hat ein unbekanntes Feld „{field}“',
+  'story.errors.start': 'Eine Geschichte muss mit einer Zeile „---“ beginnen',
+  'story.errors.noSteps': 'Die Geschichte hat keine Schritte',
+  'story.errors.json': 'Die Geschichte ist kein gültiges JSON',
+  'inflation.group': 'Dollarwerte',
+  'inflation.nominal': 'Nominale Dollar',
+  'inflation.real': 'Reale (Basisjahr',
+  'inflation.realEnd': ')',
+  'inflation.baseYear': 'Basisjahr für reale Dollar',
+  'inflation.note': 'Prozentwerte wie der E-Commerce-Anteil werden nicht bereinigt.',
+  'inflation.unavailable': 'Reale Dollar benötigen den Preisindex, der nicht geladen wurde.',
+  'inflation.baseYearUnavailable': 'Für das Basisjahr {year} gibt es keine Preisindexwerte; gezeigt werden nominale Dollar.',
+  'periods.shade': 'Rezessionen und makroökonomische Ereignisse schattieren',
+  'periods.exclude': 'Aus der Statistik ausschließen',
+  'periods.unavailable': 'Die Rezessionsdaten wurden nicht geladen.',
+  'timeWindow.label': 'Zeitraum:',
+  'timeWindow.all': 'Alle Daten',
+  'timeWindow.reset': 'Zurücksetzen',
+  'timeWindow.hint': 'Ziehen, um einen Zeitraum für alle Diagramme zu wählen',
+  'timePresets.all': 'Alle',
+  'timePresets.since-2010': 'Seit 2010',
+  'timePresets.pandemic': 'Pandemiezeit',
+  'frequency.compareAt': 'Vergleichen',
+  'frequency.native': 'Wie veröffentlicht',
+  'frequency.aggregateBy': 'Zusammenfassen als',
+  'frequencies.weekly': 'Wöchentlich',
+  'frequencies.monthly': 'Monatlich',
+  'frequencies.quarterly': 'Vierteljährlich',
+  'frequencies.annual': 'Jährlich',
+  'frequencyNames.weekly': 'wöchentlich',
+  'frequencyNames.monthly': 'monatlich',
+  'frequencyNames.quarterly': 'vierteljährlich',
+  'frequencyNames.annual': 'jährlich',
+  'frequencyNames.daily': 'täglich',
+  'aggregations.mean': 'Mittelwert',
+  'aggregations.last': 'Periodenende',
+  'aggregations.sum': 'Summe',
+  'growthMode.group': 'Skala des Wachstumsdiagramms',
+  'growthMode.baseYear': 'Basisjahr',
+  'growthModes.dual': 'Zwei Achsen',
+  'growthModes.indexed': 'Indexiert (Basis = 100)',
+  'growthModes.log': 'Gemeinsame logarithmische Skala',
+  'forecast.share': 'den Anteil',
+  'forecast.sales': 'die Umsätze',
+  'forecast.project': 'Prognose für {label} mit',
+  'forecast.none': 'Keine Prognose',
+  'forecast.for': 'über',
+  'forecast.years.one': '{count} Jahr',
+  'forecast.years.other': '{count} Jahre',
+  'forecast.setting': '{model}, {years}',
+  'forecast.seriesLabel': '{label} (Prognose: {forecast})',
+  'forecast.levelOnly': 'Prognosen werden gezeichnet, wenn der Anteil als Niveau gezeigt wird.',
+  'forecast.failed': 'Prognose fehlgeschlagen: {error}',
+  'forecast.backtest': 'Backtest: Fehler bei den letzten {count} Beobachtungen',
+  'forecast.model': 'Modell',
+  'forecast.mae': 'Mittlerer abs. Fehler',
+  'forecast.rmse': 'RMSE',
+  'forecast.mape': 'MAPE',
+  'forecast.best': '{model} (bestes)',
+  'forecast.errors.positive': 'Das Modell „{model}“ braucht positive Werte',
+  'forecast.errors.ceiling': 'Die Daten erreichen bereits die logistische Obergrenze von {cap}',
+  'forecast.errors.unknown': 'Unbekanntes Prognosemodell „{model}“',
+  'forecast.errors.tooShort': 'Für eine Prognose sind mindestens {count} Beobachtungen nötig',
+  'forecastModels.linear': 'Linearer Trend',
+  'forecastModels.loglinear': 'Log-linearer Trend',
+  'forecastModels.holt': 'Exponentielle Glättung nach Holt',
+  'forecastModels.logistic': 'Logistische Sättigung',
+  'companies.categories': 'Unternehmenskategorien',
+  'companies.view': 'Unternehmen zeigen als',
+  'categories.marketplace': 'Marktplatz',
+  'categories.retailer': 'Händler',
+  'categories.bnpl': 'Jetzt kaufen, später bezahlen',
+  'categories.social': 'Social Commerce',
+  'categories.other': 'Sonstige',
+  'companyViews.lifespans': 'Lebensdauer',
+  'companyViews.milestones': 'Meilensteine',
+
+  // Exports, links and data tables
+  'export.title': '„{title}“ exportieren',
+  'export.at': 'mit',
+  'export.csv': 'Daten (CSV)',
+  'export.json': 'Daten (JSON)',
+  'export.failed': 'Export fehlgeschlagen: {error}',
+  'export.notDrawn': 'das Diagramm wurde noch nicht gezeichnet',
+  'export.pngEncode': 'Der Browser konnte das PNG nicht erzeugen',
+  'export.pngDraw': 'Das Diagramm konnte nicht als Bild gezeichnet werden',
+  'table.show': 'Datentabelle zeigen',
+  'table.hide': 'Datentabelle ausblenden',
+  'table.date': 'Datum',
+  'table.events': 'Ereignisse',
+  'table.event': 'Ereignis',
+  'link.copy': 'Link kopieren',
+  'link.copied': 'Link kopiert',
+  'link.manual': 'Diesen Link kopieren:',
+
+  // Panels
+  'load.failed': 'Einige Daten konnten nicht geladen werden.',
+  'load.retry': 'Fehlgeschlagene Daten erneut laden',
+  'load.loading': 'Diagrammdaten werden geladen…',
+  'load.missing': 'Dieses Diagramm kann nicht gezeichnet werden, weil ihm Daten fehlen:',
+  'load.manifest': 'Datensatzverzeichnis',
+  'load.undeclared': 'nicht im Datensatzverzeichnis aufgeführt',
+  'load.noRows': 'die Datei enthält keine Datenzeilen',
+  'load.fredNoObservations': 'die Reihe hat keine Beobachtungen',
+  'load.fredNoResponse': 'die Antwort enthält keine Beobachtungen',
+  'load.fredTimeout': 'keine Antwort innerhalb von {seconds} Sekunden',
+  'quality.title.one': 'Datenqualität ({count} Problem)',
+  'quality.title.other': 'Datenqualität ({count} Probleme)',
+  'quality.rows': '{rows} Zeilen, {kept} dargestellt',
+  'quality.leftOut': ', {count} ausgelassen',
+  'quality.excluded': 'Ausgeschlossen',
+  'quality.warning': 'Warnung',
+  'quality.line': ' (Zeile {line})',
+  'quality.none': 'Keine Probleme gefunden',
+  'quality.issue.date': 'Unlesbares Datum „{raw}“',
+  'quality.issue.endDate': 'Unlesbares Enddatum „{raw}“',
+  'quality.issue.optionalDate': 'Unlesbares Datum ({field}) „{raw}“; weggelassen',
+  'quality.issue.label': 'Beschriftung fehlt',
+  'quality.issue.number': 'Unlesbare Zahl „{raw}“',
+  'quality.issue.range': 'Endet ({end}) vor dem Beginn ({start})',
+  'quality.issue.order': '{date} folgt auf {previous}; die Zeilen wurden neu sortiert',
+  'quality.issue.duplicate': 'Doppeltes Datum {date}; die erste Zeile wurde behalten',
+  'quality.issue.gap.one': '{count} fehlende Beobachtung ({frequency}) zwischen {start} und {end}',
+  'quality.issue.gap.other': '{count} fehlende Beobachtungen ({frequency}) zwischen {start} und {end}',
+  'quality.issue.outlier': 'Ungewöhnliche Änderung am {date} ({score}× die übliche Schwankung); im Diagramm belassen',
+  'quality.issue.fred': 'FRED-Reihe {series} konnte nicht geladen werden ({error}); die gespeicherte Datei wird verwendet',
+  'overlayTargets.growth': 'E-Commerce-Umsätze und Verbraucherkredite',
+  'overlayTargets.percent': 'E-Commerce-Anteil am Einzelhandel',
+  'overlayTargets.timeline': 'Unternehmenszeitleiste',
+  'notes.title': 'Ihre Notizen',
+  'notes.hint': 'Klicken Sie auf ein Datum in einem Diagramm, um dort eine Notiz hinzuzufügen.',
+  'notes.noteFor': 'Notiz zum {date}',
+  'notes.saveNote': 'Notiz speichern',
+  'notes.item': '{date} in {chart}:',
+  'notes.editLabel': 'Notiz zum {date} bearbeiten',
+  'notes.import': 'Notizen importieren (JSON)',
+  'notes.export': 'Notizen exportieren (JSON)',
+  'notes.errors.json': 'Die Datei ist kein gültiges JSON',
+  'notes.errors.list': 'Erwartet wird eine Liste von Notizen',
+  'notes.errors.object': 'Notiz {index} ist kein Objekt',
+  'notes.errors.date': 'Notiz {index} hat kein gültiges Datum (erwartet JJJJ-MM-TT)',
+  'notes.errors.chart': 'Notiz {index} gehört zu einem unbekannten Diagramm „{chart}“',
+  'notes.errors.text': 'Notiz {index} hat keinen Text',
+  'notes.storageFailed': 'Notizen konnten in diesem Browser nicht gespeichert werden ({error}); beim Neuladen gehen sie verloren.',
+  'uploads.title': 'Eigene Reihen hinzufügen',
+  'uploads.drop': 'Legen Sie hier eine CSV-Datei ab (zum Beispiel einen FRED-Export) oder',
+  'uploads.choose': 'wählen Sie eine Datei',
+  'uploads.noRows': 'Keine ihrer Zeilen konnte gelesen werden',
+  'uploads.errors.noRows': 'Die Datei hat keine Datenzeilen',
+  'uploads.errors.noDates': 'Es wurde keine Spalte mit Datumsangaben gefunden',
+  'uploads.errors.noNumbers': 'Es wurde keine Spalte mit Zahlen gefunden',
+  'uploads.storageFailed': 'Hochgeladene Reihen konnten in diesem Browser nicht gespeichert werden ({error}); beim Neuladen gehen sie verloren.',
+  'uploads.format': '{delimiter}-getrennt, {decimal}',
+  'uploads.comma': 'Komma',
+  'uploads.semicolon': 'Semikolon',
+  'uploads.tab': 'Tabulator',
+  'uploads.pipe': 'Pipe',
+  'uploads.decimalComma': 'Dezimalkomma',
+  'uploads.decimalPoint': 'Dezimalpunkt',
+  'uploads.dates': 'Datum in',
+  'uploads.values': 'Werte in',
+  'uploads.usable': '{kept} von {rows} Zeilen verwendbar.',
+  'uploads.overlayOn': 'Überlagern auf',
+  'uploads.add': 'Überlagerung hinzufügen',
+  'uploads.item': '({file}) auf {chart}',
+  'uploads.remove': 'Entfernen',
+  'uploads.unreadable': 'Die gespeicherte Datei {file} kann nicht mehr gelesen werden ({error}).',
+  'uploads.show': 'Zeigen',
+  'uploads.missing.one': 'Dieser Link zeigt {count} hochgeladene Reihe, die nur in dem Browser vorliegt, aus dem er kopiert wurde.',
+  'uploads.missing.other': 'Dieser Link zeigt {count} hochgeladene Reihen, die nur in dem Browser vorliegen, aus dem er kopiert wurde.'
+};
+
+const MESSAGES = { 'en-US': enUS, 'de-DE': deDE };
+
+export default MESSAGES;
@@ -0,0 +1,10 @@
+/**
+ * Whether chart updates should animate. Off when the user asks for reduced
+ * motion, and where there's no layout engine to animate in (tests, headless
+ * rendering), since D3's transform interpolation needs a real SVG DOM.
+ */
+export const shouldAnimate = () => (
+  typeof window !== 'undefined' &&
+  typeof window.matchMedia === 'function' &&
+  !window.matchMedia('(prefers-reduced-motion: reduce)').matches
+);
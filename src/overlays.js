@@ -0,0 +1,45 @@
+import * as d3 from 'd3';
+import { DEFAULT_LOCALE } from './locale';
+
+/**
+ * Draw uploaded overlay series onto a chart group.
+ * Each overlay gets its own y scale (its units rarely match the chart's), so it is
+ * drawn dashed and labelled (in locale) at its last visible point instead of getting an axis.
+ */
+export const drawOverlays = (g, overlays, { xScale, innerWidth, innerHeight, locale = DEFAULT_LOCALE }) => {
+  const [start, end] = xScale.domain();
+
+  overlays.forEach(overlay => {
+    const visible = overlay.data.filter(d => d.date >= start && d.date <= end);
+    if (visible.length < 2) return;
+
+    const yScale = d3.scaleLinear()
+      .domain([Math.min(0, d3.min(visible, d => d.value)), d3.max(visible, d => d.value) * 1.1])
+      .range([innerHeight, 0]);
+
+    const line = d3.line()
+      .x(d => xScale(d.date))
+      .y(d => yScale(d.value))
+      .curve(d3.curveMonotoneX);
+
+    g.append('path')
+      .datum(visible)
+      .attr('class', 'overlay-line')
+      .attr('fill', 'none')
+      .attr('stroke', overlay.color)
+      .attr('stroke-width', 2)
+      .attr('stroke-dasharray', '6,3')
+      .attr('d', line);
+
+    const last = visible[visible.length - 1];
+    g.append('text')
+      .attr('class', 'overlay-label')
+      .attr('x', Math.min(xScale(last.date), innerWidth) - 4)
+      .attr('y', yScale(last.value) - 6)
+      .attr('text-anchor', 'end')
+      .style('font-size', '11px')
+      .style('font-weight', 'bold')
+      .style('fill', overlay.color)
+      .text(locale.t('chart.ownScale', { label: overlay.label }));
+  });
+};
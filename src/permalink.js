@@ -0,0 +1,157 @@
+import * as d3 from 'd3';
+import { COMPANY_VIEWS } from './CompanyControls';
+import { FORECAST_MODELS } from './forecast';
+import { DEFAULT_FORECAST, FORECAST_HORIZONS } from './ForecastControls';
+import { DEFAULT_ALIGNMENT } from './FrequencyControls';
+import { DEFAULT_GROWTH_VIEW, GROWTH_MODES } from './GrowthModeControls';
+import { DEFAULT_PRICES } from './InflationControls';
+import { LOCALES } from './locale';
+import { DEFAULT_METRIC, ROLLING_WINDOWS } from './MetricControls';
+import { DEFAULT_MACRO_PERIODS } from './PeriodControls';
+import { AGGREGATIONS, FREQUENCIES } from './resample';
+import { THEMES } from './theme';
+import { METRICS } from './transforms';
+import { formatDay } from './useNotes';
+
+/**
+ * Everything a link restores, as the page holds it:
+ *
+ * - mode: 'story' or 'explore', or null for the page's default
+ * - window: the shared time window [start, end], or null for everything
+ * - alignment, metrics, growth, forecasts, prices and macro: the settings of
+ *   the frequency, metric, growth scale, forecast, dollar and period controls
+ * - companies: { view, hidden } for the timeline's company controls
+ * - overlays: ids of the uploaded series shown, or null for all of them
+ * - theme: 'system' or a theme id; locale: a locale id, or null for the
+ *   visitor's preferred language
+ */
+export const DEFAULT_VIEW = {
+  mode: null,
+  window: null,
+  alignment: DEFAULT_ALIGNMENT,
+  metrics: { retailSales: DEFAULT_METRIC, loans: DEFAULT_METRIC, percentOfTotal: DEFAULT_METRIC },
+  growth: DEFAULT_GROWTH_VIEW,
+  forecasts: { percentOfTotal: DEFAULT_FORECAST, retailSales: DEFAULT_FORECAST },
+  prices: DEFAULT_PRICES,
+  macro: DEFAULT_MACRO_PERIODS,
+  companies: { view: COMPANY_VIEWS[0].id, hidden: [] },
+  overlays: null,
+  theme: 'system',
+  locale: null
+};
+
+// Query parameter for each series' metric and forecast
+const METRIC_PARAMS = { retailSales: 'sales', loans: 'loans', percentOfTotal: 'share' };
+const FORECAST_PARAMS = { retailSales: 'salesForecast', percentOfTotal: 'shareForecast' };
+
+const parseDay = d3.utcParse('%Y-%m-%d');
+
+const ids = list => list.map(item => item.id);
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+const integer = (value, fallback) => (/^\d+$/.test(value || '') ? +value : fallback);
+const between = (value, min, max, fallback) => (value >= min && value <= max ? value : fallback);
+const list = value => (value === null ? null : value.split(',').filter(Boolean));
+
+// A metric as 'yoy', or with its parameter as 'rolling-8' and 'cumulative-2010'
+const encodeMetric = ({ metric, window, baseYear }) => {
+  if (metric === 'rolling') return `rolling-${window}`;
+  if (metric === 'cumulative') return `cumulative-${baseYear}`;
+  return metric;
+};
+
+const decodeMetric = (value) => {
+  const [metric, parameter] = (value || '').split('-');
+  if (!ids(METRICS).includes(metric)) return DEFAULT_METRIC;
+  if (metric === 'rolling') {
+    const window = between(integer(parameter, null), ROLLING_WINDOWS.min, ROLLING_WINDOWS.max, DEFAULT_METRIC.window);
+    return { ...DEFAULT_METRIC, metric, window };
+  }
+  if (metric === 'cumulative') return { ...DEFAULT_METRIC, metric, baseYear: integer(parameter, DEFAULT_METRIC.baseYear) };
+  return { ...DEFAULT_METRIC, metric };
+};
+
+// A forecast as model and horizon, e.g. 'holt-5'
+const decodeForecast = (value) => {
+  const [model, years] = (value || '').split('-');
+  return ids(FORECAST_MODELS).includes(model)
+    ? { model, years: oneOf(integer(years), FORECAST_HORIZONS, DEFAULT_FORECAST.years) }
+    : DEFAULT_FORECAST;
+};
+
+const decodeWindow = (from, to) => {
+  const window = [from, to].map(day => (day ? parseDay(day) : null));
+  return window[0] && window[1] && window[0] < window[1] ? window : null;
+};
+
+/**
+ * The query string ('?…', or '' for the default view) for a view. Settings
+ * left at their defaults are omitted, so links stay short.
+ */
+export const encodeView = (view) => {
+  const params = new URLSearchParams();
+  const set = (name, value, fallback) => {
+    if (value !== fallback) params.set(name, value);
+  };
+
+  set('mode', view.mode, DEFAULT_VIEW.mode);
+  if (view.window) {
+    params.set('from', formatDay(view.window[0]));
+    params.set('to', formatDay(view.window[1]));
+  }
+  set('freq', view.alignment.frequency, DEFAULT_ALIGNMENT.frequency);
+  if (view.alignment.frequency !== 'native') set('agg', view.alignment.method, DEFAULT_ALIGNMENT.method);
+  Object.entries(METRIC_PARAMS).forEach(([id, name]) => set(name, encodeMetric(view.metrics[id]), 'level'));
+  set('scale', view.growth.mode, DEFAULT_GROWTH_VIEW.mode);
+  if (view.growth.mode === 'indexed') set('base', view.growth.baseYear, DEFAULT_GROWTH_VIEW.baseYear);
+  Object.entries(FORECAST_PARAMS).forEach(([id, name]) => {
+    const { model, years } = view.forecasts[id];
+    set(name, model === 'none' ? null : `${model}-${years}`, null);
+  });
+  if (view.prices.real) params.set('real', view.prices.baseYear);
+  if (!view.macro.shaded) params.set('shade', '0');
+  if (view.macro.excludeFromStatistics) params.set('exclude', '1');
+  set('companies', view.companies.view, DEFAULT_VIEW.companies.view);
+  if (view.companies.hidden.length) params.set('hide', view.companies.hidden.join(','));
+  if (view.overlays) params.set('overlays', view.overlays.join(','));
+  set('theme', view.theme, DEFAULT_VIEW.theme);
+  set('lang', view.locale, DEFAULT_VIEW.locale);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * The view a query string describes. Missing or unrecognized settings get
+ * their defaults, so hand-edited and outdated links still open. Settings that
+ * depend on the data are checked once it has loaded: a real-dollar base year
+ * the price index doesn't cover shows nominal dollars with a notice.
+ */
+export const decodeView = (search) => {
+  const params = new URLSearchParams(search);
+  const frequency = oneOf(params.get('freq'), ['native', ...ids(FREQUENCIES)], DEFAULT_ALIGNMENT.frequency);
+  const growthMode = oneOf(params.get('scale'), ids(GROWTH_MODES), DEFAULT_GROWTH_VIEW.mode);
+  const realBaseYear = integer(params.get('real'), null);
+
+  return {
+    mode: oneOf(params.get('mode'), ['story', 'explore'], DEFAULT_VIEW.mode),
+    window: decodeWindow(params.get('from'), params.get('to')),
+    alignment: { frequency, method: oneOf(params.get('agg'), ids(AGGREGATIONS), DEFAULT_ALIGNMENT.method) },
+    metrics: Object.fromEntries(Object.entries(METRIC_PARAMS).map(([id, name]) => [id, decodeMetric(params.get(name))])),
+    growth: { mode: growthMode, baseYear: integer(params.get('base'), DEFAULT_GROWTH_VIEW.baseYear) },
+    forecasts: Object.fromEntries(Object.entries(FORECAST_PARAMS).map(([id, name]) => [id, decodeForecast(params.get(name))])),
+    prices: realBaseYear ? { real: true, baseYear: realBaseYear } : DEFAULT_PRICES,
+    macro: { shaded: params.get('shade') !== '0', excludeFromStatistics: params.get('exclude') === '1' },
+    companies: {
+      view: oneOf(params.get('companies'), ids(COMPANY_VIEWS), DEFAULT_VIEW.companies.view),
+      hidden: list(params.get('hide')) || []
+    },
+    overlays: list(params.get('overlays')),
+    theme: oneOf(params.get('theme'), Object.keys(THEMES), DEFAULT_VIEW.theme),
+    locale: oneOf(params.get('lang'), Object.keys(LOCALES), DEFAULT_VIEW.locale)
+  };
+};
+
+/**
+ * The view in the page's current URL
+ */
+export const linkedView = () => decodeView(typeof window === 'undefined' ? '' : window.location.search);
@@ -0,0 +1,58 @@
+import { DEFAULT_METRIC } from './MetricControls';
+import { DEFAULT_VIEW, decodeView, encodeView } from './permalink';
+
+const day = (year, month, date) => new Date(Date.UTC(year, month - 1, date));
+
+test('leaves the default view out of the URL', () => {
+  expect(encodeView(DEFAULT_VIEW)).toBe('');
+  expect(decodeView('')).toEqual(DEFAULT_VIEW);
+});
+
+test('round-trips a customized view', () => {
+  const view = {
+    ...DEFAULT_VIEW,
+    mode: 'explore',
+    window: [day(2010, 1, 1), day(2020, 6, 30)],
+    alignment: { frequency: 'quarterly', method: 'sum' },
+    metrics: {
+      retailSales: { metric: 'rolling', window: 8, baseYear: 2010 },
+      loans: { metric: 'yoy', window: 4, baseYear: 2010 },
+      percentOfTotal: { metric: 'cumulative', window: 4, baseYear: 2015 }
+    },
+    growth: { mode: 'indexed', baseYear: 2012 },
+    forecasts: { percentOfTotal: { model: 'holt', years: 5 }, retailSales: { model: 'none', years: 3 } },
+    prices: { real: true, baseYear: 2010 },
+    macro: { shaded: false, excludeFromStatistics: true },
+    companies: { view: 'milestones', hidden: ['bnpl', 'social'] },
+    overlays: ['upload-1', 'upload-2'],
+    theme: 'dark',
+    locale: 'de-DE'
+  };
+  const search = encodeView(view);
+
+  expect(search).toContain('from=2010-01-01&to=2020-06-30');
+  expect(search).toContain('sales=rolling-8');
+  expect(decodeView(search)).toEqual(view);
+});
+
+test('falls back to defaults for unrecognized settings', () => {
+  const view = decodeView('?from=2020-01-01&to=2010-01-01&freq=hourly&sales=median&scale=radial' +
+    '&shareForecast=holt-7&theme=neon&lang=fr-FR&companies=grid');
+
+  expect(view).toEqual({
+    ...DEFAULT_VIEW,
+    forecasts: { ...DEFAULT_VIEW.forecasts, percentOfTotal: { model: 'holt', years: 3 } }
+  });
+});
+
+test('keeps rolling windows to the range the control offers', () => {
+  expect(decodeView('?sales=rolling-0').metrics.retailSales).toEqual({ ...DEFAULT_METRIC, metric: 'rolling' });
+  expect(decodeView('?loans=rolling-500').metrics.loans.window).toBe(DEFAULT_METRIC.window);
+  expect(decodeView('?share=rolling-x').metrics.percentOfTotal.window).toBe(DEFAULT_METRIC.window);
+  expect(decodeView('?share=rolling-52').metrics.percentOfTotal.window).toBe(52);
+});
+
+test('an empty overlay list hides every upload', () => {
+  expect(decodeView('?overlays=').overlays).toEqual([]);
+  expect(decodeView('?theme=dark').overlays).toBeNull();
+});
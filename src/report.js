@@ -0,0 +1,194 @@
+import * as d3 from 'd3';
+import { appliesTo } from './annotationLayer';
+import { dataAnnotations, growthChartModel, shadedPeriods } from './chartModels';
+import { standaloneSvg } from './chartExport';
+import { buildCompanies } from './companies';
+import { getSeries } from './dataRegistry';
+import { DEFAULT_STORIES, DEFAULT_STORY } from './defaultStory';
+import { drawAreaShareChart } from './AreaShareChart';
+import { drawEventTimelineChart } from './EventTimelineChart';
+import { DEFAULT_LOCALE } from './locale';
+import { DEFAULT_VIEW } from './permalink';
+import { alignSeries } from './resample';
+import { correlationSummary } from './statistics';
+import { chartCaption } from './story';
+import { DEFAULT_THEME } from './theme';
+import { drawTimeSeriesChart } from './TimeSeriesChart';
+
+// The report's charts, in page order, with the file each is saved as
+export const REPORT_CHARTS = [
+  { id: 'growth', file: 'growth.svg' },
+  { id: 'percent', file: 'percent.svg' },
+  { id: 'timeline', file: 'timeline.svg' }
+];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * The report's date range: window ([start, end], either of them null for the
+ * data's own start or end), or null for all data
+ */
+const reportWindow = (window, datasets) => {
+  if (!window || (!window[0] && !window[1])) return null;
+  const dates = ['retailSales', 'loans', 'percentOfTotal', 'foundingDates']
+    .flatMap(id => getSeries(datasets, id).map(d => d.date));
+  const [first, last] = d3.extent(dates);
+  return [window[0] || first, window[1] || last];
+};
+
+/**
+ * Each chart's draw function and props, for the page's default view of the
+ * datasets within timeWindow
+ */
+const chartDrawings = (datasets, timeWindow, theme, locale) => {
+  const { t } = locale;
+  const salesData = getSeries(datasets, 'retailSales');
+  const loansData = getSeries(datasets, 'loans');
+  const periodData = getSeries(datasets, 'phases');
+  const annotationData = getSeries(datasets, 'annotations');
+  const macroPeriods = DEFAULT_VIEW.macro.shaded
+    ? getSeries(datasets, 'macroPeriods').map(d => ({ ...d, kind: 'macro' }))
+    : [];
+
+  const aligned = salesData.length && loansData.length
+    ? alignSeries([
+      { id: 'sales', data: salesData, frequency: datasets.retailSales.frequency },
+      { id: 'loans', data: loansData, frequency: datasets.loans.frequency }
+    ], { frequency: 'quarterly', method: DEFAULT_VIEW.alignment.method })
+    : null;
+  const growthChart = growthChartModel({
+    sales: salesData,
+    loans: loansData,
+    salesUnits: datasets.retailSales && datasets.retailSales.units,
+    loansUnits: datasets.loans && datasets.loans.units,
+    metrics: DEFAULT_VIEW.metrics,
+    mode: DEFAULT_VIEW.growth.mode,
+    baseYear: DEFAULT_VIEW.growth.baseYear,
+    stats: aligned && correlationSummary(aligned.series.sales, aligned.series.loans, aligned.frequency),
+    theme,
+    locale
+  });
+
+  const common = chart => ({
+    xDomain: timeWindow,
+    annotations: dataAnnotations(annotationData, chart),
+    periods: shadedPeriods(periodData, macroPeriods, chart),
+    theme,
+    locale
+  });
+
+  return {
+    growth: growthChart && [drawTimeSeriesChart, {
+      title: t('titles.growth'),
+      clipId: 'growth-clip',
+      series: growthChart.series,
+      axes: growthChart.axes,
+      note: growthChart.note,
+      ...common('growth')
+    }],
+    percent: [drawAreaShareChart, {
+      title: t('titles.percent'),
+      clipId: 'percent-clip',
+      data: getSeries(datasets, 'percentOfTotal'),
+      label: t('series.share'),
+      yLabel: t('percent.yLabel'),
+      note: t('percent.note'),
+      ...common('percent')
+    }],
+    timeline: [drawEventTimelineChart, {
+      title: t('titles.timeline'),
+      subtitle: t('timeline.subtitle'),
+      clipId: 'timeline-clip',
+      data: salesData,
+      label: t('series.sales'),
+      units: datasets.retailSales && datasets.retailSales.units,
+      yLabel: t('timeline.yLabel', { label: t('series.sales'), units: locale.unitLabel(datasets.retailSales ? datasets.retailSales.units : '') }),
+      companies: buildCompanies(getSeries(datasets, 'foundingDates'), getSeries(datasets, 'milestones')),
+      companyView: DEFAULT_VIEW.companies.view,
+      phases: periodData.filter(d => appliesTo(d, 'timeline')),
+      note: t('timeline.note'),
+      ...common('timeline')
+    }]
+  };
+};
+
+/**
+ * The page as a static report: the headline, each chart as a standalone SVG
+ * with the story's paragraph for it, and the data sources. Charts are drawn
+ * in the page's default view, width pixels wide, into document (a browser's
+ * or a DOM shim's). window ([start, end], either may be null) limits every
+ * chart's dates. Returns { svgs: { [chart id]: svg text }, html }; charts
+ * without data are left out of both.
+ */
+export const buildReport = ({
+  datasets,
+  document,
+  window = null,
+  width = 800,
+  theme = DEFAULT_THEME,
+  locale = DEFAULT_LOCALE,
+  story = DEFAULT_STORIES[locale.id] || DEFAULT_STORY
+}) => {
+  const { t } = locale;
+  const timeWindow = reportWindow(window, datasets);
+  const caption = `${t('page.sourcesLabel')} ${t('page.sources')}`;
+  const drawings = chartDrawings(datasets, timeWindow, theme, locale);
+  const formatDay = d3.utcFormat('%Y-%m-%d');
+
+  const svgs = {};
+  REPORT_CHARTS.forEach(({ id }) => {
+    if (!drawings[id]) return;
+    const [draw, props] = drawings[id];
+    // Drawn into the document so computed styles can be inlined
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    if (draw(container, { ...props, width })) {
+      svgs[id] = standaloneSvg(container.querySelector('svg'), {
+        title: props.title,
+        caption,
+        metadata: { window: timeWindow && timeWindow.map(formatDay) },
+        theme
+      });
+    }
+    container.remove();
+  });
+
+  const sections = REPORT_CHARTS.filter(({ id }) => svgs[id]).map(({ id }) => {
+    const text = chartCaption(story, id);
+    return `<section id="chart-${id}">
+<figure>${svgs[id]}</figure>
+${text ? `<p>${escapeHtml(text)}</p>\n` : ''}</section>`;
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="${locale.id}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(t('page.title'))}</title>
+<style>
+body { font-family: ${theme.fontFamily}; background: ${theme.page.background}; color: ${theme.page.text}; color-scheme: ${theme.scheme}; max-width: ${width + 40}px; margin: 0 auto; padding: 20px; }
+h1 { text-align: center; margin-bottom: 30px; }
+section { margin-bottom: 50px; }
+figure { margin: 0; }
+figure svg { max-width: 100%; height: auto; }
+p { font-size: 16px; }
+footer { margin-top: 40px; border-top: 1px solid ${theme.page.border}; padding-top: 20px; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('page.title'))}</h1>
+${sections.join('\n')}
+<footer>
+<p><strong>${escapeHtml(t('page.sourcesLabel'))}</strong> ${escapeHtml(t('page.sources'))}</p>
+</footer>
+</body>
+</html>
+`;
+
+  return { svgs, html };
+};
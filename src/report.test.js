@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { readDatasets } from './dataRegistry';
+import { LOCALES } from './locale';
+import { buildReport } from './report';
+import { THEMES } from './theme';
+
+const DATA_DIR = path.join(__dirname, '..', 'public', 'data');
+const readFile = file => fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
+const { datasets: specs } = JSON.parse(readFile('manifest.json'));
+const { datasets } = readDatasets(specs, readFile);
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+
+test('reads the saved files without fetch', () => {
+  const { datasets: read, errors } = readDatasets([
+    ...specs.filter(spec => spec.id === 'loans'),
+    { id: 'missing', file: 'missing.csv' }
+  ], readFile);
+
+  expect(read.loans.data.length).toBeGreaterThan(100);
+  expect(errors.missing.file).toBe('missing.csv');
+});
+
+test('builds standalone SVGs and an HTML report with the story and sources', () => {
+  const { svgs, html } = buildReport({ datasets, document });
+
+  expect(Object.keys(svgs)).toEqual(['growth', 'percent', 'timeline']);
+  expect(svgs.growth).toMatch(/^<svg[^>]*xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  expect(svgs.growth).toContain('<title>Parallel Growth of E-commerce Sales and Consumer Loans</title>');
+  expect(svgs.growth).toContain('Consumer Loans ($ billions)');
+  expect(svgs.timeline).toContain('<title>E-commerce Company Timeline and Sales Growth</title>');
+
+  expect(html).toContain('<h1>The E-commerce Effect: How Online Shopping Drives Overconsumption</h1>');
+  expect(html.match(/<svg/g)).toHaveLength(3);
+  expect(html).toMatch(/<section id="chart-growth">[\s\S]*<p>[^<]+<\/p>/);
+  expect(html).toContain('<strong>Data Sources:</strong>');
+  // Nothing is left behind in the document
+  expect(document.body.innerHTML).toBe('');
+});
+
+test('limits the charts to a date range and follows the theme and locale', () => {
+  const { svgs, html } = buildReport({
+    datasets,
+    document,
+    window: [utc(2010), null],
+    theme: THEMES.dark,
+    locale: LOCALES['de-DE']
+  });
+
+  expect(svgs.percent).toContain('"window":["2010-01-01",');
+  expect(svgs.percent).toContain(`fill="${THEMES.dark.chart.background}"`);
+  expect(svgs.percent).not.toMatch(/>2005</);
+  expect(html).toContain('<html lang="de-DE">');
+  expect(html).toContain(`background: ${THEMES.dark.page.background}`);
+  expect(html).toContain('<strong>Datenquellen:</strong>');
+});
+
+test('labels the timeline axis with the sales dataset\'s units', () => {
+  const retailSales = { ...datasets.retailSales, units: '$ billions', data: datasets.retailSales.data.map(d => ({ ...d, value: d.value / 1000 })) };
+  const { svgs } = buildReport({ datasets: { ...datasets, retailSales }, document });
+
+  expect(svgs.timeline).toContain('E-commerce Sales ($ billions)');
+  expect(svgs.timeline).not.toContain('$ millions');
+});
@@ -0,0 +1,135 @@
+import * as d3 from 'd3';
+
+// Calendar periods for each supported frequency, finest first. Quarters start
+// in January, April, July and October, matching FRED's quarterly dates.
+export const FREQUENCIES = [
+  { id: 'weekly', label: 'Weekly', interval: d3.utcWeek, days: 7, perYear: 52 },
+  { id: 'monthly', label: 'Monthly', interval: d3.utcMonth, days: 30.4, perYear: 12 },
+  { id: 'quarterly', label: 'Quarterly', interval: d3.utcMonth.every(3), days: 91.3, perYear: 4 },
+  { id: 'annual', label: 'Annual', interval: d3.utcYear, days: 365.25, perYear: 1 }
+];
+
+export const AGGREGATIONS = [
+  { id: 'mean', label: 'Mean' },
+  { id: 'last', label: 'End of period' },
+  { id: 'sum', label: 'Sum' }
+];
+
+const DAY = 24 * 3600 * 1000;
+
+export const frequencyInfo = (id) => FREQUENCIES.find(f => f.id === id);
+
+/**
+ * Guess a series' frequency from the median spacing of its dates
+ */
+export const detectFrequency = (dates) => {
+  if (dates.length < 2) return null;
+  const sorted = dates.slice().sort((a, b) => a - b);
+  const spacing = d3.median(sorted.slice(1), (d, i) => (d - sorted[i]) / DAY);
+
+  const candidates = [{ id: 'daily', days: 1 }, ...FREQUENCIES];
+  const best = d3.least(candidates, c => Math.abs(Math.log(spacing / c.days)));
+  return Math.abs(spacing - best.days) / best.days < 0.25 ? best.id : null;
+};
+
+const aggregate = (values, method) => {
+  if (method === 'sum') return d3.sum(values);
+  if (method === 'last') return values[values.length - 1];
+  return d3.mean(values);
+};
+
+/**
+ * Collapse points into coarser periods. Periods at either end that the source
+ * data only partly covers are dropped, so a quarter holding one week of a weekly
+ * series doesn't masquerade as a full quarter: the first period is kept only
+ * if the source period before the first point falls before it. source is the
+ * source frequency's { interval, days }.
+ */
+const downsample = (data, interval, source, method) => {
+  const groups = d3.groups(data, d => +interval.floor(d.date));
+  const tolerance = source.days * 1.5 * DAY;
+  const first = data[0].date;
+  const last = data[data.length - 1].date;
+
+  return groups
+    .filter(([start]) => {
+      const periodStart = new Date(start);
+      const periodEnd = interval.offset(periodStart, 1);
+      return source.interval.offset(first, -1) < periodStart && periodEnd - last <= tolerance;
+    })
+    .map(([start, points]) => ({
+      date: new Date(start),
+      value: aggregate(points.map(d => d.value), method)
+    }));
+};
+
+/**
+ * Spread points onto finer periods, either by linear interpolation in time
+ * or by carrying the previous observation forward
+ */
+const upsample = (data, interval, fill) => {
+  const first = data[0].date;
+  const last = data[data.length - 1].date;
+  const bisect = d3.bisector(d => d.date).right;
+
+  return interval.range(interval.ceil(first), d3.utcMillisecond.offset(last, 1)).map(date => {
+    const i = Math.max(1, Math.min(data.length - 1, bisect(data, date)));
+    const a = data[i - 1];
+    const b = data[i];
+    if (fill === 'previous' || date >= b.date) {
+      return { date, value: date >= b.date ? b.value : a.value };
+    }
+    const t = (date - a.date) / (b.date - a.date);
+    return { date, value: a.value + t * (b.value - a.value) };
+  });
+};
+
+/**
+ * Convert { date, value } points (sorted by date) to another frequency.
+ *
+ * options.from is the source frequency (detected when omitted), options.to the
+ * target. Going to a coarser frequency aggregates with options.method ('mean',
+ * 'last' or 'sum'); going finer uses options.fill ('interpolate' or 'previous').
+ * Output points are dated at the start of each period.
+ */
+export const resample = (data, { from, to, method = 'mean', fill = 'interpolate' } = {}) => {
+  const target = frequencyInfo(to);
+  if (!target) throw new Error(`Unknown frequency "${to}"`);
+  if (data.length < 2) return data.slice();
+
+  const sourceId = from || detectFrequency(data.map(d => d.date));
+  const source = sourceId === 'daily' ? { interval: d3.utcDay, days: 1 } : frequencyInfo(sourceId) || target;
+
+  return source.days > target.days
+    ? upsample(data, target.interval, fill)
+    : downsample(data, target.interval, source, method);
+};
+
+/**
+ * Resample several series to a common frequency and keep only the dates they
+ * all share. Each entry is { id, data, frequency }.
+ * Returns { frequency, series: { [id]: points }, rows: [{ date, [id]: value }] }.
+ */
+export const alignSeries = (seriesList, { frequency, method = 'mean', fill = 'interpolate' }) => {
+  const resampled = seriesList.map(s => ({
+    id: s.id,
+    data: resample(s.data, { from: s.frequency, to: frequency, method, fill })
+  }));
+
+  const lookups = resampled.map(s => new Map(s.data.map(d => [+d.date, d.value])));
+  const shared = resampled.length
+    ? resampled[0].data.filter(d => lookups.every(lookup => lookup.has(+d.date))).map(d => d.date)
+    : [];
+
+  const rows = shared.map(date => resampled.reduce((row, s, i) => {
+    row[s.id] = lookups[i].get(+date);
+    return row;
+  }, { date }));
+
+  const series = resampled.reduce((byId, s) => {
+    byId[s.id] = rows.map(row => ({ date: row.date, value: row[s.id] }));
+    return byId;
+  }, {});
+
+  return { frequency, series, rows };
+};
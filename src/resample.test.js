@@ -0,0 +1,76 @@
+import { alignSeries, detectFrequency, resample } from './resample';
+
+const utc = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+// Weekly Wednesdays covering the first two quarters of 2001 and a stray week in Q3
+const weekly = [];
+for (let date = utc(2001, 1, 3); date <= utc(2001, 7, 4); date = new Date(+date + 7 * 864e5)) {
+  weekly.push({ date, value: date.getUTCMonth() < 3 ? 10 : 20 });
+}
+
+const quarterly = [
+  { date: utc(2001, 1, 1), value: 100 },
+  { date: utc(2001, 4, 1), value: 190 },
+  { date: utc(2001, 7, 1), value: 100 }
+];
+
+test('detects frequency from date spacing', () => {
+  expect(detectFrequency(weekly.map(d => d.date))).toBe('weekly');
+  expect(detectFrequency(quarterly.map(d => d.date))).toBe('quarterly');
+});
+
+test('downsamples weekly data to quarters and drops partly covered periods', () => {
+  const mean = resample(weekly, { from: 'weekly', to: 'quarterly', method: 'mean' });
+  expect(mean).toEqual([
+    { date: utc(2001, 1, 1), value: 10 },
+    { date: utc(2001, 4, 1), value: 20 }
+  ]);
+
+  const sum = resample(weekly, { from: 'weekly', to: 'quarterly', method: 'sum' });
+  expect(sum.map(d => d.value)).toEqual([130, 260]);
+
+  const last = resample(weekly, { from: 'weekly', to: 'monthly', method: 'last' });
+  expect(last[2]).toEqual({ date: utc(2001, 3, 1), value: 10 });
+});
+
+test('drops a year whose first quarter is missing', () => {
+  const fromQ2 = [
+    { date: utc(2001, 4, 1), value: 1 },
+    { date: utc(2001, 7, 1), value: 2 },
+    { date: utc(2001, 10, 1), value: 3 },
+    ...[1, 4, 7, 10].map(month => ({ date: utc(2002, month, 1), value: 4 }))
+  ];
+  expect(resample(fromQ2, { from: 'quarterly', to: 'annual', method: 'sum' })).toEqual([
+    { date: utc(2002, 1, 1), value: 16 }
+  ]);
+});
+
+test('upsamples by interpolating or carrying values forward', () => {
+  const interpolated = resample(quarterly, { from: 'quarterly', to: 'monthly' });
+  expect(interpolated.map(d => d.date)).toEqual([1, 2, 3, 4, 5, 6, 7].map(m => utc(2001, m, 1)));
+  expect(interpolated[1].value).toBeCloseTo(100 + 90 * (31 / 90));
+  expect(interpolated[6].value).toBe(100);
+
+  const stepped = resample(quarterly, { from: 'quarterly', to: 'monthly', fill: 'previous' });
+  expect(stepped.map(d => d.value)).toEqual([100, 100, 100, 190, 190, 190, 100]);
+});
+
+test('aligns series on the dates they share', () => {
+  const aligned = alignSeries([
+    { id: 'sales', data: quarterly, frequency: 'quarterly' },
+    { id: 'loans', data: weekly, frequency: 'weekly' }
+  ], { frequency: 'quarterly' });
+
+  expect(aligned.rows).toEqual([
+    { date: utc(2001, 1, 1), sales: 100, loans: 10 },
+    { date: utc(2001, 4, 1), sales: 190, loans: 20 }
+  ]);
+  expect(aligned.series.loans).toEqual([
+    { date: utc(2001, 1, 1), value: 10 },
+    { date: utc(2001, 4, 1), value: 20 }
+  ]);
+});
+
+test('rejects unknown target frequencies', () => {
+  expect(() => resample(quarterly, { to: 'hourly' })).toThrow('Unknown frequency "hourly"');
+});
@@ -0,0 +1,138 @@
+import * as d3 from 'd3';
+import { DEFAULT_LOCALE } from './locale';
+import { frequencyInfo } from './resample';
+import { difference, percentChange } from './transforms';
+
+// Largest lead/lag, in periods, shown in the cross-correlation plot
+const MAX_LAG = { weekly: 26, monthly: 12, quarterly: 8, annual: 4 };
+
+/**
+ * Pearson correlation of two equal-length arrays. NaN when undefined.
+ */
+export const pearson = (xs, ys) => {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return NaN;
+
+  const meanX = d3.mean(xs.slice(0, n));
+  const meanY = d3.mean(ys.slice(0, n));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+};
+
+/**
+ * Ranks starting at 1, with tied values sharing their average rank
+ */
+export const rank = (values) => {
+  const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const average = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].i] = average;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+/**
+ * Spearman rank correlation of two equal-length arrays
+ */
+export const spearman = (xs, ys) => pearson(rank(xs), rank(ys));
+
+/**
+ * Correlation of x[t] with y[t + lag] for every lag in [-maxLag, maxLag].
+ * A positive lag means x leads y. Pairs with a missing (NaN) value are skipped.
+ */
+export const crossCorrelation = (xs, ys, maxLag) => d3.range(-maxLag, maxLag + 1).map(lag => {
+  const x = lag >= 0 ? xs.slice(0, xs.length - lag) : xs.slice(-lag);
+  const y = lag >= 0 ? ys.slice(lag) : ys.slice(0, ys.length + lag);
+  const pairs = d3.range(Math.min(x.length, y.length)).filter(i => Number.isFinite(x[i]) && Number.isFinite(y[i]));
+  return { lag, r: pearson(pairs.map(i => x[i]), pairs.map(i => y[i])), n: pairs.length };
+});
+
+/**
+ * Whether a date falls inside any of the periods ([{ date, end }], inclusive)
+ */
+export const inPeriods = (date, periods) => periods.some(p => date >= p.date && date <= p.end);
+
+/**
+ * Pearson and Spearman for two series that share dates
+ */
+const correlate = (a, b) => {
+  const byDate = new Map(b.map(d => [+d.date, d.value]));
+  const pairs = a.filter(d => byDate.has(+d.date));
+  const xs = pairs.map(d => d.value);
+  const ys = pairs.map(d => byDate.get(+d.date));
+  return { pearson: pearson(xs, ys), spearman: spearman(xs, ys), n: pairs.length };
+};
+
+/**
+ * Correlate two aligned series on levels, period differences and year-over-year
+ * growth, plus a cross-correlation of the growth rates over a range of lags.
+ * Differencing removes the shared upward trend that inflates correlations of levels.
+ *
+ * Observations dated inside the exclude periods ([{ date, end, label }], e.g.
+ * recessions) are left out of every measure. Differences and growth rates are
+ * taken on the full series first, so the remaining ones still span one period
+ * or one year.
+ */
+export const correlationSummary = (x, y, frequency, { exclude = [] } = {}) => {
+  const info = frequencyInfo(frequency);
+  const perYear = info ? info.perYear : 1;
+  const kept = data => data.filter(d => !inPeriods(d.date, exclude));
+  const masked = data => data.map(d => (inPeriods(d.date, exclude) ? NaN : d.value));
+
+  const growthX = percentChange(x, perYear);
+  const growthY = percentChange(y, perYear);
+  const lags = crossCorrelation(masked(growthX), masked(growthY), MAX_LAG[frequency] || 4);
+  const peak = d3.greatest(lags.filter(l => Number.isFinite(l.r)), l => Math.abs(l.r)) || null;
+
+  return {
+    frequency,
+    excluded: exclude.map(p => p.label),
+    levels: correlate(kept(x), kept(y)),
+    differenced: correlate(kept(difference(x)), kept(difference(y))),
+    growth: correlate(kept(growthX), kept(growthY)),
+    crossCorrelation: lags,
+    peak
+  };
+};
+
+/**
+ * Describe a correlation coefficient in words, in locale
+ */
+export const strength = (r, locale = DEFAULT_LOCALE) => {
+  if (!Number.isFinite(r)) return locale.t('strength.none');
+  const size = Math.abs(r);
+  const sign = r < 0 ? 'Negative' : '';
+  if (size >= 0.7) return locale.t(`strength.strong${sign}`);
+  if (size >= 0.4) return locale.t(`strength.moderate${sign}`);
+  if (size >= 0.2) return locale.t(`strength.weak${sign}`);
+  return locale.t('strength.little');
+};
+
+/**
+ * Short reading of a correlation summary, for the chart annotation, in locale
+ */
+export const describeCorrelation = (summary, locale = DEFAULT_LOCALE) => {
+  const { levels, growth } = summary;
+  const r = value => (Number.isFinite(value) ? locale.format('.2f')(value) : locale.t('correlation.none'));
+  const sharedTrend = Math.abs(levels.pearson) - Math.abs(growth.pearson) > 0.3;
+
+  return locale.t(sharedTrend ? 'correlation.sharedTrend' : 'correlation.note', {
+    levels: strength(levels.pearson, locale),
+    levelsR: r(levels.pearson),
+    growth: strength(growth.pearson, locale),
+    growthR: r(growth.pearson)
+  });
+};
@@ -0,0 +1,61 @@
+import { correlationSummary, crossCorrelation, describeCorrelation, inPeriods, pearson, rank, spearman } from './statistics';
+
+const utc = (y, m) => new Date(Date.UTC(y, m - 1, 1));
+
+test('computes Pearson and Spearman correlation', () => {
+  expect(pearson([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+  expect(pearson([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1);
+  expect(pearson([1, 1, 1], [1, 2, 3])).toBeNaN();
+
+  // Monotonic but non-linear: Spearman is exactly 1, Pearson is not
+  const xs = [1, 2, 3, 4, 5];
+  const ys = xs.map(x => Math.exp(x));
+  expect(spearman(xs, ys)).toBeCloseTo(1);
+  expect(pearson(xs, ys)).toBeLessThan(0.95);
+});
+
+test('gives tied values their average rank', () => {
+  expect(rank([10, 20, 20, 5])).toEqual([2, 3.5, 3.5, 1]);
+});
+
+test('finds the lag at which one series leads another', () => {
+  const xs = [0, 1, 0, 3, 0, 1, 4, 0, 2, 0, 1, 3];
+  const ys = [9, 9, ...xs.slice(0, -2)];
+  const lags = crossCorrelation(xs, ys, 3);
+
+  expect(lags.map(l => l.lag)).toEqual([-3, -2, -1, 0, 1, 2, 3]);
+  expect(lags.find(l => l.lag === 2).r).toBeCloseTo(1);
+});
+
+test('separates shared trend from correlated growth', () => {
+  // Both trend upward, but their year-over-year wiggles are unrelated
+  const noiseA = [3, -2, 4, -1, 0, 2, -3, 1, -2, 4, 0, -1, 2, -4, 1, 3];
+  const noiseB = [-1, 2, 0, 3, -2, -1, 1, 4, 2, -3, 1, 0, -4, 2, 3, -1];
+  const x = noiseA.map((n, i) => ({ date: utc(2000 + i, 1), value: 100 + 10 * i + n }));
+  const y = noiseB.map((n, i) => ({ date: utc(2000 + i, 1), value: 50 + 5 * i + n }));
+
+  const summary = correlationSummary(x, y, 'annual');
+
+  expect(summary.levels.pearson).toBeGreaterThan(0.95);
+  expect(Math.abs(summary.growth.pearson)).toBeLessThan(0.5);
+  expect(summary.growth.n).toBe(15);
+  expect(summary.crossCorrelation).toHaveLength(9);
+  expect(describeCorrelation(summary)).toMatch(/^Note: strong correlation in levels \(r = 0\.9\d\) but .* mostly shared trend$/);
+});
+
+test('leaves observations inside excluded periods out of every measure', () => {
+  // Annual observations, of which 2008 and 2009 fall inside the recession
+  const x = [100, 110, 121, 133, 146, 161, 177, 195, 120, 236, 260, 286].map((value, i) => ({ date: utc(2000 + i, 1), value }));
+  const y = x.map((d, i) => ({ date: d.date, value: 50 * 1.1 ** i }));
+  const recession = { date: utc(2007, 12), end: utc(2009, 6), label: 'Great Recession' };
+
+  const all = correlationSummary(x, y, 'annual');
+  const excluded = correlationSummary(x, y, 'annual', { exclude: [recession] });
+
+  expect(inPeriods(utc(2008, 1), [recession])).toBe(true);
+  expect(inPeriods(utc(2010, 1), [recession])).toBe(false);
+  expect(excluded.excluded).toEqual(['Great Recession']);
+  expect(excluded.levels.n).toBe(all.levels.n - 2);
+  expect(excluded.growth.n).toBe(all.growth.n - 2);
+  expect(excluded.crossCorrelation.find(l => l.lag === 0).n).toBe(excluded.growth.n);
+});
@@ -0,0 +1,144 @@
+import * as d3 from 'd3';
+import { DATA_URL } from './dataRegistry';
+import { CatalogError } from './locale';
+
+// Charts a story step can show
+export const STORY_CHARTS = ['growth', 'percent', 'timeline'];
+
+// Front-matter fields of a markdown step; annotation may be repeated
+const MARKDOWN_FIELDS = ['chart', 'window', 'highlight', 'annotation'];
+
+const parseDay = d3.utcParse('%Y-%m-%d');
+
+/**
+ * Check one step's fields and turn its dates into Dates.
+ * Returns { chart, window: [start, end] | null, highlight: [ids] | null,
+ * annotations: [{ id, date, label, kind: 'story' }], caption }.
+ */
+const normalizeStep = (step, i) => {
+  const position = { step: i + 1 };
+  if (!step || typeof step !== 'object') throw new CatalogError('story.errors.object', position);
+  if (!STORY_CHARTS.includes(step.chart)) throw new CatalogError('story.errors.chart', { ...position, chart: step.chart });
+
+  let range = null;
+  if (step.window) {
+    range = Array.isArray(step.window) && step.window.length === 2 ? step.window.map(d => parseDay(d)) : [];
+    if (range.length !== 2 || range.some(d => !d) || range[1] <= range[0]) {
+      throw new CatalogError('story.errors.window', position);
+    }
+  }
+
+  const annotations = (step.annotations || []).map((a, k) => {
+    const date = parseDay(a && a.date);
+    if (!date) throw new CatalogError('story.errors.annotationDate', { ...position, date: String(a && a.date) });
+    if (!a.label) throw new CatalogError('story.errors.annotationLabel', position);
+    return { id: `story-${i}-${k}`, date, label: a.label, kind: 'story' };
+  });
+
+  const caption = typeof step.caption === 'string' ? step.caption.replace(/\s+/g, ' ').trim() : '';
+  if (!caption) throw new CatalogError('story.errors.caption', position);
+
+  return {
+    chart: step.chart,
+    window: range,
+    highlight: Array.isArray(step.highlight) && step.highlight.length ? step.highlight.map(String) : null,
+    annotations,
+    caption
+  };
+};
+
+/**
+ * Read a markdown step's front matter: one "field: value" per line, where
+ * window is "start to end", highlight a comma-separated list and each
+ * annotation "date | label"
+ */
+const parseFrontMatter = (text, i) => {
+  const step = { annotations: [] };
+  text.split('\n').filter(line => line.trim()).forEach(line => {
+    const separator = line.indexOf(':');
+    const field = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (separator === -1 || !MARKDOWN_FIELDS.includes(field)) {
+      throw new CatalogError('story.errors.field', { step: i + 1, field: separator === -1 ? line.trim() : field });
+    }
+    if (field === 'window') step.window = value.split(/\s+to\s+/);
+    else if (field === 'highlight') step.highlight = value.split(',').map(id => id.trim()).filter(Boolean);
+    else if (field === 'annotation') {
+      const [date, ...label] = value.split('|');
+      step.annotations.push({ date: date.trim(), label: label.join('|').trim() });
+    } else step[field] = value;
+  });
+  return step;
+};
+
+/**
+ * Parse a markdown story: each step is a front-matter block between "---"
+ * lines followed by its caption
+ *
+ *   ---
+ *   chart: growth
+ *   window: 2007-01-01 to 2012-12-31
+ *   highlight: loans
+ *   annotation: 2008-09-15 | Lehman Brothers fails
+ *   ---
+ *   Caption text for the step.
+ */
+export const parseMarkdownStory = (text) => {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/^---[ \t]*$/m);
+  if (blocks[0].trim()) throw new CatalogError('story.errors.start');
+
+  const steps = [];
+  for (let i = 1; i < blocks.length; i += 2) {
+    const index = steps.length;
+    steps.push(normalizeStep({ ...parseFrontMatter(blocks[i], index), caption: blocks[i + 1] || '' }, index));
+  }
+  if (!steps.length) throw new CatalogError('story.errors.noSteps');
+  return { steps };
+};
+
+/**
+ * Parse a JSON story: { steps: [{ chart, window: [start, end], highlight: [ids],
+ * annotations: [{ date, label }], caption }] }, or just the list of steps
+ */
+export const parseJsonStory = (text) => {
+  let story;
+  try {
+    story = JSON.parse(text);
+  } catch (error) {
+    throw new CatalogError('story.errors.json');
+  }
+  const steps = Array.isArray(story) ? story : story && story.steps;
+  if (!Array.isArray(steps) || !steps.length) throw new CatalogError('story.errors.noSteps');
+  return { steps: steps.map(normalizeStep) };
+};
+
+/**
+ * Parse a story script by its file name: .json files as JSON, anything else
+ * as markdown. Throws an error naming the first step that can't be used.
+ */
+export const parseStory = (text, file = '') => (/\.json$/i.test(file) ? parseJsonStory(text) : parseMarkdownStory(text));
+
+/**
+ * Fetch and parse a story script from the data folder
+ */
+export const loadStory = async (file, baseUrl = DATA_URL) => parseStory(await d3.text(`${baseUrl}/${file}`), file);
+
+/**
+ * The step a chart shows while step index is active: the latest of its steps
+ * up to index, or its first step if the story hasn't reached it yet. Null
+ * when the story never shows the chart.
+ */
+export const chartStep = (steps, index, chart) => {
+  const own = steps.map((step, i) => ({ step, i })).filter(s => s.step.chart === chart);
+  if (!own.length) return null;
+  const reached = own.filter(s => s.i <= index);
+  return (reached.length ? reached[reached.length - 1] : own[0]).step;
+};
+
+/**
+ * A chart's captions run together as one paragraph, for the static layout
+ */
+export const chartCaption = (story, chart) => story.steps
+  .filter(step => step.chart === chart)
+  .map(step => step.caption)
+  .join(' ');
@@ -0,0 +1,71 @@
+import { DEFAULT_STORY } from './defaultStory';
+import { chartCaption, chartStep, parseJsonStory, parseMarkdownStory, parseStory } from './story';
+
+const utc = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+
+test('reads markdown steps from front matter and captions', () => {
+  const story = parseMarkdownStory([
+    '---',
+    'chart: growth',
+    'window: 2007-01-01 to 2012-12-31',
+    'highlight: sales, loans',
+    'annotation: 2008-09-15 | Lehman Brothers fails',
+    '---',
+    'Borrowing kept rising',
+    'through the recession.',
+    '---',
+    'chart: timeline',
+    '---',
+    'Companies came and went.'
+  ].join('\n'));
+
+  expect(story.steps).toEqual([
+    {
+      chart: 'growth',
+      window: [utc(2007, 1, 1), utc(2012, 12, 31)],
+      highlight: ['sales', 'loans'],
+      annotations: [{ id: 'story-0-0', date: utc(2008, 9, 15), label: 'Lehman Brothers fails', kind: 'story' }],
+      caption: 'Borrowing kept rising through the recession.'
+    },
+    { chart: 'timeline', window: null, highlight: null, annotations: [], caption: 'Companies came and went.' }
+  ]);
+});
+
+test('reads JSON stories and picks the parser by file name', () => {
+  const json = JSON.stringify({
+    steps: [{ chart: 'percent', window: ['2018-01-01', '2024-12-31'], annotations: [{ date: '2020-03-11', label: 'Lockdowns' }], caption: 'Share jumps.' }]
+  });
+  const story = parseStory(json, 'pandemic.json');
+
+  expect(story.steps[0]).toMatchObject({ chart: 'percent', window: [utc(2018, 1, 1), utc(2024, 12, 31)], caption: 'Share jumps.' });
+  expect(story.steps[0].annotations[0].label).toBe('Lockdowns');
+  expect(() => parseStory(json, 'pandemic.md')).toThrow('A story must start with a "---" line');
+});
+
+test('names the first step that cannot be used', () => {
+  expect(() => parseJsonStory('[{ "chart": "pie", "caption": "x" }]')).toThrow('Step 1 is for an unknown chart "pie"');
+  expect(() => parseJsonStory('[{ "chart": "growth", "caption": "x" }, { "chart": "growth", "window": ["2010-01-01", "2005-01-01"], "caption": "y" }]'))
+    .toThrow('Step 2 has an unreadable window');
+  expect(() => parseMarkdownStory('---\nchart: growth\ncolour: red\n---\nText')).toThrow('Step 1 has an unknown field "colour"');
+  expect(() => parseMarkdownStory('---\nchart: growth\n---\n')).toThrow('Step 1 has no caption');
+  expect(() => parseJsonStory('not json')).toThrow('The story is not valid JSON');
+});
+
+test('keeps each chart on its latest step and joins its captions', () => {
+  const steps = ['growth', 'growth', 'percent', 'growth'].map((chart, i) => ({ chart, caption: `Step ${i + 1}.` }));
+
+  expect(chartStep(steps, 1, 'growth')).toBe(steps[1]);
+  expect(chartStep(steps, 2, 'growth')).toBe(steps[1]);
+  expect(chartStep(steps, 0, 'percent')).toBe(steps[2]);
+  expect(chartStep(steps, 3, 'timeline')).toBeNull();
+  expect(chartCaption({ steps }, 'growth')).toBe('Step 1. Step 2. Step 4.');
+});
+
+test('tells the default story one paragraph per chart', () => {
+  expect(DEFAULT_STORY.steps.map(step => step.chart)).toEqual(['growth', 'growth', 'percent', 'percent', 'timeline', 'timeline']);
+  expect(chartCaption(DEFAULT_STORY, 'percent')).toBe(
+    'The growing share of retail happening online shows how consumer habits have fundamentally shifted. ' +
+    "E-commerce's convenience, 24/7 availability, and frictionless payment systems have made impulse purchases " +
+    'easier than ever before, potentially contributing to overconsumption.'
+  );
+});
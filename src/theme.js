@@ -0,0 +1,283 @@
+import { createContext, useContext } from 'react';
+import * as d3 from 'd3';
+
+/**
+ * Colors, fonts and sizes for the page and every chart. Each theme has:
+ *
+ * - scheme: the CSS color-scheme, so native controls match
+ * - fontFamily, and fontScale applied to chart text sizes
+ * - lineWidth of series lines
+ * - page: colors of the page and its panels (text, muted notes, rules,
+ *   links, errors...)
+ * - chart: background, text, axis color (axes draw in currentColor),
+ *   crosshair and tooltip, label halos, shading, phase colors and the brush
+ * - series: color (plus dash or fill) of each built-in series
+ * - categories: color of each company category
+ * - annotations: color of each annotation kind
+ */
+const light = {
+  id: 'light',
+  label: 'Light',
+  scheme: 'light',
+  fontFamily: 'Arial, sans-serif',
+  fontScale: 1,
+  lineWidth: 3,
+  page: {
+    background: '#ffffff',
+    text: '#000000',
+    muted: '#555555',
+    faint: '#777777',
+    border: '#cccccc',
+    rule: '#eeeeee',
+    panel: '#f7f7f7',
+    tint: '#eaf2f8',
+    link: '#2980b9',
+    error: '#c0392b',
+    errorBackground: '#fdecea',
+    errorBorder: '#e74c3c',
+    warning: '#d35400',
+    success: '#27ae60'
+  },
+  chart: {
+    background: '#ffffff',
+    text: '#000000',
+    axis: '#000000',
+    crosshair: '#555555',
+    tooltip: 'rgba(255, 255, 255, 0.92)',
+    tooltipBorder: '#999999',
+    tooltipText: '#333333',
+    halo: '#ffffff',
+    periodFills: ['#f7f9f9', '#ecf0f1'],
+    macroPeriod: 'rgba(127, 140, 141, 0.3)',
+    periodLabel: '#7f8c8d',
+    phases: d3.schemeCategory10,
+    phaseLabel: '#ffffff',
+    shutdown: '#c0392b',
+    event: '#8e44ad',
+    bar: '#95a5a6',
+    barHighlight: '#e74c3c',
+    baseline: '#333333',
+    brushFill: 'rgba(127, 140, 141, 0.25)',
+    brushStroke: '#7f8c8d'
+  },
+  series: {
+    sales: { color: '#2980b9' },
+    loans: { color: '#e74c3c', dash: '10,4' },
+    share: { color: '#2980b9', fill: 'rgba(52, 152, 219, 0.6)' },
+    timeline: { color: '#27ae60', fill: 'rgba(46, 204, 113, 0.2)' }
+  },
+  categories: {
+    marketplace: '#8e44ad',
+    retailer: '#16a085',
+    bnpl: '#d35400',
+    social: '#2c3e50',
+    other: '#6e2c00'
+  },
+  annotations: { data: '#c0392b', note: '#1f618d', story: '#212f3c' }
+};
+
+const dark = {
+  id: 'dark',
+  label: 'Dark',
+  scheme: 'dark',
+  fontFamily: 'Arial, sans-serif',
+  fontScale: 1,
+  lineWidth: 3,
+  page: {
+    background: '#1b1e23',
+    text: '#e8e8e8',
+    muted: '#a9afb6',
+    faint: '#8d939a',
+    border: '#4a5058',
+    rule: '#33383f',
+    panel: '#252a31',
+    tint: '#1f3347',
+    link: '#6cb4ee',
+    error: '#ff8a7a',
+    errorBackground: '#3d2220',
+    errorBorder: '#e74c3c',
+    warning: '#f0a35e',
+    success: '#58d68d'
+  },
+  chart: {
+    background: '#1b1e23',
+    text: '#e8e8e8',
+    axis: '#b8bec6',
+    crosshair: '#b8bec6',
+    tooltip: 'rgba(27, 30, 35, 0.92)',
+    tooltipBorder: '#666c74',
+    tooltipText: '#e8e8e8',
+    halo: '#1b1e23',
+    periodFills: ['#22262c', '#2a2f36'],
+    macroPeriod: 'rgba(149, 165, 166, 0.22)',
+    periodLabel: '#a9afb6',
+    phases: d3.schemeTableau10,
+    phaseLabel: '#ffffff',
+    shutdown: '#ff6b5b',
+    event: '#c39bd3',
+    bar: '#6c7a7d',
+    barHighlight: '#f1948a',
+    baseline: '#b8bec6',
+    brushFill: 'rgba(149, 165, 166, 0.3)',
+    brushStroke: '#95a5a6'
+  },
+  series: {
+    sales: { color: '#5dade2' },
+    loans: { color: '#f1948a', dash: '10,4' },
+    share: { color: '#5dade2', fill: 'rgba(93, 173, 226, 0.45)' },
+    timeline: { color: '#58d68d', fill: 'rgba(88, 214, 141, 0.2)' }
+  },
+  categories: {
+    marketplace: '#c39bd3',
+    retailer: '#1abc9c',
+    bnpl: '#f0a35e',
+    social: '#eaeded',
+    other: '#a04000'
+  },
+  annotations: { data: '#f1948a', note: '#85c1e9', story: '#f4f6f6' }
+};
+
+const highContrast = {
+  id: 'highContrast',
+  label: 'High contrast',
+  scheme: 'light',
+  fontFamily: 'Arial, sans-serif',
+  fontScale: 1.15,
+  lineWidth: 4,
+  page: {
+    background: '#ffffff',
+    text: '#000000',
+    muted: '#222222',
+    faint: '#222222',
+    border: '#000000',
+    rule: '#000000',
+    panel: '#ffffff',
+    tint: '#ffffff',
+    link: '#0000cc',
+    error: '#b00000',
+    errorBackground: '#ffffff',
+    errorBorder: '#b00000',
+    warning: '#8a3c00',
+    success: '#006400'
+  },
+  chart: {
+    background: '#ffffff',
+    text: '#000000',
+    axis: '#000000',
+    crosshair: '#000000',
+    tooltip: '#ffffff',
+    tooltipBorder: '#000000',
+    tooltipText: '#000000',
+    halo: '#ffffff',
+    periodFills: ['#f0f0f0', '#dddddd'],
+    macroPeriod: 'rgba(0, 0, 0, 0.15)',
+    periodLabel: '#000000',
+    phases: ['#000080', '#8b0000', '#006400', '#4b0082', '#7a3b00', '#004d4d'],
+    phaseLabel: '#ffffff',
+    shutdown: '#b00000',
+    event: '#4b0082',
+    bar: '#595959',
+    barHighlight: '#b00000',
+    baseline: '#000000',
+    brushFill: 'rgba(0, 0, 0, 0.15)',
+    brushStroke: '#000000'
+  },
+  series: {
+    sales: { color: '#0044cc' },
+    loans: { color: '#b00000', dash: '10,4' },
+    share: { color: '#0044cc', fill: 'rgba(0, 68, 204, 0.35)' },
+    timeline: { color: '#006400', fill: 'rgba(0, 100, 0, 0.2)' }
+  },
+  categories: {
+    marketplace: '#6a00a8',
+    retailer: '#00695c',
+    bnpl: '#c05000',
+    social: '#000000',
+    other: '#4d3800'
+  },
+  annotations: { data: '#b00000', note: '#0044cc', story: '#000000' }
+};
+
+// Shades of grey only, told apart by lightness and the dash patterns
+const print = {
+  id: 'print',
+  label: 'Print (grayscale)',
+  scheme: 'light',
+  fontFamily: 'Arial, sans-serif',
+  fontScale: 1,
+  lineWidth: 2.5,
+  page: {
+    background: '#ffffff',
+    text: '#000000',
+    muted: '#444444',
+    faint: '#666666',
+    border: '#999999',
+    rule: '#dddddd',
+    panel: '#f2f2f2',
+    tint: '#f2f2f2',
+    link: '#000000',
+    error: '#000000',
+    errorBackground: '#f2f2f2',
+    errorBorder: '#000000',
+    warning: '#333333',
+    success: '#333333'
+  },
+  chart: {
+    background: '#ffffff',
+    text: '#000000',
+    axis: '#000000',
+    crosshair: '#444444',
+    tooltip: 'rgba(255, 255, 255, 0.95)',
+    tooltipBorder: '#666666',
+    tooltipText: '#000000',
+    halo: '#ffffff',
+    periodFills: ['#f7f7f7', '#ebebeb'],
+    macroPeriod: 'rgba(0, 0, 0, 0.12)',
+    periodLabel: '#555555',
+    phases: ['#222222', '#555555', '#3a3a3a', '#6b6b6b'],
+    phaseLabel: '#ffffff',
+    shutdown: '#000000',
+    event: '#000000',
+    bar: '#aaaaaa',
+    barHighlight: '#000000',
+    baseline: '#000000',
+    brushFill: 'rgba(0, 0, 0, 0.12)',
+    brushStroke: '#555555'
+  },
+  series: {
+    sales: { color: '#000000' },
+    loans: { color: '#777777', dash: '10,4' },
+    share: { color: '#000000', fill: 'rgba(0, 0, 0, 0.15)' },
+    timeline: { color: '#333333', fill: 'rgba(0, 0, 0, 0.1)' }
+  },
+  categories: {
+    marketplace: '#000000',
+    retailer: '#3c3c3c',
+    bnpl: '#6e6e6e',
+    social: '#969696',
+    other: '#b4b4b4'
+  },
+  annotations: { data: '#000000', note: '#777777', story: '#3a3a3a' }
+};
+
+export const THEMES = { light, dark, highContrast, print };
+
+// Used wherever no theme is given (and by charts drawn outside a ThemeContext)
+export const DEFAULT_THEME = light;
+
+/**
+ * The theme a visitor's system asks for: high contrast when it prefers more
+ * contrast, otherwise dark or light to match its color scheme. matches(query)
+ * tests a media query.
+ */
+export const systemTheme = (matches) => {
+  if (matches('(prefers-contrast: more)')) return THEMES.highContrast;
+  return matches('(prefers-color-scheme: dark)') ? THEMES.dark : THEMES.light;
+};
+
+export const ThemeContext = createContext(DEFAULT_THEME);
+
+/**
+ * The active theme
+ */
+export const useTheme = () => useContext(ThemeContext);
@@ -0,0 +1,141 @@
+import * as d3 from 'd3';
+import { frequencyInfo, resample } from './resample';
+
+/**
+ * Pure transformations of { date, value } series. Each returns a new series and
+ * drops the leading points that have no earlier value to compare against.
+ */
+
+/**
+ * Change from the observation `lag` periods earlier, in the series' own units
+ */
+export const difference = (data, lag = 1) => data.slice(lag).map((d, i) => ({
+  date: d.date,
+  value: d.value - data[i].value
+}));
+
+/**
+ * Percent change from the observation `lag` periods earlier.
+ * With lag set to the periods per year this is year-over-year growth.
+ */
+export const percentChange = (data, lag = 1) => data.slice(lag)
+  .map((d, i) => ({
+    date: d.date,
+    value: data[i].value ? (d.value / data[i].value - 1) * 100 : NaN
+  }))
+  .filter(d => Number.isFinite(d.value));
+
+/**
+ * Rebase a series to 100 at its first observation on or after baseDate
+ */
+export const rebase = (data, baseDate) => {
+  const base = data.find(d => d.date >= baseDate);
+  if (!base || !base.value) return [];
+  return data.map(d => ({ date: d.date, value: (d.value / base.value) * 100 }));
+};
+
+/**
+ * Trailing mean over `window` observations, starting once a full window is available
+ */
+export const rollingMean = (data, window) => data.slice(window - 1).map((d, i) => ({
+  date: d.date,
+  value: data.slice(i, i + window).reduce((sum, p) => sum + p.value, 0) / window
+}));
+
+/**
+ * Percent growth since the first observation on or after baseDate
+ */
+export const cumulativeGrowth = (data, baseDate) => rebase(data, baseDate)
+  .map(d => ({ date: d.date, value: d.value - 100 }));
+
+const YEAR = 365.25 * 24 * 3600 * 1000;
+
+/**
+ * Compound annual growth rate, in percent, from the first to the last point.
+ * NaN when the series is too short or doesn't start positive.
+ */
+export const cagr = (data) => {
+  if (data.length < 2) return NaN;
+  const first = data[0];
+  const last = data[data.length - 1];
+  const years = (last.date - first.date) / YEAR;
+  if (!(first.value > 0) || !(last.value >= 0) || years <= 0) return NaN;
+  return ((last.value / first.value) ** (1 / years) - 1) * 100;
+};
+
+// Derived metrics a series can be shown as. keepsUnits metrics stay in the
+// series' own units; the rest are percentages.
+export const METRICS = [
+  { id: 'level', label: 'Level', keepsUnits: true },
+  { id: 'change', label: 'Period-over-period % change', keepsUnits: false },
+  { id: 'yoy', label: 'Year-over-year % change', keepsUnits: false },
+  { id: 'rolling', label: 'Rolling mean', keepsUnits: true },
+  { id: 'cumulative', label: 'Cumulative growth since base year', keepsUnits: false }
+];
+
+export const metricInfo = (id) => METRICS.find(m => m.id === id);
+
+/**
+ * Apply a metric setting { metric, window, baseYear } to a series observed at
+ * periodsPerYear (used for the year-over-year lag)
+ */
+export const applyMetric = (data, { metric, window = 4, baseYear }, periodsPerYear) => {
+  switch (metric) {
+    case 'level': return data;
+    case 'change': return percentChange(data, 1);
+    case 'yoy': return percentChange(data, Math.round(periodsPerYear));
+    case 'rolling': return rollingMean(data, window);
+    case 'cumulative': return cumulativeGrowth(data, new Date(Date.UTC(baseYear, 0, 1)));
+    default: throw new Error(`Unknown metric "${metric}"`);
+  }
+};
+
+/**
+ * Units of a series after applying a metric to it
+ */
+export const metricUnits = (metric, units) => (metricInfo(metric).keepsUnits ? units : '%');
+
+// Multipliers for the dollar units used in the dataset manifest
+export const DOLLAR_UNITS = {
+  '$ thousands': 1e3,
+  '$ millions': 1e6,
+  '$ billions': 1e9
+};
+
+/**
+ * Convert a dollar series between manifest units, e.g. '$ billions' to '$ millions'
+ */
+export const convertUnits = (data, fromUnits, toUnits) => {
+  const factor = DOLLAR_UNITS[fromUnits] / DOLLAR_UNITS[toUnits];
+  if (!Number.isFinite(factor)) throw new Error(`Can't convert ${fromUnits} to ${toUnits}`);
+  return factor === 1 ? data : data.map(d => ({ date: d.date, value: d.value * factor }));
+};
+
+/**
+ * Whether a series' manifest units are dollars (and so can be deflated)
+ */
+export const isDollarUnits = (units) => units in DOLLAR_UNITS;
+
+/**
+ * Express a dollar series in constant baseYear dollars using a price index
+ * rebased to its mean over baseYear. An index finer than the series is first
+ * averaged to the series' frequency; a coarser one (e.g. annual averages)
+ * applies to every observation in its period. Points outside the index's
+ * coverage are dropped rather than guessed.
+ */
+export const deflate = (data, index, { frequency, indexFrequency, baseYear }) => {
+  const baseValues = index.filter(d => d.date.getUTCFullYear() === baseYear).map(d => d.value);
+  if (!baseValues.length) throw new Error(`The price index has no values for ${baseYear}`);
+  const base = d3.mean(baseValues);
+
+  const target = frequencyInfo(frequency);
+  const source = frequencyInfo(indexFrequency);
+  const coarser = source.days > target.days;
+  const interval = coarser ? source.interval : target.interval;
+  const aligned = coarser ? index : resample(index, { from: indexFrequency, to: frequency, method: 'mean' });
+  const lookup = new Map(aligned.map(d => [+interval.floor(d.date), d.value]));
+
+  return data
+    .filter(d => lookup.has(+interval.floor(d.date)))
+    .map(d => ({ date: d.date, value: d.value * base / lookup.get(+interval.floor(d.date)) }));
+};
@@ -0,0 +1,85 @@
+import {
+  applyMetric, cagr, convertUnits, cumulativeGrowth, deflate, difference, isDollarUnits, metricUnits, percentChange, rebase,
+  rollingMean
+} from './transforms';
+
+const utc = (y) => new Date(Date.UTC(y, 0, 1));
+const series = [
+  { date: utc(2000), value: 50 },
+  { date: utc(2001), value: 100 },
+  { date: utc(2002), value: 150 }
+];
+
+test('differences and percent changes drop the first lag points', () => {
+  expect(difference(series)).toEqual([
+    { date: utc(2001), value: 50 },
+    { date: utc(2002), value: 50 }
+  ]);
+  expect(percentChange(series).map(d => d.value)).toEqual([100, 50]);
+  expect(percentChange(series, 2)).toEqual([{ date: utc(2002), value: 200 }]);
+});
+
+test('rebases to 100 at the first point on or after the base date', () => {
+  expect(rebase(series, new Date(Date.UTC(2000, 6, 1))).map(d => d.value)).toEqual([50, 100, 150]);
+  expect(rebase(series, utc(2010))).toEqual([]);
+});
+
+test('converts between dollar units', () => {
+  expect(convertUnits(series, '$ billions', '$ millions')[0].value).toBe(50000);
+  expect(convertUnits(series, '$ millions', '$ millions')).toBe(series);
+  expect(() => convertUnits(series, '%', '$ millions')).toThrow("Can't convert % to $ millions");
+});
+
+test('rolling means start once a full window is available', () => {
+  expect(rollingMean(series, 2)).toEqual([
+    { date: utc(2001), value: 75 },
+    { date: utc(2002), value: 125 }
+  ]);
+  expect(rollingMean(series, 4)).toEqual([]);
+});
+
+test('cumulative growth is measured from the base date', () => {
+  expect(cumulativeGrowth(series, utc(2001)).map(d => d.value)).toEqual([-50, 0, 50]);
+});
+
+test('CAGR compounds over the years between the first and last points', () => {
+  const doubled = [{ date: utc(2000), value: 100 }, { date: utc(2010), value: 200 }];
+  expect(cagr(doubled)).toBeCloseTo(7.177, 2);
+  expect(cagr(series.slice(0, 1))).toBeNaN();
+  expect(cagr([{ date: utc(2000), value: 0 }, { date: utc(2001), value: 5 }])).toBeNaN();
+});
+
+test('applies metric settings and reports their units', () => {
+  const quarterly = [0, 1, 2, 3, 4, 5].map(i => ({ date: new Date(Date.UTC(2000, i * 3, 1)), value: 100 + i * 10 }));
+  expect(applyMetric(quarterly, { metric: 'level' }, 4)).toBe(quarterly);
+  expect(applyMetric(quarterly, { metric: 'yoy' }, 4).map(d => Math.round(d.value))).toEqual([40, 36]);
+  expect(applyMetric(quarterly, { metric: 'change' }, 4)).toHaveLength(5);
+  expect(applyMetric(quarterly, { metric: 'rolling', window: 3 }, 4)[0].value).toBe(110);
+  expect(applyMetric(quarterly, { metric: 'cumulative', baseYear: 2000 }, 4)[5].value).toBe(50);
+  expect(() => applyMetric(quarterly, { metric: 'median' }, 4)).toThrow('Unknown metric "median"');
+  expect(metricUnits('rolling', '$ millions')).toBe('$ millions');
+  expect(metricUnits('yoy', '$ millions')).toBe('%');
+});
+
+test('deflates a dollar series with an annual price index', () => {
+  const utc = (y, m = 0) => new Date(Date.UTC(y, m, 1));
+  const index = [{ date: utc(2010), value: 100 }, { date: utc(2011), value: 110 }];
+  const quarterly = [utc(2010, 6), utc(2011), utc(2011, 9), utc(2012)].map(date => ({ date, value: 220 }));
+
+  const real = deflate(quarterly, index, { frequency: 'quarterly', indexFrequency: 'annual', baseYear: 2011 });
+  // Every quarter of a year uses that year's index; 2012 has none and is dropped
+  expect(real.map(d => d.value)).toEqual([242, 220, 220]);
+  expect(() => deflate(quarterly, index, { frequency: 'quarterly', indexFrequency: 'annual', baseYear: 2005 }))
+    .toThrow('The price index has no values for 2005');
+  expect(isDollarUnits('$ billions')).toBe(true);
+  expect(isDollarUnits('%')).toBe(false);
+});
+
+test('averages a finer price index to the series frequency', () => {
+  const utc = (y, m = 0) => new Date(Date.UTC(y, m, 1));
+  const monthly = [100, 102, 104, 106, 108, 110].map((value, i) => ({ date: utc(2010, i), value }));
+  const quarterly = [{ date: utc(2010), value: 51 }, { date: utc(2010, 3), value: 54 }];
+
+  const real = deflate(quarterly, monthly, { frequency: 'quarterly', indexFrequency: 'monthly', baseYear: 2010 });
+  expect(real.map(d => d.value)).toEqual([51 * 105 / 102, 54 * 105 / 108]);
+});
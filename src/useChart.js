@@ -0,0 +1,44 @@
+import { useEffect, useRef } from 'react';
+import { updateCrosshair } from './crosshair';
+import useElementWidth from './useElementWidth';
+
+/**
+ * Draw a chart's crosshair at a hovered timestamp (or hide it for null)
+ */
+const showCrosshair = (hover, timestamp) => {
+  const date = timestamp === null ? null : new Date(timestamp);
+  updateCrosshair(hover.g, { ...hover, date });
+};
+
+/**
+ * Run a D3 draw function into a container whenever it changes or the container
+ * is resized, and keep the chart's crosshair on the shared hover date (a ms
+ * timestamp or null).
+ *
+ * draw(node, width) gets the container's measured width (null when it can't be
+ * measured) and returns what updateCrosshair needs ({ g, xScale, innerWidth,
+ * series, events, periods, theme, locale }), or null when there's nothing to draw yet. Returns the
+ * container ref.
+ */
+function useChart(draw, hoverDate) {
+  const containerRef = useRef(null);
+  const hoverRef = useRef(null);
+  const hoverDateRef = useRef(hoverDate);
+  hoverDateRef.current = hoverDate;
+  const width = useElementWidth(containerRef);
+
+  useEffect(() => {
+    const hover = draw(containerRef.current, width);
+    if (!hover) return;
+    hoverRef.current = hover;
+    showCrosshair(hover, hoverDateRef.current);
+  }, [draw, width]);
+
+  useEffect(() => {
+    if (hoverRef.current) showCrosshair(hoverRef.current, hoverDate);
+  }, [hoverDate]);
+
+  return containerRef;
+}
+
+export default useChart;
@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadDatasets, loadManifest } from './dataRegistry';
+import { errorMessage } from './locale';
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Load the dataset manifest and every dataset it lists, tracking each one's
+ * status so charts can render as soon as their own inputs are ready.
+ *
+ * status[id] is 'loading', 'loaded' or 'error'; errors[id] is { file, message },
+ * the message for locale.describe.
+ * A manifest failure is reported under the 'manifest' key.
+ */
+function useDatasets() {
+  const [specs, setSpecs] = useState([]);
+  const [datasets, setDatasets] = useState({});
+  const [status, setStatus] = useState({});
+  const [errors, setErrors] = useState({});
+  const [manifestError, setManifestError] = useState(null);
+
+  /**
+   * Load the given manifest entries and merge the results into state
+   */
+  const loadSpecs = useCallback(async (toLoad) => {
+    setStatus(prev => ({ ...prev, ...Object.fromEntries(toLoad.map(spec => [spec.id, 'loading'])) }));
+    setErrors(prev => {
+      const next = { ...prev };
+      toLoad.forEach(spec => delete next[spec.id]);
+      return next;
+    });
+
+    const outcome = await loadDatasets(toLoad);
+
+    setDatasets(prev => ({ ...prev, ...outcome.datasets }));
+    setErrors(prev => ({ ...prev, ...outcome.errors }));
+    setStatus(prev => ({
+      ...prev,
+      ...Object.fromEntries(toLoad.map(spec => [spec.id, outcome.errors[spec.id] ? 'error' : 'loaded']))
+    }));
+  }, []);
+
+  /**
+   * Fetch the manifest, then every dataset it declares
+   */
+  const loadAll = useCallback(async () => {
+    setManifestError(null);
+    try {
+      const manifest = await loadManifest();
+      setSpecs(manifest);
+      await loadSpecs(manifest);
+    } catch (error) {
+      setManifestError({ file: MANIFEST_FILE, message: errorMessage(error) });
+    }
+  }, [loadSpecs]);
+
+  useEffect(() => {
+    loadAll();
+  }, [loadAll]);
+
+  /**
+   * Re-run loading for just the datasets that failed (or everything if the manifest did)
+   */
+  const retry = useCallback(() => {
+    if (manifestError) {
+      loadAll();
+      return;
+    }
+    const failed = specs.filter(spec => errors[spec.id]);
+    if (failed.length) loadSpecs(failed);
+  }, [manifestError, specs, errors, loadAll, loadSpecs]);
+
+  const failures = manifestError
+    ? { manifest: manifestError }
+    : errors;
+
+  return {
+    specs,
+    datasets,
+    status,
+    errors: failures,
+    isManifestLoading: !manifestError && !specs.length,
+    retry
+  };
+}
+
+export default useDatasets;
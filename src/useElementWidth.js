@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Track the content width of the element behind ref, in whole pixels.
+ * Null until it has been measured, and always null where ResizeObserver isn't
+ * available (tests, headless rendering), so callers fall back to a fixed width.
+ */
+function useElementWidth(ref) {
+  const [width, setWidth] = useState(null);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node || typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(entries => {
+      const measured = Math.round(entries[0].contentRect.width);
+      if (measured > 0) setWidth(measured);
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return width;
+}
+
+export default useElementWidth;
@@ -0,0 +1,105 @@
+import { useCallback, useState } from 'react';
+import * as d3 from 'd3';
+import { CatalogError, errorMessage } from './locale';
+
+const STORAGE_KEY = 'ecommerce-viz:notes';
+
+const parseDay = d3.utcParse('%Y-%m-%d');
+export const formatDay = d3.utcFormat('%Y-%m-%d');
+
+/**
+ * Read the persisted notes ({ id, date: 'YYYY-MM-DD', chart, text })
+ */
+export const readStoredNotes = (storage = window.localStorage) => {
+  try {
+    const notes = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(notes) ? notes : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Persist notes. Throws if storage is full or unavailable.
+ */
+export const writeStoredNotes = (notes, storage = window.localStorage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(notes));
+};
+
+/**
+ * Parse an exported notes file, checking each note's date, chart and text.
+ * Throws an error naming the first note that can't be used.
+ */
+export const parseNotes = (text, chartIds) => {
+  let notes;
+  try {
+    notes = JSON.parse(text);
+  } catch (error) {
+    throw new CatalogError('notes.errors.json');
+  }
+  if (!Array.isArray(notes)) throw new CatalogError('notes.errors.list');
+
+  return notes.map((note, i) => {
+    const index = i + 1;
+    if (!note || typeof note !== 'object') throw new CatalogError('notes.errors.object', { index });
+    if (typeof note.date !== 'string' || !parseDay(note.date)) {
+      throw new CatalogError('notes.errors.date', { index });
+    }
+    if (!chartIds.includes(note.chart)) throw new CatalogError('notes.errors.chart', { index, chart: note.chart });
+    if (typeof note.text !== 'string' || !note.text.trim()) throw new CatalogError('notes.errors.text', { index });
+    return {
+      id: typeof note.id === 'string' && note.id ? note.id : `note-${Date.now()}-${i}`,
+      date: note.date,
+      chart: note.chart,
+      text: note.text.trim()
+    };
+  });
+};
+
+/**
+ * Notes on one chart as annotations for its annotation layer
+ */
+export const noteAnnotations = (notes, chart) => notes
+  .filter(note => note.chart === chart)
+  .map(note => ({ id: note.id, date: parseDay(note.date), label: note.text, kind: 'note' }));
+
+/**
+ * The user's own dated notes on the charts, kept in localStorage between
+ * sessions. storageError is a message for locale.describe.
+ */
+function useNotes() {
+  const [notes, setNotes] = useState(() => readStoredNotes());
+  const [storageError, setStorageError] = useState(null);
+
+  const commit = useCallback((next) => {
+    setNotes(next);
+    try {
+      writeStoredNotes(next);
+      setStorageError(null);
+    } catch (error) {
+      setStorageError({ key: 'notes.storageFailed', params: { error: errorMessage(error) } });
+    }
+  }, []);
+
+  const addNote = useCallback(({ date, chart, text }) => {
+    commit([...notes, { id: `note-${Date.now()}`, date, chart, text }]);
+  }, [notes, commit]);
+
+  const updateNote = useCallback((id, text) => {
+    commit(notes.map(note => (note.id === id ? { ...note, text } : note)));
+  }, [notes, commit]);
+
+  const removeNote = useCallback((id) => {
+    commit(notes.filter(note => note.id !== id));
+  }, [notes, commit]);
+
+  // Imported notes replace existing notes with the same id and are added otherwise
+  const importNotes = useCallback((imported) => {
+    const ids = new Set(imported.map(note => note.id));
+    commit([...notes.filter(note => !ids.has(note.id)), ...imported]);
+  }, [notes, commit]);
+
+  return { notes, addNote, updateNote, removeNote, importNotes, storageError };
+}
+
+export default useNotes;
@@ -0,0 +1,37 @@
+import { noteAnnotations, parseNotes, readStoredNotes, writeStoredNotes } from './useNotes';
+
+const CHARTS = ['growth', 'percent', 'timeline'];
+const note = { id: 'note-1', date: '2020-03-11', chart: 'growth', text: 'Lockdowns begin' };
+
+test('round-trips notes through storage', () => {
+  writeStoredNotes([note], window.localStorage);
+  expect(readStoredNotes(window.localStorage)).toEqual([note]);
+
+  window.localStorage.setItem('ecommerce-viz:notes', '{"not": "a list"}');
+  expect(readStoredNotes(window.localStorage)).toEqual([]);
+  window.localStorage.clear();
+});
+
+test('parses exported notes, trimming text and filling in missing ids', () => {
+  const parsed = parseNotes(JSON.stringify([note, { date: '2021-01-01', chart: 'percent', text: '  Peak  ' }]), CHARTS);
+
+  expect(parsed[0]).toEqual(note);
+  expect(parsed[1]).toMatchObject({ date: '2021-01-01', chart: 'percent', text: 'Peak' });
+  expect(parsed[1].id).toMatch(/^note-/);
+});
+
+test('names the first note that cannot be imported', () => {
+  expect(() => parseNotes('not json', CHARTS)).toThrow('The file is not valid JSON');
+  expect(() => parseNotes('{}', CHARTS)).toThrow('Expected a list of notes');
+  expect(() => parseNotes(JSON.stringify([note, { ...note, date: '11/03/2020' }]), CHARTS))
+    .toThrow('Note 2 has no valid date (expected YYYY-MM-DD)');
+  expect(() => parseNotes(JSON.stringify([{ ...note, chart: 'map' }]), CHARTS))
+    .toThrow('Note 1 is for an unknown chart "map"');
+  expect(() => parseNotes(JSON.stringify([{ ...note, text: ' ' }]), CHARTS)).toThrow('Note 1 has no text');
+});
+
+test('turns one chart\'s notes into annotations', () => {
+  const annotations = noteAnnotations([note, { ...note, id: 'note-2', chart: 'percent' }], 'growth');
+
+  expect(annotations).toEqual([{ id: 'note-1', date: new Date(Date.UTC(2020, 2, 11)), label: 'Lockdowns begin', kind: 'note' }]);
+});
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Keeps the page's URL in step with the view. search is the current view's
+ * query string (from encodeView): each change becomes a browser history
+ * entry, and going back or forward hands the entry's query string to
+ * onNavigate to restore. The first sync replaces the entry the page was
+ * opened with, so it doesn't add a step of its own.
+ */
+function usePermalink(search, onNavigate) {
+  const synced = useRef(false);
+  const navigate = useRef(onNavigate);
+  navigate.current = onNavigate;
+
+  useEffect(() => {
+    const { pathname, hash } = window.location;
+    if (search !== window.location.search) {
+      const url = `${pathname}${search}${hash}`;
+      if (synced.current) window.history.pushState(null, '', url);
+      else window.history.replaceState(null, '', url);
+    }
+    synced.current = true;
+  }, [search]);
+
+  useEffect(() => {
+    const restore = () => navigate.current(window.location.search);
+    window.addEventListener('popstate', restore);
+    return () => window.removeEventListener('popstate', restore);
+  }, []);
+}
+
+export default usePermalink;
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { DEFAULT_STORIES, DEFAULT_STORY } from './defaultStory';
+import { CatalogError, errorMessage, useLocale } from './locale';
+import { loadStory } from './story';
+
+// Story scripts are plain file names in the data folder
+const STORY_FILE = /^[\w-]+\.(json|md)$/i;
+
+/**
+ * The narrative's story: the script named by the page's ?story= parameter (a
+ * .json or .md file in the data folder), or the default story in the active
+ * locale. A script that can't be loaded or parsed falls back to the default
+ * story, with error saying why.
+ */
+function useStory(search = window.location.search) {
+  const file = new URLSearchParams(search).get('story');
+  const locale = useLocale();
+  // A null story stands for the default one, so it follows the locale
+  const [state, setState] = useState({ story: null, error: null });
+
+  useEffect(() => {
+    if (!file) return undefined;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        if (!STORY_FILE.test(file)) throw new CatalogError('story.errors.file');
+        const story = await loadStory(file);
+        if (!cancelled) setState({ story, error: null });
+      } catch (error) {
+        if (!cancelled) {
+          setState({ story: null, error: { file, message: errorMessage(error) } });
+        }
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [file]);
+
+  return {
+    story: state.story || DEFAULT_STORIES[locale.id] || DEFAULT_STORY,
+    error: state.error && locale.describe({ key: 'story.fallback', params: state.error })
+  };
+}
+
+export default useStory;
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { systemTheme, THEMES } from './theme';
+
+// Media queries the system theme depends on
+const SYSTEM_QUERIES = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'];
+
+const canMatchMedia = () => typeof window !== 'undefined' && typeof window.matchMedia === 'function';
+
+const currentSystemTheme = () => systemTheme(query => canMatchMedia() && window.matchMedia(query).matches);
+
+/**
+ * The page's theme: the one the visitor chose, or with choice 'system' (the
+ * default) the one their system prefers, following it when that changes.
+ * Returns { theme, choice, setChoice }, choice being 'system' or a THEMES id;
+ * initialChoice is the choice to start with.
+ */
+function useThemePreference(initialChoice = 'system') {
+  const [choice, setChoice] = useState(initialChoice);
+  const [preferred, setPreferred] = useState(currentSystemTheme);
+
+  useEffect(() => {
+    if (!canMatchMedia()) return undefined;
+    const queries = SYSTEM_QUERIES.map(query => window.matchMedia(query));
+    const update = () => setPreferred(currentSystemTheme());
+    queries.forEach(query => query.addEventListener('change', update));
+    return () => queries.forEach(query => query.removeEventListener('change', update));
+  }, []);
+
+  return { theme: THEMES[choice] || preferred, choice, setChoice };
+}
+
+export default useThemePreference;
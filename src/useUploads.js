@@ -0,0 +1,96 @@
+import { useCallback, useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { inspectCSV } from './csvImport';
+import { normalizeDataset } from './dataRegistry';
+import { errorMessage } from './locale';
+
+const STORAGE_KEY = 'ecommerce-viz:uploads';
+
+// Overlay colors, chosen to stay clear of the built-in series colors
+const OVERLAY_COLORS = d3.schemeDark2;
+
+/**
+ * Read the persisted upload entries ({ id, fileName, content, target, color })
+ */
+export const readStoredUploads = (storage = window.localStorage) => {
+  try {
+    const entries = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Persist upload entries. Throws if storage is full or unavailable.
+ */
+export const writeStoredUploads = (entries, storage = window.localStorage) => {
+  storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+/**
+ * Turn a stored upload entry into a normalized overlay series
+ */
+export const buildUploadSeries = (entry) => {
+  const { spec, rows } = inspectCSV(entry.content, entry.fileName);
+  return {
+    ...normalizeDataset({ ...spec, id: entry.id }, rows),
+    target: entry.target,
+    color: entry.color
+  };
+};
+
+/**
+ * Rebuild stored upload entries. Returns { series, failed }: the overlay
+ * series, and { id, fileName, message } for entries that can no longer be
+ * read, with message for locale.describe.
+ */
+export const rebuildUploads = (entries) => entries.reduce((outcome, entry) => {
+  try {
+    outcome.series.push(buildUploadSeries(entry));
+  } catch (error) {
+    outcome.failed.push({ id: entry.id, fileName: entry.fileName, message: errorMessage(error) });
+  }
+  return outcome;
+}, { series: [], failed: [] });
+
+/**
+ * User-uploaded CSV overlays, kept in localStorage between sessions.
+ * The raw file text is stored and re-parsed on load, so detection
+ * improvements apply to earlier uploads too. addUpload returns the new
+ * upload's id; storageError is a message for locale.describe. Stored uploads
+ * that can't be rebuilt are listed in failed, so they can be removed.
+ */
+function useUploads() {
+  const [entries, setEntries] = useState(() => readStoredUploads());
+  const [storageError, setStorageError] = useState(null);
+
+  const { series, failed } = useMemo(() => rebuildUploads(entries), [entries]);
+
+  const commit = useCallback((next) => {
+    setEntries(next);
+    try {
+      writeStoredUploads(next);
+      setStorageError(null);
+    } catch (error) {
+      setStorageError({ key: 'uploads.storageFailed', params: { error: errorMessage(error) } });
+    }
+  }, []);
+
+  const addUpload = useCallback(({ fileName, content, target }) => {
+    const used = new Set(entries.map(entry => entry.color));
+    const color = OVERLAY_COLORS.find(c => !used.has(c)) || OVERLAY_COLORS[entries.length % OVERLAY_COLORS.length];
+    const id = `upload-${Date.now()}`;
+
+    commit([...entries, { id, fileName, content, target, color }]);
+    return id;
+  }, [entries, commit]);
+
+  const removeUpload = useCallback((id) => {
+    commit(entries.filter(entry => entry.id !== id));
+  }, [entries, commit]);
+
+  return { series, failed, addUpload, removeUpload, storageError };
+}
+
+export default useUploads;
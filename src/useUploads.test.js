@@ -0,0 +1,33 @@
+import { buildUploadSeries, readStoredUploads, rebuildUploads, writeStoredUploads } from './useUploads';
+
+const entry = {
+  id: 'upload-1',
+  fileName: 'spend.csv',
+  content: 'date,spend\n2021-01-01,10\n2021-02-01,12\n2021-03-01,11',
+  target: 'growth',
+  color: '#1b9e77'
+};
+
+test('round-trips uploads through storage', () => {
+  writeStoredUploads([entry], window.localStorage);
+  expect(readStoredUploads(window.localStorage)).toEqual([entry]);
+
+  window.localStorage.setItem('ecommerce-viz:uploads', 'not json');
+  expect(readStoredUploads(window.localStorage)).toEqual([]);
+  window.localStorage.clear();
+});
+
+test('rebuilds a normalized overlay series from a stored entry', () => {
+  const series = buildUploadSeries(entry);
+
+  expect(series).toMatchObject({ id: 'upload-1', label: 'spend', target: 'growth', color: '#1b9e77', frequency: 'monthly' });
+  expect(series.data.map(d => d.value)).toEqual([10, 12, 11]);
+});
+
+test('lists stored uploads that can no longer be rebuilt', () => {
+  const broken = { ...entry, id: 'upload-2', fileName: 'broken.csv', content: 'name,value\nfoo,1' };
+  const { series, failed } = rebuildUploads([entry, broken]);
+
+  expect(series.map(s => s.id)).toEqual(['upload-1']);
+  expect(failed).toEqual([{ id: 'upload-2', fileName: 'broken.csv', message: { key: 'uploads.errors.noDates', params: {} } }]);
+});